@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * 根据OpenAPI 3文档生成基于dcFetch的接口模块
+ *
+ * 用法：dc-fetch-openapi <openapi.json> -o <output.js> [--mock <mock.js>] [--base-path /api]
+ *
+ * 发布的包中使用编译后的lib（prepublishOnly时执行build）；
+ * 在仓库中直接运行 node bin/dc-fetch-openapi.js ... 时，lib中没有编译结果则通过babel-register加载src
+ */
+
+function loadGenerator() {
+    try {
+        return require('../lib/openapi-generator');
+    } catch (e) {
+        if (e.code !== 'MODULE_NOT_FOUND') throw e;
+        require('babel-register');
+        return require('../src/openapi-generator');
+    }
+}
+
+const {generateFromFile} = loadGenerator();
+
+const usage = 'Usage: dc-fetch-openapi <openapi.json> -o <output.js> [--mock <mock.js>] [--base-path <path>]';
+
+const args = process.argv.slice(2);
+const options = {};
+let input;
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-o' || arg === '--output') {
+        options.output = args[++i];
+    } else if (arg === '-m' || arg === '--mock') {
+        options.mockOutput = args[++i];
+    } else if (arg === '--base-path') {
+        options.basePath = args[++i];
+    } else if (arg === '-h' || arg === '--help') {
+        console.log(usage);
+        process.exit(0);
+    } else {
+        input = arg;
+    }
+}
+
+if (!input || !options.output) {
+    console.error(usage);
+    process.exit(1);
+}
+
+try {
+    generateFromFile(input, options).forEach(file => console.log(`generated ${file}`));
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
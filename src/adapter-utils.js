@@ -0,0 +1,92 @@
+/**
+ * mock、回放等自定义adapter使用的工具函数，行为与axios内部的同名函数一致；
+ * axios/lib 下的文件不是公开接口，升级时可能移动或修改，这里不直接引用。
+ * @module adapter工具
+ */
+
+/**
+ * 创建与axios adapter相同结构的错误
+ *
+ * @param {string} message 错误信息
+ * @param {object} config axios 配置参数
+ * @param {string} [code] 例如超时的ECONNABORTED
+ * @param {object} [request]
+ * @param {object} [response]
+ * @returns {Error}
+ */
+export function createError(message, config, code, request, response) {
+    const error = new Error(message);
+    error.config = config;
+    if (code) error.code = code;
+    error.request = request;
+    error.response = response;
+    error.isAxiosError = true;
+    return error;
+}
+
+/**
+ * 按config.validateStatus判断响应成功还是失败
+ *
+ * @param {function} resolve
+ * @param {function} reject
+ * @param {object} response axios response
+ */
+export function settle(resolve, reject, response) {
+    const {validateStatus} = response.config;
+    if (!validateStatus || validateStatus(response.status)) {
+        resolve(response);
+        return;
+    }
+    reject(createError(`Request failed with status code ${response.status}`, response.config, null, response.request, response));
+}
+
+function encode(value) {
+    return encodeURIComponent(value)
+        .replace(/%40/gi, '@')
+        .replace(/%3A/gi, ':')
+        .replace(/%24/g, '$')
+        .replace(/%2C/gi, ',')
+        .replace(/%20/g, '+')
+        .replace(/%5B/gi, '[')
+        .replace(/%5D/gi, ']');
+}
+
+function serializeParams(params) {
+    if (typeof URLSearchParams !== 'undefined' && params instanceof URLSearchParams) return params.toString();
+    const parts = [];
+    Object.keys(params).forEach(key => {
+        const value = params[key];
+        if (value === null || value === undefined) return;
+        const values = Array.isArray(value) ? value : [value];
+        const name = Array.isArray(value) ? `${key}[]` : key;
+        values.forEach(item => {
+            let text = item;
+            if (item instanceof Date) text = item.toISOString();
+            else if (item !== null && typeof item === 'object') text = JSON.stringify(item);
+            parts.push(`${encode(name)}=${encode(text)}`);
+        });
+    });
+    return parts.join('&');
+}
+
+/**
+ * 拼接baseURL及params，得到与axios发出的请求相同的地址
+ *
+ * @param {string} [baseURL]
+ * @param {string} url 绝对地址时忽略baseURL
+ * @param {object} [params]
+ * @param {function} [paramsSerializer]
+ * @returns {string}
+ */
+export function buildFullUrl(baseURL, url, params, paramsSerializer) {
+    let fullUrl = baseURL && !/^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)
+        ? (url ? `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}` : baseURL)
+        : url;
+    if (!params) return fullUrl;
+
+    const serialized = paramsSerializer ? paramsSerializer(params) : serializeParams(params);
+    if (!serialized) return fullUrl;
+    const hashIndex = fullUrl.indexOf('#');
+    if (hashIndex !== -1) fullUrl = fullUrl.slice(0, hashIndex);
+    return `${fullUrl}${fullUrl.indexOf('?') === -1 ? '?' : '&'}${serialized}`;
+}
@@ -0,0 +1,104 @@
+/**
+ * token过期刷新：
+ * <br/>
+ * 第一个鉴权失败（默认401）的请求触发刷新，刷新期间新发出的请求排队等待，
+ * 刷新成功后，所有请求使用新的token重新发送，刷新之后才返回401的旧token请求不会再次刷新；
+ * 刷新失败，所有请求一起失败，并且只触发一次onLogout。
+ * @module token刷新
+ */
+
+const defaultIsAuthError = err => !!(err && err.response && err.response.status === 401);
+
+const defaultApplyToken = (config, token) => ({
+    ...config,
+    headers: {
+        ...config.headers,
+        Authorization: `Bearer ${token}`,
+    },
+});
+
+export default class TokenAuth {
+    refreshing = null; // 进行中的刷新
+    lastFailure = null; // 最近一次刷新失败 {token, error}
+
+    /**
+     * @param getToken 获取当前token () => token | Promise
+     * @param refreshToken 刷新token () => Promise，刷新后getToken应该返回新的token
+     * @param isAuthError 判断是否是鉴权失败 err => boolean，默认status为401
+     * @param applyToken 将token写入请求配置 (config, token) => config，默认 Authorization: Bearer token
+     * @param onLogout 刷新失败的回调 err => void，一般用于跳转登录页
+     */
+    constructor({
+                    getToken = () => null,
+                    refreshToken = () => Promise.reject(new Error('refreshToken is not configured')),
+                    isAuthError = defaultIsAuthError,
+                    applyToken = defaultApplyToken,
+                    onLogout = (/* err */) => true,
+                } = {}) {
+        this.getToken = getToken;
+        this.refreshToken = refreshToken;
+        this.isAuthError = isAuthError;
+        this.applyToken = applyToken;
+        this.onLogout = onLogout;
+    }
+
+    /**
+     * 等待进行中的刷新结束，并将token写入请求配置
+     *
+     * @param config axios 配置参数
+     * @returns {Promise} {config, token}
+     */
+    prepare(config) {
+        return Promise.resolve(this.refreshing)
+            .then(() => this.getToken())
+            .then(token => ({
+                config: token ? this.applyToken(config, token) : config,
+                token,
+            }));
+    }
+
+    /**
+     * 处理鉴权失败，多个请求同时失败只会刷新一次；
+     * 失败请求使用的token与当前token不同时，说明其他请求已经刷新过，直接使用当前token重新发送
+     *
+     * @param token 失败请求使用的token
+     * @returns {Promise} 刷新成功（或者不需要刷新）resolve，失败reject刷新的错误
+     */
+    handleAuthError(token) {
+        if (this.refreshing) return this.refreshing;
+
+        return Promise.resolve(this.getToken()).then(current => {
+            if (current && current !== token) return undefined;
+
+            // 这个token已经刷新失败过了，不再重复刷新，也不再触发onLogout
+            if (this.lastFailure && this.lastFailure.token === token) {
+                throw this.lastFailure.error;
+            }
+
+            if (!this.refreshing) {
+                this.refreshing = Promise.resolve()
+                    .then(() => this.refreshToken())
+                    .then(() => {
+                        this.refreshing = null;
+                        this.lastFailure = null;
+                    }, error => {
+                        this.refreshing = null;
+                        this.lastFailure = {token, error};
+                        this.onLogout(error);
+                        throw error;
+                    });
+            }
+            return this.refreshing;
+        });
+    }
+
+    /**
+     * 是否是刷新token失败导致的错误，这类错误统一由onLogout处理，不再单独提示
+     *
+     * @param err
+     * @returns {boolean}
+     */
+    isRefreshFailure(err) {
+        return !!this.lastFailure && this.lastFailure.error === err;
+    }
+}
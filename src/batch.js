@@ -0,0 +1,165 @@
+/**
+ * 批量请求：windowMs内的多次调用合并为一次批量接口请求，每个调用方得到自己的那一项，类似DataLoader
+ * <br/>
+ * 窗口内只有一项时，直接请求url；相同key的调用共享同一项；
+ * cancel只会丢弃该调用方，批次中所有调用方都cancel之后才会打断真正的请求。
+ * @example
+ * const loadUser = dcFetch.batch('/users/:id', {batchUrl: '/users/batch'});
+ *
+ * // 同一轮渲染中的调用合并为 GET /users/batch?ids=1,2,3
+ * loadUser(1).then(user => ...);
+ * loadUser(2).then(user => ...);
+ * loadUser({id: 3}).then(user => ...);
+ *
+ * @example
+ * // 自定义批量接口
+ * const loadUser = dcFetch.batch('/users/:id', {
+ *     buildBatchRequest: ids => ({method: 'post', url: '/users/query', data: {ids}}),
+ *     splitResponse: (data, ids) => ids.map(id => data.list.find(user => String(user.id) === id)),
+ *     maxBatchSize: 100,
+ *     windowMs: 10,
+ * });
+ * @module 批量请求
+ */
+
+import DcRequest from './dc-request';
+import {fillPath} from './define-api';
+import {DcFetchError} from './errors';
+
+const PATH_PARAM = /:([a-zA-Z_]\w*)/g;
+
+// 默认使用唯一的路径参数作为key，其他情况使用整个参数
+function createGetKey(url) {
+    const keys = [];
+    url.replace(PATH_PARAM, (match, key) => keys.push(key));
+    return args => {
+        if (args !== null && typeof args === 'object') {
+            return keys.length === 1 ? String(args[keys[0]]) : JSON.stringify(args);
+        }
+        return String(args);
+    };
+}
+
+// 默认的批量结果：数组按顺序对应，对象按key对应
+const defaultSplitResponse = (data, keys) => (Array.isArray(data) ? data : keys.map(key => (data || {})[key]));
+
+/**
+ * @param dcFetch DcFetch实例
+ * @param {string} url 单项接口，如 '/users/:id'
+ * @param {object} [options] 除以下配置外，其他同fetch的options，批量请求与单项请求都会使用
+ * @param {string} [options.batchUrl] 批量接口，默认请求 GET batchUrl?ids=1,2,3
+ * @param {function} [options.buildBatchRequest] 自定义批量请求 (keys, argsList) => ({url, method, data, options})
+ * @param {function} [options.splitResponse] 拆分批量结果 (data, keys, argsList) => 与keys顺序对应的数组
+ * @param {function} [options.getKey] 调用参数对应的key args => string，默认为路径参数
+ * @param {number} [options.maxBatchSize] 每批最多的数量，达到后立即发送，默认50
+ * @param {number} [options.windowMs] 合并的时间窗口（毫秒），默认0，即同一轮事件循环中的调用
+ * @returns {function} (args) => DcRequest，args为路径参数对象，只有一个路径参数时也可以直接传值
+ */
+export default function batch(dcFetch, url, {
+    batchUrl,
+    buildBatchRequest = batchUrl ? keys => ({method: 'get', url: batchUrl, data: {ids: keys.join(',')}}) : null,
+    splitResponse = defaultSplitResponse,
+    getKey = createGetKey(url),
+    maxBatchSize = 50,
+    windowMs = 0,
+    ...fetchOptions
+} = {}) {
+    if (!buildBatchRequest) throw new Error(`batch ${url} requires batchUrl or buildBatchRequest`);
+
+    let pending = null; // 等待发送的批次
+
+    const send = current => {
+        if (pending === current) pending = null;
+        clearTimeout(current.timer);
+        current.sent = true;
+
+        const items = current.items;
+        if (!items.length) return;
+        const keys = items.map(item => item.key);
+        const argsList = items.map(item => item.args);
+
+        // 缺少路径参数、自定义函数出错等，由批次中的调用方各自处理，不能抛给触发发送的调用方
+        const rejectAll = err => items.forEach(item => item.reject(err));
+
+        let request;
+        try {
+            if (items.length === 1) {
+                const {path, rest} = fillPath(url, items[0].args);
+                request = dcFetch.fetch(path, rest, 'get', fetchOptions);
+            } else {
+                const {url: requestUrl, method = 'get', data, options} = buildBatchRequest(keys, argsList);
+                request = dcFetch.fetch(requestUrl, data, method, {...fetchOptions, ...options});
+            }
+        } catch (err) {
+            rejectAll(err);
+            return;
+        }
+        current.request = request;
+
+        request.then(data => {
+            let results;
+            try {
+                results = items.length === 1 ? [data] : splitResponse(data, keys, argsList);
+            } catch (err) {
+                rejectAll(err);
+                return;
+            }
+            items.forEach((item, index) => {
+                const result = results && results[index];
+                if (result === undefined) {
+                    item.reject(new DcFetchError(`No result for "${item.key}" in batch response of ${url}`, {
+                        code: 'ERR_BATCH_MISSING',
+                    }));
+                    return;
+                }
+                item.resolve(result);
+            });
+        }, rejectAll);
+    };
+
+    // 调用方cancel，未发送时从批次中移除，已发送且整个批次都没有调用方时打断请求
+    const unsubscribe = (current, item, request) => {
+        item.subscribers = item.subscribers.filter(subscriber => subscriber !== request);
+        if (item.subscribers.length) return;
+
+        if (!current.sent) {
+            current.items = current.items.filter(other => other !== item);
+            delete current.itemMap[item.key];
+            return;
+        }
+        if (current.request && current.items.every(other => !other.subscribers.length)) {
+            current.request.cancel();
+        }
+    };
+
+    return args => {
+        if (!pending) {
+            const current = {items: [], itemMap: {}, sent: false, request: null};
+            current.timer = setTimeout(() => send(current), windowMs);
+            pending = current;
+        }
+        const current = pending;
+        const key = getKey(args);
+
+        let item = current.itemMap[key];
+        if (!item) {
+            item = {key, args, subscribers: []};
+            item.promise = new Promise((resolve, reject) => {
+                item.resolve = resolve;
+                item.reject = reject;
+            });
+            current.itemMap[key] = item;
+            current.items.push(item);
+        }
+
+        const request = new DcRequest(
+            (resolve, reject) => item.promise.then(resolve, reject),
+            () => unsubscribe(current, item, request),
+            {rejectOnCancel: fetchOptions.rejectOnCancel},
+        );
+        item.subscribers.push(request);
+
+        if (current.items.length >= maxBatchSize) send(current);
+        return request;
+    };
+}
@@ -0,0 +1,182 @@
+/**
+ * get请求的缓存：
+ * <br/>
+ * 1. 相同 method + url + params 的请求，在请求未结束前只会真正发送一次，结果共享给所有调用方；
+ * 单个请求设置的 baseURL headers responseType withCredentials auth 也参与key的生成，
+ * 设置了 adapter transformResponse validateStatus 等函数配置的请求无法比较，不共享也不缓存；
+ * 每个服务、每个服务端渲染子实例拥有独立的FetchCache；
+ * <br/>
+ * 2. 通过 options.cache 开启结果缓存，支持 ttl 以及 staleWhileRevalidate（过期后先返回旧数据，同时后台刷新）。
+ * @module get请求缓存
+ */
+
+import {stringify} from 'qs';
+
+const DEFAULT_TTL = 60 * 1000;
+const KEY_OPTIONS = ['baseURL', 'headers', 'responseType', 'withCredentials', 'auth']; // 影响响应结果的单次请求配置
+const FUNCTION_OPTIONS = ['adapter', 'transformRequest', 'transformResponse', 'validateStatus'];
+const sort = (a, b) => a.localeCompare(b);
+
+/**
+ * 生成缓存的key，params会按key排序之后序列化，保证参数顺序不同时key相同
+ *
+ * @param {string} method 请求方法
+ * @param {string} url 请求路径
+ * @param {object} [params] 请求参数
+ * @param {object} [options] 单个请求的配置，其中的 baseURL headers responseType withCredentials auth 参与key的生成
+ * @returns {string}
+ */
+export function getCacheKey(method, url, params, options) {
+    const query = stringify(params || {}, {sort});
+    const key = `${method.toLowerCase()} ${url}${query ? `?${query}` : ''}`;
+    const picked = {};
+    KEY_OPTIONS.forEach(name => {
+        if (options && options[name] !== undefined) picked[name] = options[name];
+    });
+    const extra = stringify(picked, {sort});
+    return extra ? `${key} ${extra}` : key;
+}
+
+/**
+ * 单个请求是否可以共享进行中的请求及使用缓存，设置了函数类型的配置时无法判断结果是否相同
+ *
+ * @param {object} [options] 单个请求的配置
+ * @returns {boolean}
+ */
+export function isShareable(options) {
+    return !options || FUNCTION_OPTIONS.every(name => options[name] === undefined);
+}
+
+/**
+ * 统一缓存配置，cache: true 使用默认配置
+ *
+ * @param {boolean|object} cache 单个请求的cache配置
+ * @returns {object|null}
+ */
+export function normalizeCacheOptions(cache) {
+    if (!cache) return null;
+    const {ttl = DEFAULT_TTL, staleWhileRevalidate = 0} = cache === true ? {} : cache;
+    return {ttl, staleWhileRevalidate};
+}
+
+export default class FetchCache {
+    entries = {}; // 已缓存的结果
+    inflights = {}; // 进行中的请求
+
+    /**
+     * 获取缓存的原始结果，不存在或者已彻底过期返回undefined
+     *
+     * @param {string} key 缓存key
+     * @returns {object|undefined} {url, params, response, expires, staleExpires}
+     */
+    getEntry(key) {
+        const entry = this.entries[key];
+        if (!entry) return undefined;
+        if (Date.now() > entry.staleExpires) {
+            delete this.entries[key];
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * 保存请求结果
+     *
+     * @param {string} key 缓存key
+     * @param {object} entry {url, params, response}
+     * @param {object} cacheOptions {ttl, staleWhileRevalidate}
+     */
+    setEntry(key, entry, {ttl, staleWhileRevalidate}) {
+        const expires = Date.now() + ttl;
+        this.entries[key] = {
+            ...entry,
+            key,
+            expires,
+            staleExpires: expires + staleWhileRevalidate,
+        };
+    }
+
+    /**
+     * 获取缓存的get请求数据，用于调试或者读取预置的数据
+     *
+     * @param {string} url 请求路径
+     * @param {object} [params] 请求参数
+     * @returns {*} response.data
+     */
+    get(url, params) {
+        const entry = this.getEntry(getCacheKey('get', url, params));
+        return entry ? entry.response.data : undefined;
+    }
+
+    /**
+     * 预置get请求的缓存数据，之后开启cache的相同请求直接使用此数据
+     *
+     * @param {string} url 请求路径
+     * @param {object} [params] 请求参数
+     * @param {*} data 接口返回的数据，即response.data
+     * @param {object} [cacheOptions] {ttl, staleWhileRevalidate}
+     */
+    set(url, params, data, cacheOptions) {
+        const response = {data, status: 200, statusText: 'OK', headers: {}, config: {}};
+        this.setEntry(getCacheKey('get', url, params), {url, params, response}, normalizeCacheOptions(cacheOptions || true));
+    }
+
+    /**
+     * 清除缓存
+     * @example
+     * dcFetch.cache.invalidate(); // 清除全部
+     * dcFetch.cache.invalidate('/users'); // 清除url为'/users'的全部缓存，不区分参数
+     * dcFetch.cache.invalidate(entry => entry.url.indexOf('/users') === 0); // 自定义条件
+     *
+     * @param {string|function} [urlOrPredicate] url 或者 entry => boolean
+     */
+    invalidate(urlOrPredicate) {
+        Object.keys(this.entries).forEach(key => {
+            const entry = this.entries[key];
+            const matched = urlOrPredicate === undefined
+                || (typeof urlOrPredicate === 'function' ? urlOrPredicate(entry) : entry.url === urlOrPredicate);
+            if (matched) delete this.entries[key];
+        });
+    }
+
+    /**
+     * 共享进行中的请求，相同key的请求未结束时，不会再次发送
+     * 每个调用方得到独立的订阅，所有订阅都取消之后，才会真正打断请求
+     *
+     * @param {string} key 缓存key
+     * @param {function} send 真正发送请求的函数，返回带有cancel方法的promise
+     * @returns {{promise: Promise, cancel: function}}
+     */
+    share(key, send) {
+        let inflight = this.inflights[key];
+        if (!inflight) {
+            const request = send();
+            inflight = {request, subscribers: 0};
+            this.inflights[key] = inflight;
+            const remove = () => {
+                if (this.inflights[key] === inflight) delete this.inflights[key];
+            };
+            request.then(remove, remove);
+        }
+        inflight.subscribers++;
+
+        let canceled = false;
+        const promise = new Promise((resolve, reject) => {
+            inflight.request.then(response => {
+                if (!canceled) resolve(response);
+            }, err => {
+                if (!canceled) reject(err);
+            });
+        });
+        const cancel = () => {
+            if (canceled) return;
+            canceled = true;
+            inflight.subscribers--;
+            if (inflight.subscribers <= 0) {
+                if (this.inflights[key] === inflight) delete this.inflights[key];
+                inflight.request.cancel();
+            }
+        };
+        return {promise, cancel};
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * 合并相同的请求，用于输入框联想、表单自动保存等场景，通过fetch的options.collapse开启
+ * <br/>
+ * takeLatest：打断未结束的请求，只保留最后一次（singleGet的行为）；
+ * <br/>
+ * takeFirst：有未结束的请求时直接复用，不发送新的请求；
+ * <br/>
+ * debounce：wait毫秒内没有新的调用时才发送，之前的调用被打断；
+ * <br/>
+ * throttle：wait毫秒内最多发送一次，窗口内的调用只保留最后一次，在窗口结束时发送。
+ * <br/>
+ * 被打断的请求与cancel相同，之后的回调都不会触发。
+ * @example
+ * dcFetch.get('/suggest', {keyword}, {collapse: 'takeLatest'});
+ * dcFetch.get('/suggest', {keyword}, {collapse: {strategy: 'debounce', wait: 300, key: url => url}});
+ * dcFetch.put('/drafts/1', form, {collapse: {strategy: 'throttle', wait: 2000}});
+ * @module 合并请求
+ */
+
+import DcRequest from './dc-request';
+import {getCacheKey} from './cache';
+
+const STRATEGIES = ['takeLatest', 'takeFirst', 'debounce', 'throttle'];
+
+/**
+ * 默认的key：method + url + params，get请求的data即params，单个请求的headers等配置同 getCacheKey
+ *
+ * @returns {string}
+ */
+export function getCollapseKey(url, data, method, options = {}) {
+    return getCacheKey(method, url, method === 'get' ? data : options.params, options);
+}
+
+/**
+ * 统一collapse配置
+ *
+ * @param {string|object} collapse 策略名，或者 {strategy, wait, key}
+ * @returns {{strategy: string, wait: number, key: function|string}}
+ */
+export function normalizeCollapse(collapse) {
+    const {
+        strategy = 'takeLatest',
+        wait = 300,
+        key = getCollapseKey,
+    } = typeof collapse === 'string' ? {strategy: collapse} : collapse;
+    if (STRATEGIES.indexOf(strategy) === -1) {
+        throw new Error(`Unknown collapse strategy "${strategy}", expected one of ${STRATEGIES.join(', ')}`);
+    }
+    return {strategy, wait, key};
+}
+
+/**
+ * @param dcFetch DcFetch实例，进行中的请求记录在dcFetch.singleGets中，结束后清除
+ * @param {string} url
+ * @param {object} data
+ * @param {string} method
+ * @param {object} options 带有collapse的fetch配置
+ * @returns {DcRequest}
+ */
+export default function collapse(dcFetch, url, data, method, options) {
+    const {collapse: collapseOptions, ...fetchOptions} = options;
+    const {strategy, wait, key} = normalizeCollapse(collapseOptions);
+    const collapseKey = typeof key === 'function' ? key(url, data, method, fetchOptions) : key;
+    const entries = dcFetch.singleGets;
+    const entry = entries[collapseKey] || {job: null, lastStart: 0};
+    entries[collapseKey] = entry;
+    clearTimeout(entry.cleanupTimer);
+
+    // 请求结束或被打断后清除记录，throttle需要保留到时间窗口结束
+    const release = job => {
+        if (entry.job !== job || entries[collapseKey] !== entry) return;
+        const remaining = strategy === 'throttle' ? entry.lastStart + wait - Date.now() : 0;
+        if (remaining > 0) {
+            entry.cleanupTimer = setTimeout(() => release(job), remaining);
+            return;
+        }
+        delete entries[collapseKey];
+    };
+
+    // 多个调用方共享同一个job，全部cancel之后才打断真正的请求
+    const subscribe = job => {
+        const request = new DcRequest((resolve, reject) => job.promise.then(resolve, reject), () => {
+            job.subscribers = job.subscribers.filter(item => item !== request);
+            if (!job.subscribers.length) job.cancel();
+        }, {rejectOnCancel: fetchOptions.rejectOnCancel});
+        job.subscribers.push(request);
+        return request;
+    };
+
+    const previous = entry.job;
+    if (previous && !previous.done) {
+        if (strategy === 'takeFirst') return subscribe(previous);
+        // throttle不打断已经发出的请求
+        if (strategy !== 'throttle' || !previous.inner) {
+            entry.job = null; // 被替换的job不再清除记录
+            previous.cancel();
+        }
+    }
+
+    const job = {inner: null, timer: null, done: false, subscribers: []};
+    job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+    });
+    job.cancel = () => {
+        if (job.done) return;
+        job.done = true;
+        clearTimeout(job.timer);
+        if (job.inner) job.inner.cancel();
+        job.subscribers.forEach(request => request.cancel());
+        release(job);
+    };
+    const start = () => {
+        entry.lastStart = Date.now();
+        job.inner = dcFetch.fetch(url, data, method, fetchOptions);
+        job.inner.then(result => {
+            job.done = true;
+            release(job);
+            job.resolve(result);
+        }, err => {
+            job.done = true;
+            release(job);
+            job.reject(err);
+        });
+    };
+    entry.job = job;
+
+    const request = subscribe(job);
+    let delay = 0;
+    if (strategy === 'debounce') delay = wait;
+    if (strategy === 'throttle') delay = Math.max(0, entry.lastStart + wait - Date.now());
+    if (delay > 0) {
+        job.timer = setTimeout(start, delay);
+    } else {
+        start();
+    }
+    return request;
+}
@@ -9,6 +9,16 @@
  *    onShowErrorTip: (response, successTip) => true, // 如何全局处理错误
  *    onShowSuccessTip: (err, errorTip) => true, // 如何全局处理成功
  *    isMock: (url, data, method, options) => true, // 如何判断请求是否是mock
+ *    retry: 2, // 失败后重试次数，单个请求可以通过options.retry覆盖
+ *    responseAdapter: response => { // 如何解析后端返回的数据
+ *        const {code, msg, data} = response.data;
+ *        return {success: code === 0, data, code, message: msg};
+ *    },
+ *    auth: { // token过期时自动刷新，并重新发送请求
+ *        getToken: () => localStorage.getItem('token'),
+ *        refreshToken: () => dcFetch.post('/refresh', null, {skipAuth: true}).then(data => localStorage.setItem('token', data.token)),
+ *        onLogout: () => location.href = '/login',
+ *    },
  * });
  *
  * // axios默认配置通过如下方式进行配置：
@@ -22,13 +32,20 @@
  * const getDcFetch = dcFetch.get('/users', {pageNum: 1, pageSize: 10});
  * getDcFetch.then((data, res) => console.log(data, res))
  * .catch(err => console.log(err))
- * .finally(() => { // 如果要使用finally方法，需要对promise对象进行扩展
+ * .finally(() => { // 返回的是DcRequest对象，自带finally方法
  *     this.setState({loading: false}); // 结束loading
  * });
  *
- * // 可以打断请求
- * // 注意：get，post等第一层返回的promise对象拥有cancel方法，以后then返回的promise对象没有cancel方法
- * getDcFetch.cancel();
+ * // 可以打断请求，then catch finally 返回的对象同样拥有cancel方法
+ * getDcFetch.cancel(); // 之后的回调都不会触发
+ * getDcFetch.abort(new Error('离开页面')); // 或者以指定原因失败，会触发catch
+ * getDcFetch.status; // pending fulfilled rejected canceled
+ *
+ * @example
+ * // 缓存get请求，1分钟内直接使用缓存，之后5分钟内先返回旧数据，同时后台刷新
+ * dcFetch.get('/dict', null, {cache: {ttl: 60000, staleWhileRevalidate: 300000}});
+ * dcFetch.cache.set('/dict', null, {list: []}); // 预置缓存数据
+ * dcFetch.cache.invalidate('/dict'); // 清除缓存
  *
  * mockjs 使用单独的实例，可以与真实dcFetch请求实例区分开，
  * 用于正常请求和mock同时使用时，好区分；
@@ -44,11 +61,78 @@
  *     msg: 'success',
  * });
  *
+ * @example
+ * // 使用内置的mock服务，注册过的接口自动走mockInstance，参见 mock-server.js
+ * dcFetch.mock.get('/users/:id', req => ({id: req.params.id}), {delay: 300});
+ *
+ * @example
+ * // 通过插件统一处理请求，真实请求与mock请求都会经过，参见 plugins.js
+ * dcFetch.use({
+ *     name: 'sign',
+ *     onRequest: ctx => {
+ *         ctx.options = {...ctx.options, headers: {...ctx.options.headers, 'X-Sign': sign(ctx.url)}};
+ *     },
+ * });
+ *
+ * @example
+ * // 断网时保存写操作，恢复连接后按顺序重新提交，参见 offline-queue.js
+ * const dcFetch = new DcFetch({offline: {storage: createLocalStorage()}});
+ * dcFetch.offline.on('change', items => console.log(`${items.length}个操作待提交`));
+ *
+ * @example
+ * // 多个后端服务，共享提示、插件等配置，axios默认配置独立
+ * dcFetch.registerService('order', {baseURL: 'https://order.example.com/api', timeout: 30000});
+ * dcFetch.service('order').get('/orders', {pageNum: 1});
+ * dcFetch.service('order').defaults.headers.common['X-App'] = 'admin';
+ *
+ * @example
+ * // 请求统计，参见 metrics.js
+ * dcFetch.metrics.recent(10); // 最近的请求
+ * dcFetch.metrics.summary(); // 按url分组的 p50 p95 errorRate
+ *
+ * @example
+ * // 流式响应，参见 stream.js
+ * const chat = dcFetch.stream('/chat', {question}, {method: 'post', onMessage: ({data}) => append(data)});
+ * chat.cancel(); // 断开连接
+ *
+ * @example
+ * // 服务端渲染，每个页面请求使用独立的子实例，参见 ssr.js
+ * const pageFetch = dcFetch.fork({cookies: req.headers.cookie, baseURL: 'http://127.0.0.1:8080'});
+ * pageFetch.ssr.settled().then(state => ...); // 浏览器中 dcFetch.hydrate(state)
+ *
  * @module dc-tools 中 network工具
  **/
 
 import axios from 'axios';
 import {stringify} from 'qs';
+import {defaultRetryOn, getRetryDelay} from './retry';
+import FetchCache, {getCacheKey, isShareable, normalizeCacheOptions} from './cache';
+import {BusinessError, normalizeError} from './errors';
+import TokenAuth from './auth';
+import DcRequest from './dc-request';
+import MockServer from './mock-server';
+import uploadFiles from './upload';
+import Paginator from './paginate';
+import RequestQueue, {getHost} from './request-queue';
+import {filterPlugins, hasHook, runCancelHooks, runHooks, runRequestHooks} from './plugins';
+import defineApi from './define-api';
+import poll from './poll';
+import batch from './batch';
+import {createReplayAdapter, Recorder} from './record-replay';
+import OfflineQueue from './offline-queue';
+import collapse from './collapse';
+import {applySchema, getDefaultSchemaMode} from './schema';
+import RequestMetrics from './metrics';
+import fork, {takeHydrated} from './ssr';
+import stream from './stream';
+
+// 将带有cancel方法的promise包装成与共享请求一致的订阅
+function createSubscription(request) {
+    return {
+        promise: request,
+        cancel: () => request.cancel(),
+    };
+}
 
 export default class DcFetch {
     /**
@@ -59,11 +143,39 @@ export default class DcFetch {
      * @param onShowErrorTip 如何显示错误提示
      * @param onShowSuccessTip 如何显示成功提示
      * @param isMock 区分哪些请求需要mock，比如：url以约定'/mock'开头的请求，使用mock等方式。
+     * @param retry 失败后默认重试次数，默认0，不重试
+     * @param retryDelay 重试等待的基础时间（毫秒），按指数退避并加入随机抖动；也可以是函数 (attempt, err) => ms
+     * @param retryOn 判断是否需要重试 (err, attempt, config) => boolean，默认只对幂等请求的网络错误、超时、5xx、429进行重试
+     * @param dedupe 相同 url + params 的get请求未结束时，是否共享同一个请求，默认true
+     * @param responseAdapter 解析后端返回的数据 response => ({success, data, code, message})，
+     * success为false时，请求以BusinessError失败，message会代替errorTip传给onShowErrorTip；默认直接返回response.data
+     * @param auth token刷新配置 {getToken, refreshToken, isAuthError, applyToken, onLogout}，参见 auth.js，
+     * 真实请求与mock请求使用同一套流程
+     * @param maxConcurrent 最大并发请求数，超过的请求按priority排队，默认不限制
+     * @param maxConcurrentPerHost 每个host的最大并发数，数字或者 {host: 并发数}，默认不限制
+     * @param offline 离线提交配置 {storage, methods, isNetworkError, onConflict, queuedTip, autoReplay}，参见 offline-queue.js，
+     * 默认不开启
+     * @param schemaMode 响应校验失败时的处理 reject以ValidationError失败，warn只在控制台警告，off不校验；
+     * 默认NODE_ENV为development时warn，否则reject
+     * @param onMetrics 请求统计的上报函数 records => void，参见 metrics.js
+     * @param metrics 请求统计配置 {sampleRate, batchSize, flushInterval, bufferSize, getPattern}
      */
     constructor({
                     onShowSuccessTip = (/* response, successTip  */) => true,
                     onShowErrorTip = (/* err, errorTip */) => true,
                     isMock = (/* url, data, method, options */) => false,
+                    retry = 0,
+                    retryDelay = 300,
+                    retryOn = defaultRetryOn,
+                    dedupe = true,
+                    responseAdapter = response => ({success: true, data: response.data}),
+                    auth,
+                    maxConcurrent = Infinity,
+                    maxConcurrentPerHost = Infinity,
+                    offline,
+                    schemaMode = getDefaultSchemaMode(),
+                    onMetrics,
+                    metrics,
                 } = {}) {
         this.instance = axios.create();
         this.mockInstance = axios.create();
@@ -75,6 +187,28 @@ export default class DcFetch {
         this.onShowSuccessTip = onShowSuccessTip;
         this.onShowErrorTip = onShowErrorTip;
         this.isMock = isMock;
+        this.retry = retry;
+        this.retryDelay = retryDelay;
+        this.retryOn = retryOn;
+        this.dedupe = dedupe;
+        this.responseAdapter = responseAdapter;
+        this.schemaMode = schemaMode;
+        this.auth = auth ? new TokenAuth(auth) : null;
+        this.cache = new FetchCache();
+        this.queue = new RequestQueue({maxConcurrent, maxConcurrentPerHost});
+        this.plugins = [];
+        this.mock = new MockServer(this.mockInstance.defaults.adapter);
+        this.mockInstance.defaults.adapter = this.mock.adapter;
+        this.metrics = new RequestMetrics({...metrics, onMetrics});
+        this.services = {};
+        this.serviceName = null;
+        this.hydrated = {}; // 服务端渲染的结果，参见 ssr.js
+        this.ssr = null;
+        this.offline = null;
+        if (offline) {
+            this.offline = new OfflineQueue(this, offline === true ? {} : offline);
+            this.use(this.offline);
+        }
     }
 
     setDefaultOption(instance) {
@@ -91,38 +225,148 @@ export default class DcFetch {
      * @param data
      * @param method
      * @param options 配置数据，最常用是【successTip】属性，也可以把url data method options覆盖掉；
-     * @returns {Promise}
+     * 【retry】【retryDelay】【retryOn】可以覆盖实例的重试配置；
+     * 【cache】开启get请求缓存 true 或 {ttl, staleWhileRevalidate}，单位毫秒；
+     * 【dedupe】是否共享进行中的相同get请求，覆盖实例配置；
+     * 【raw】为true时不经过responseAdapter，直接返回response.data；
+     * 【skipAuth】为true时不走token刷新流程，refreshToken中使用dcFetch发送的请求需要设置；
+     * 【priority】排队时的优先级，越大越先发送，默认0；
+     * 【skipPlugins】跳过插件，true跳过全部，或者插件name数组；
+     * 【offline】为false时断网不保存到离线队列，含有函数的配置需要为offline.register注册的名称；
+     * 【rejectOnCancel】为true时cancel会以CanceledError失败，默认false，cancel之后不触发任何回调；
+     * 【schema】校验responseAdapter之后的数据，JSON Schema子集或校验函数，参见 schema.js；
+     * 【transform】校验之后对数据进行转换，函数或函数数组，如 parseDates withDefaults；
+     * 【schemaMode】reject warn off，覆盖实例配置；
+     * 【collapse】合并相同的请求 'takeLatest' 'takeFirst' 或 {strategy, wait, key}，strategy还可以是debounce throttle，参见 collapse.js；
+     * @returns {DcRequest} 失败时为 errors.js 中的错误类型
      */
     fetch(url, data = {}, method = 'get', options = {}) {
         // 有 null的情况
         data = data || {};
         options = options || {};
 
+        if (options.collapse) return collapse(this, url, data, method, options);
+
+        const plugins = filterPlugins(this.plugins, options.skipPlugins);
+        const ctx = {url, data, method, options, dcFetch: this};
+        let subscription;
+        let canceled = false;
+        let settled = false; // 已经成功或失败，之后的cancel不再触发onCancel
+        const finishMetrics = this.metrics.start(url, method, this.serviceName);
+        const finishSsr = this.ssr ? this.ssr.track(ctx) : () => null; // 服务端渲染时收集进行中的请求
+
+        return new DcRequest((resolve, reject) => {
+            // 提示、统计等回调出错时同样结束请求，服务端渲染不会一直等待
+            const fail = err => {
+                settled = true;
+                reject(err);
+                finishSsr();
+            };
+            const onError = err => {
+                runHooks(plugins, 'onError', err, ctx).then(error => {
+                    const {
+                        errorTip = ctx.method === 'get' ? '获取数据失败！' : '操作失败！', // 默认失败提示
+                    } = ctx.options;
+                    // 业务错误优先提示后端返回的信息
+                    const tip = error instanceof BusinessError && errorTip !== false ? (error.message || errorTip) : errorTip;
+                    // token刷新失败由auth.onLogout统一处理，不再逐个提示
+                    if (!this.auth || !this.auth.isRefreshFailure(error)) {
+                        this.onShowErrorTip(error, tip);
+                    }
+                    settled = true;
+                    finishMetrics('error', {error, config: ctx.config, isMock: ctx.isMock});
+                    reject(error);
+                    finishSsr();
+                }).catch(fail);
+            };
+            const onSuccess = response => {
+                runHooks(plugins, 'onResponse', response, ctx).then(res => {
+                    const {successTip = false} = ctx.options; // 默认false，不展示
+                    let outcome;
+                    try {
+                        const {data: adapted, error} = this.adaptResponse(res, ctx.config, ctx.options.raw);
+                        outcome = error ? {error} : applySchema(adapted, {
+                            schemaMode: this.schemaMode,
+                            ...ctx.options,
+                        }, {response: res, config: ctx.config});
+                    } catch (e) {
+                        // responseAdapter出错（如204没有响应体）时同样走失败流程
+                        outcome = {error: e};
+                    }
+                    const {data: result, error: invalid} = outcome;
+                    if (invalid) {
+                        onError(invalid);
+                        return;
+                    }
+                    this.onShowSuccessTip(res, successTip);
+                    settled = true;
+                    finishMetrics('success', {
+                        response: res,
+                        config: ctx.config,
+                        isMock: ctx.isMock,
+                        cached: subscription === null, // 直接使用了缓存
+                    });
+                    resolve(result, res);
+                    finishSsr();
+                }, onError).catch(fail);
+            };
+            const start = () => {
+                if (canceled) return;
+                subscription = this.dispatch(ctx, onSuccess, onError);
+            };
+
+            // 没有onRequest时同步发送
+            if (hasHook(plugins, 'onRequest')) {
+                runRequestHooks(plugins, ctx).then(start, onError);
+            } else {
+                start();
+            }
+        }, reason => {
+            if (settled) return;
+            canceled = true;
+            if (subscription) subscription.cancel();
+            runCancelHooks(plugins, ctx);
+            finishMetrics('canceled', {
+                config: ctx.config,
+                isMock: ctx.isMock,
+                cancelReason: reason ? (reason.message || String(reason)) : 'cancel',
+            });
+            finishSsr();
+        }, {rejectOnCancel: options.rejectOnCancel});
+    }
+
+    /**
+     * 根据插件处理之后的ctx，选择axios实例、处理缓存并发送请求，fetch内部使用
+     *
+     * @param ctx {url, data, method, options}，会补充 config isMock
+     * @param onSuccess 成功回调 response => void
+     * @param onError 失败回调 err => void
+     * @returns {object|null} 订阅 {promise, cancel}，直接使用缓存时返回null
+     */
+    dispatch(ctx, onSuccess, onError) {
+        let {url, data, method, options} = ctx;
+        data = data || {};
+        options = options || {};
+
         let {
-            successTip = false, // 默认false，不展示
-            errorTip = method === 'get' ? '获取数据失败！' : '操作失败！', // 默认失败提示
+            retry = this.retry,
+            retryDelay = this.retryDelay,
+            retryOn = this.retryOn,
+            cache, // get请求缓存配置 {ttl, staleWhileRevalidate}
+            dedupe = this.dedupe,
+            raw = false,
         } = options;
 
-        const CancelToken = axios.CancelToken;
-        let cancel;
-
         const isGet = method === 'get';
-        const isMock = this.isMock(url, data, method, options);
+        const isMock = this.isMock(url, data, method, options) || !!this.mock.match({
+            method,
+            url,
+            params: isGet ? data : options.params,
+            data: isGet ? undefined : data,
+        });
 
         let instance = this.instance;
 
-        /**
-         * 封装内不做处理，如果需要，通过如下方式，或者其他方法自行处理
-         * axiosInstance.interceptors.request.use(cfg => {
-         *   // Do something before request is sent
-         *   return cfg;
-         * }, error => {
-         *   // Do something with request error
-         *   return Promise.reject(error);
-         * });
-         *
-         **/
-
         if (isMock) {
             instance = this.mockInstance;
         }
@@ -148,32 +392,254 @@ export default class DcFetch {
             data = {}; // data 是put、post 等请求发送的数据
         }
 
-        const fetchPromise = new Promise((resolve, reject) => {
-            instance({
-                method,
-                url,
-                data,
-                params,
-                cancelToken: new CancelToken(c => cancel = c),
-                ...options,
-            }).then(response => {
-                this.onShowSuccessTip(response, successTip);
-                resolve(response.data, response);
-            }, err => {
-                const isCanceled = err && err.message && err.message.canceled;
-                if (isCanceled) return; // 如果是用户主动cancel，不做任何处理，不会触发任何函数
-                this.onShowErrorTip(err, errorTip);
-                reject(err);
-            }).catch(error => {
-                reject(error);
-            });
+        const config = {
+            method,
+            url,
+            data,
+            params,
+            ...options,
+        };
+        ctx.config = config;
+        ctx.isMock = isMock;
+        const send = () => this.sendRequest(instance, config, {retry, retryDelay, retryOn});
+
+        // 服务端渲染时已经获取过的结果，只使用一次
+        const hydrated = isGet ? takeHydrated(this, config) : undefined;
+        if (hydrated) {
+            Promise.resolve({...hydrated, config}).then(onSuccess);
+            return null;
+        }
+
+        const shareable = isGet && isShareable(options);
+        const cacheOptions = shareable ? normalizeCacheOptions(cache) : null;
+        const cacheKey = getCacheKey(method, url, params, options);
+
+        // 发送请求，get请求默认共享进行中的相同请求
+        const request = () => {
+            const sub = shareable && dedupe
+                ? this.cache.share(cacheKey, send)
+                : createSubscription(send());
+            if (cacheOptions) {
+                sub.promise.then(response => {
+                    let adapted;
+                    try {
+                        adapted = this.adaptResponse(response, config, raw);
+                    } catch (e) {
+                        return; // responseAdapter出错时由fetch走失败流程
+                    }
+                    // 业务失败的结果不缓存
+                    if (!adapted.error) {
+                        this.cache.setEntry(cacheKey, {url, params, response}, cacheOptions);
+                    }
+                }, () => null);
+            }
+            return sub;
+        };
+
+        if (cacheOptions) {
+            const entry = this.cache.getEntry(cacheKey);
+            if (entry) {
+                // 已过期但仍在staleWhileRevalidate时间内，先返回旧数据，后台刷新
+                if (Date.now() > entry.expires) request();
+                Promise.resolve(entry.response).then(onSuccess);
+                return null;
+            }
+        }
+
+        const subscription = request();
+        subscription.promise.then(onSuccess, onError);
+        return subscription;
+    }
+
+    /**
+     * 注册插件，插件按注册顺序执行，参见 plugins.js
+     *
+     * @param {object} plugin {name, onRequest, onResponse, onError, onCancel}
+     * @returns {DcFetch} 可以链式调用
+     */
+    use(plugin) {
+        this.plugins.push(plugin);
+        return this;
+    }
+
+    /**
+     * 注册一个服务，服务使用独立的axios实例及默认配置，缓存也是独立的；
+     * 与dcFetch共享提示、插件、鉴权、mock服务、并发控制等
+     *
+     * @param {string} name 服务名
+     * @param {object} [options] axios默认配置，如 baseURL headers timeout；isMock 覆盖dcFetch的isMock
+     * @returns {DcFetch} 服务，拥有dcFetch的全部请求方法
+     */
+    registerService(name, {isMock, headers, ...axiosDefaults} = {}) {
+        const service = Object.create(this);
+        service.serviceName = name;
+        service.instance = axios.create();
+        service.mockInstance = axios.create();
+        [service.instance, service.mockInstance].forEach(instance => {
+            this.setDefaultOption(instance);
+            Object.assign(instance.defaults, axiosDefaults);
+            Object.assign(instance.defaults.headers.common, headers);
         });
-        fetchPromise.cancel = function () {
-            cancel({
-                canceled: true,
-            });
+        service.mockInstance.defaults.adapter = this.mock.adapter;
+        service.defaults = service.instance.defaults;
+        service.mockDefaults = service.mockInstance.defaults;
+        if (isMock) service.isMock = isMock;
+        service.cache = new FetchCache();
+        service.singleGets = {};
+
+        this.services[name] = service;
+        return service;
+    }
+
+    /**
+     * 创建服务端渲染使用的子实例，每个页面请求一个，参见 ssr.js
+     *
+     * @param {object} [options] {headers, cookies, baseURL}，baseURL为绝对地址，相对的baseURL基于它解析
+     * @returns {DcFetch} 子实例，child.ssr.settled() 等待全部请求结束，child.ssr.serialize() 序列化get请求的结果
+     */
+    fork(options) {
+        return fork(this, options);
+    }
+
+    /**
+     * 使用服务端渲染的结果，相同的get请求不再发送，每个结果只使用一次
+     *
+     * @param {string|object} state child.ssr.serialize() 或 child.ssr.getState() 的结果
+     * @returns {DcFetch} 可以链式调用
+     */
+    hydrate(state) {
+        Object.assign(this.hydrated, typeof state === 'string' ? JSON.parse(state) : state);
+        return this;
+    }
+
+    /**
+     * 开始录制instance发出的请求，参见 record-replay.js
+     *
+     * @param {object} [options] {redactHeaders}，默认隐藏 authorization cookie set-cookie 的值
+     * @returns {Recorder} recorder.toHar() 取出录制的数据，recorder.stop() 停止录制
+     */
+    record(options) {
+        const instance = this.instance;
+        const recorder = new Recorder(instance.defaults.adapter, () => {
+            if (instance.defaults.adapter === recorder.adapter) instance.defaults.adapter = recorder.originalAdapter;
+        }, options);
+        instance.defaults.adapter = recorder.adapter;
+        return recorder;
+    }
+
+    /**
+     * 使用录制的数据作为instance的adapter，不再发送真实请求，参见 record-replay.js
+     *
+     * @param {object|Array} har HAR数据或者entries数组
+     * @param {object} [options] {match, ignoreParams, fallbackAdapter}
+     * @returns {function} 回放adapter，adapter.history为回放过的请求
+     */
+    replay(har, options) {
+        const adapter = createReplayAdapter(har, options);
+        this.instance.defaults.adapter = adapter;
+        return adapter;
+    }
+
+    /**
+     * 获取registerService注册的服务
+     *
+     * @param {string} name 服务名
+     * @returns {DcFetch}
+     */
+    service(name) {
+        const service = this.services[name];
+        if (!service) throw new Error(`Service "${name}" is not registered`);
+        return service;
+    }
+
+    /**
+     * 使用responseAdapter解析后端返回的数据，fetch内部使用
+     *
+     * @param response axios response
+     * @param config axios 配置参数
+     * @param raw 是否跳过responseAdapter
+     * @returns {{data, error}} 业务失败时error为BusinessError
+     */
+    adaptResponse(response, config, raw) {
+        if (raw) return {data: response.data};
+
+        const {success, data, code, message} = this.responseAdapter(response);
+        if (success) return {data};
+
+        return {error: new BusinessError(message, {businessCode: code, response, config})};
+    }
+
+    /**
+     * 真正发送请求，处理token刷新、排队、失败重试，fetch内部使用
+     *
+     * @param instance axios实例
+     * @param config axios 配置参数
+     * @param retryOptions {retry, retryDelay, retryOn}
+     * @returns {Promise} 带有cancel方法；最后一次失败才会reject，axios的错误会转换为 errors.js 中的类型，cancel之后不会触发任何函数
+     */
+    sendRequest(instance, config, {retry = 0, retryDelay, retryOn}) {
+        const CancelToken = axios.CancelToken;
+        let cancel;
+        let canceled = false;
+        let retryTimer;
+        let dequeue;
+
+        const auth = config.skipAuth ? null : this.auth;
+        let replayed = false; // 鉴权失败只重新发送一次
+
+        const requestPromise = new Promise((resolve, reject) => {
+            const send = attempt => {
+                // 有token刷新流程时，等待刷新结束并写入token
+                const prepare = auth ? auth.prepare(config) : Promise.resolve({config});
+                prepare.then(({config: cfg, token}) => {
+                    if (canceled) return;
+                    // 超过并发上限时排队等待
+                    const queued = this.queue.schedule(() => instance({
+                        cancelToken: new CancelToken(c => cancel = c),
+                        ...cfg,
+                        retryCount: attempt, // 用于请求统计
+                    }), {
+                        method: cfg.method,
+                        url: cfg.url,
+                        host: getHost(cfg.url, cfg.baseURL || instance.defaults.baseURL),
+                        priority: cfg.priority,
+                    });
+                    dequeue = queued.cancel;
+                    queued.promise.then(resolve, err => {
+                        if (axios.isCancel(err) || canceled) return; // 如果是用户主动cancel，不做任何处理，不会触发任何函数
+
+                        if (auth && !replayed && auth.isAuthError(err)) {
+                            replayed = true;
+                            auth.handleAuthError(token).then(() => {
+                                if (!canceled) send(attempt);
+                            }, error => {
+                                if (!canceled) reject(error);
+                            });
+                            return;
+                        }
+
+                        const nextAttempt = attempt + 1;
+                        if (attempt < retry && retryOn(err, nextAttempt, config)) {
+                            // 重试过程中不提示错误，最后一次失败之后才提示
+                            retryTimer = setTimeout(() => send(nextAttempt), getRetryDelay(retryDelay, nextAttempt, err));
+                            return;
+                        }
+                        reject(normalizeError(err, cfg));
+                    });
+                }, error => {
+                    // 排队期间token刷新失败
+                    if (!canceled) reject(error);
+                });
+            };
+            send(0);
+        });
+        requestPromise.cancel = function () {
+            canceled = true;
+            clearTimeout(retryTimer); // 等待中的重试也不再发送
+            if (dequeue) dequeue(); // 还在排队的请求直接移出队列
+            if (cancel) cancel('Request canceled');
         };
-        return fetchPromise;
+        return requestPromise;
     }
 
     /**
@@ -181,7 +647,7 @@ export default class DcFetch {
      * @param {string} url 请求路径
      * @param {object} [params] 传输给后端的数据，正常请求会转换成query string 拼接到url后面
      * @param {object} [options] axios 配置参数
-     * @returns {Promise}
+     * @returns {DcRequest}
      */
     get(url, params, options) {
         return this.fetch(url, params, 'get', options);
@@ -192,7 +658,7 @@ export default class DcFetch {
      * @param {string} url 请求路径
      * @param {object} [data] 传输给后端的数据
      * @param {object} [options] axios 配置参数
-     * @returns {Promise}
+     * @returns {DcRequest}
      */
     post(url, data, options) {
         return this.fetch(url, data, 'post', options);
@@ -204,7 +670,7 @@ export default class DcFetch {
      * @param {string} url 请求路径
      * @param {object} [data] 传输给后端的数据
      * @param {object} [options] axios 配置参数
-     * @returns {Promise}
+     * @returns {DcRequest}
      */
     put(url, data, options) {
         return this.fetch(url, data, 'put', options);
@@ -215,7 +681,7 @@ export default class DcFetch {
      * @param {string} url 请求路径
      * @param {object} [data] 传输给后端的数据
      * @param {object} [options] axios 配置参数
-     * @returns {Promise}
+     * @returns {DcRequest}
      */
     patch(url, data, options) {
         return this.fetch(url, data, 'patch', options);
@@ -226,31 +692,97 @@ export default class DcFetch {
      * @param {string} url 请求路径
      * @param {object} [data] 传输给后端的数据
      * @param {object} [options] axios 配置参数
-     * @returns {Promise}
+     * @returns {DcRequest}
      */
     del(url, data, options) {
         return this.fetch(url, data, 'delete', options);
     }
 
+    /**
+     * 上传文件，构建multipart请求体，支持汇总进度、分片上传、断点续传，参见 upload.js
+     *
+     * @param {string} url 上传地址
+     * @param {File|File[]|FileList|object} files 文件，也可以是 {字段名: File | File数组 | FileList}
+     * @param {object} [fields] 其他表单字段
+     * @param {object} [options] {onProgress, chunkSize, concurrency, chunkRetry, resumable}，其他同fetch
+     * @returns {DcRequest}
+     */
+    upload(url, files, fields, options) {
+        return uploadFiles(this, url, files, fields, options);
+    }
+
+    /**
+     * 遍历分页接口，返回的对象可以作为异步迭代器使用，也可以通过fetchAll获取全部数据，参见 paginate.js
+     *
+     * @param {string} url 请求路径
+     * @param {object} [params] 请求参数
+     * @param {object} [options] {pageParam, sizeParam, getItems, getTotal, hasMore, getNextParams}，其他同fetch
+     * @returns {Paginator}
+     */
+    paginate(url, params, options) {
+        return new Paginator(this, url, params, options);
+    }
+
+    /**
+     * 声明式定义接口，参见 define-api.js
+     *
+     * @param {object} endpoints {接口名: 'GET /users/:id' | {method, url, ...options}}
+     * @returns {object} {接口名: (args, options) => DcRequest}
+     */
+    defineApi(endpoints) {
+        return defineApi(this, endpoints);
+    }
+
+    /**
+     * 轮询，until满足时结束，页面隐藏时暂停，参见 poll.js
+     *
+     * @param {string} url 请求路径
+     * @param {object} [params] 请求参数
+     * @param {object} [options] {interval, until, onTick, maxAttempts, backoff, pauseWhenHidden}，其他同fetch
+     * @returns {DcRequest}
+     */
+    poll(url, params, options) {
+        return poll(this, url, params, options);
+    }
+
+    /**
+     * 批量请求，windowMs内的多次调用合并为一次批量接口请求，参见 batch.js
+     *
+     * @param {string} url 单项接口，如 '/users/:id'
+     * @param {object} [options] {batchUrl, buildBatchRequest, splitResponse, getKey, maxBatchSize, windowMs, ...fetchOptions}
+     * @returns {function} (args) => DcRequest
+     */
+    batch(url, options) {
+        return batch(this, url, options);
+    }
+
+    /**
+     * 流式请求，逐条回调onMessage，用于AI对话、日志等场景，参见 stream.js
+     *
+     * @param {string} url 请求路径
+     * @param {object} [data] get请求作为query，其他请求作为JSON请求体
+     * @param {object} [options] {format, onMessage, onOpen, reconnect, lastEventId, json, method, errorTip}，其他同axios配置
+     * @returns {DcRequest} 数据读取完时成功，cancel时断开连接
+     */
+    stream(url, data, options) {
+        return stream(this, url, data, options);
+    }
+
+    // 合并请求的记录，请求结束后清除，参见 collapse.js
     singleGets = {};
 
     /**
      * 发送新的相同url的get请求，历史未结束相同url请求就会被打断，同一个url请求，最终只会触发一次
-     * 用于输入框，根据输入远程获取提示等场景
+     * 用于输入框，根据输入远程获取提示等场景；
+     * 等同于 options.collapse = {strategy: 'takeLatest', key: url}，需要区分参数时直接使用collapse
      *
      * @param {string} url 请求路径
      * @param {object} [params] 传输给后端的数据
      * @param {object} [options] axios 配置参数
-     * @returns {Promise}
+     * @returns {DcRequest}
      */
     singleGet(url, params, options) {
-        const oldFetch = this.singleGets[url];
-        if (oldFetch) {
-            oldFetch.cancel();
-        }
-        const singleFetch = this.fetch(url, params, 'get', options);
-        this.singleGets[url] = singleFetch;
-        return singleFetch;
+        return this.fetch(url, params, 'get', {...options, collapse: {strategy: 'takeLatest', key: url}});
     }
 
 }
@@ -0,0 +1,176 @@
+/**
+ * dcFetch请求返回的对象，用法与Promise相同，
+ * then catch finally 返回的对象依然拥有 cancel abort 方法，可以打断整个请求链；
+ * 自带 finally done 方法，不需要对全局Promise进行扩展。
+ * <br/>
+ * cancel：打断请求，之后的回调都不会触发；设置了rejectOnCancel时与abort相同，以CanceledError失败；
+ * <br/>
+ * abort：打断请求，并以reason失败，之后的catch会被触发。
+ * @module 可打断的请求对象
+ */
+
+import {CanceledError} from './errors';
+
+export const PENDING = 'pending';
+export const FULFILLED = 'fulfilled';
+export const REJECTED = 'rejected';
+export const CANCELED = 'canceled';
+
+export default class DcRequest {
+    /**
+     * @param {function} executor 与Promise相同 (resolve, reject) => void
+     * @param {function} [onCancel] cancel或abort时调用，用于打断真正的请求 (reason) => void，cancel时reason为undefined
+     * @param {object} [options]
+     * @param {boolean} [options.rejectOnCancel] cancel时是否以CanceledError失败，默认false
+     */
+    constructor(executor, onCancel, {rejectOnCancel = false} = {}) {
+        // 同一个请求链上的所有对象共享controller
+        this.controller = {
+            canceled: false, // cancel之后不再触发任何回调
+            aborted: false,
+            onCancel,
+            rejectOnCancel,
+            requests: [],
+        };
+        this.init(executor);
+    }
+
+    // 创建promise，通过包装后的resolve reject记录status，不在promise上额外注册失败回调，
+    // 回调中抛出的错误没有被catch时，与原生Promise一样触发unhandledRejection
+    init(executor) {
+        this.status = PENDING;
+        this.controller.requests.push(this);
+        this.promise = new Promise((resolve, reject) => {
+            const fulfill = value => {
+                resolve(value);
+                this.settle(FULFILLED);
+            };
+            this.reject = reason => {
+                reject(reason);
+                this.settle(REJECTED);
+            };
+            // thenable由这里展开，结束之前promise不会被锁定，abort依然可以使其失败
+            const adopt = value => {
+                if (!value || (typeof value !== 'object' && typeof value !== 'function')) {
+                    fulfill(value);
+                    return;
+                }
+                try {
+                    const then = value.then;
+                    if (typeof then === 'function') {
+                        then.call(value, adopt, this.reject);
+                    } else {
+                        fulfill(value);
+                    }
+                } catch (e) {
+                    this.reject(e);
+                }
+            };
+            executor(adopt, this.reject);
+        });
+    }
+
+    settle(status) {
+        if (this.status === PENDING) this.status = status;
+    }
+
+    // 基于同一个controller创建新的请求对象
+    derive(executor) {
+        const request = Object.create(DcRequest.prototype);
+        request.controller = this.controller;
+        request.init(executor);
+        return request;
+    }
+
+    then(onFulfilled, onRejected) {
+        const controller = this.controller;
+        const handle = (callback, value, resolve, reject, fallback) => {
+            if (controller.canceled) return;
+            if (typeof callback !== 'function') {
+                fallback(value);
+                return;
+            }
+            try {
+                resolve(callback(value));
+            } catch (e) {
+                reject(e);
+            }
+        };
+        return this.derive((resolve, reject) => {
+            this.promise.then(
+                value => handle(onFulfilled, value, resolve, reject, resolve),
+                reason => handle(onRejected, reason, resolve, reject, reject),
+            );
+        });
+    }
+
+    catch(onRejected) {
+        return this.then(undefined, onRejected);
+    }
+
+    /**
+     * 不管成功失败都会执行callback，cancel之后不会执行
+     *
+     * @param {function} callback
+     * @returns {DcRequest}
+     */
+    finally(callback) {
+        return this.then(
+            value => Promise.resolve(callback()).then(() => value),
+            reason => Promise.resolve(callback()).then(() => {
+                throw reason;
+            }),
+        );
+    }
+
+    /**
+     * 总是处于回调链的尾端，保证抛出任何可能出现的错误
+     *
+     * @param {function} [onFulfilled]
+     * @param {function} [onRejected]
+     */
+    done(onFulfilled, onRejected) {
+        this.then(onFulfilled, onRejected)
+            .catch(reason => {
+                // 抛出一个全局错误
+                setTimeout(() => {
+                    throw reason;
+                }, 0);
+            });
+    }
+
+    // 将请求链上未结束的对象标记为已取消，并打断真正的请求，abort时将reason传给onCancel
+    stop(reason) {
+        const controller = this.controller;
+        controller.requests.forEach(request => request.settle(CANCELED));
+        if (controller.onCancel) controller.onCancel(reason);
+    }
+
+    /**
+     * 打断请求，之后的then catch finally 都不会触发
+     */
+    cancel() {
+        if (this.controller.rejectOnCancel) {
+            this.abort(new CanceledError());
+            return;
+        }
+        if (this.controller.canceled || this.controller.aborted) return;
+        this.controller.canceled = true;
+        this.stop();
+    }
+
+    /**
+     * 打断请求，并以reason失败
+     *
+     * @param {*} [reason] 失败原因
+     */
+    abort(reason = new CanceledError('Request aborted')) {
+        if (this.controller.canceled || this.controller.aborted) return;
+        this.controller.aborted = true;
+        this.stop(reason);
+        // 根请求失败后沿请求链传递；根请求已经结束时，当前对象也直接失败，不再等待之前的回调
+        const root = this.controller.requests[0];
+        root.reject(reason);
+        if (this !== root) this.reject(reason);
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * 声明式定义接口，避免在各处拼接url
+ * @example
+ * const userApi = dcFetch.defineApi({
+ *     getUsers: '/users', // 默认get
+ *     getUser: 'GET /users/:id',
+ *     updateUser: {method: 'put', url: '/users/:id', successTip: '保存成功'},
+ *     deleteUser: {method: 'delete', url: '/users/:id', successTip: '删除成功'},
+ *     batchDelete: 'POST /users/batch-delete',
+ * });
+ *
+ * userApi.getUsers({pageNum: 1}); // GET /users?pageNum=1
+ * userApi.getUser(1); // 只有一个路径参数时可以直接传值
+ * userApi.updateUser({id: 1, name: '张三'}); // PUT /users/1 body: {name: '张三'}
+ * userApi.deleteUser({id: 1}, {successTip: false}); // 第二个参数同fetch的options，覆盖接口定义中的配置
+ * userApi.batchDelete([1, 2, 3]); // 数组、FormData等请求体原样发送
+ *
+ * // 配合createDcFetchHoc，组件卸载时同样会cancel
+ * @dcFetch({apis: {userApi}})
+ * class SomeComponent extends Component {...} // this.props.userApi.getUser(1)
+ * @module 声明式接口
+ */
+
+import DcRequest from './dc-request';
+
+const PATH_PARAM = /:([a-zA-Z_]\w*)/g;
+
+/**
+ * 统一接口定义的格式
+ *
+ * @param {string|object} definition 'GET /users/:id' 或者 {method, url, ...options}
+ * @returns {object} {method, url, options}
+ */
+export function parseEndpoint(definition) {
+    if (typeof definition === 'string') {
+        const parts = definition.trim().split(/\s+/);
+        const [method, url] = parts.length > 1 ? parts : ['get', parts[0]];
+        return {method: normalizeMethod(method), url, options: {}};
+    }
+
+    const {method = 'get', url, ...options} = definition;
+    return {method: normalizeMethod(method), url, options};
+}
+
+function normalizeMethod(method) {
+    const lower = method.toLowerCase();
+    return lower === 'del' ? 'delete' : lower;
+}
+
+// 接口定义中的配置与调用时的配置合并，headers合并，其他以调用时为准
+function mergeOptions(defaults, options) {
+    if (!options) return defaults;
+    return {
+        ...defaults,
+        ...options,
+        headers: {
+            ...defaults.headers,
+            ...options.headers,
+        },
+    };
+}
+
+// 只有普通对象会拆分出路径参数，数组、FormData、Blob等请求体原样发送
+function isPlainObject(value) {
+    if (!value || Object.prototype.toString.call(value) !== '[object Object]') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * 填充路径参数，返回路径以及剩余的参数
+ *
+ * @param {string} url '/users/:id'
+ * @param {*} args 参数对象；只有一个路径参数时，也可以直接传值；数组、FormData等不是普通对象的请求体原样作为rest
+ * @returns {{path: string, rest: *}}
+ */
+export function fillPath(url, args) {
+    const keys = [];
+    url.replace(PATH_PARAM, (match, key) => keys.push(key));
+
+    const plain = isPlainObject(args);
+    const isObject = args !== null && typeof args === 'object';
+    const values = plain ? args : (!isObject && keys.length === 1 ? {[keys[0]]: args} : {});
+    const rest = plain ? {...args} : (isObject ? args : {});
+    const path = url.replace(PATH_PARAM, (match, key) => {
+        const value = values[key];
+        if (value === undefined || value === null) {
+            throw new Error(`Missing path param "${key}" for ${url}`);
+        }
+        if (plain) delete rest[key];
+        return encodeURIComponent(value);
+    });
+    return {path, rest};
+}
+
+/**
+ * @param client 发送请求的对象，需要有fetch方法，一般是DcFetch实例
+ * @param {object} endpoints {接口名: 接口定义}
+ * @returns {object} {接口名: (args, options) => DcRequest}，缺少路径参数时返回失败的DcRequest
+ */
+export default function defineApi(client, endpoints) {
+    const api = {};
+    Object.keys(endpoints).forEach(name => {
+        const {method, url, options: defaults} = parseEndpoint(endpoints[name]);
+        api[name] = (args, options) => {
+            let filled;
+            try {
+                filled = fillPath(url, args);
+            } catch (err) {
+                // 缺少路径参数时与请求失败一样，可以直接catch
+                return new DcRequest((resolve, reject) => reject(err));
+            }
+            // get请求剩余参数作为query，其他请求作为body
+            return client.fetch(filled.path, filled.rest, method, mergeOptions(defaults, options));
+        };
+    });
+
+    // 使用其他client发送请求，如createDcFetchHoc中可以统一cancel的client
+    Object.defineProperty(api, 'withClient', {
+        value: other => defineApi(other, endpoints),
+    });
+    return api;
+}
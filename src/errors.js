@@ -0,0 +1,186 @@
+/**
+ * dcFetch 抛出的错误类型，都继承自DcFetchError，带有请求配置config以及固定的code：
+ * <br/>
+ * NetworkError ERR_NETWORK：网络错误，没有收到响应；
+ * <br/>
+ * TimeoutError ERR_TIMEOUT：请求超时；
+ * <br/>
+ * HttpError ERR_HTTP：http状态码错误，带有status body；
+ * <br/>
+ * CanceledError ERR_CANCELED：请求被cancel或abort；
+ * <br/>
+ * BusinessError ERR_BUSINESS：业务错误，后端返回的业务code在businessCode中；
+ * <br/>
+ * ValidationError ERR_VALIDATION：响应数据不符合schema，带有errors。
+ * <br/>
+ * 注：babel转换后的class无法正确继承Error，这里使用原型的方式
+ * @example
+ * dcFetch.get('/users').catch(err => {
+ *     if (err instanceof HttpError && err.status === 404) ...
+ *     if (err.code === 'ERR_NETWORK') ...
+ *     if (isCancel(err)) return;
+ * });
+ * @module 错误类型
+ */
+
+import axios from 'axios';
+
+function inherit(ErrorType, Parent) {
+    ErrorType.prototype = Object.create(Parent.prototype);
+    ErrorType.prototype.constructor = ErrorType;
+}
+
+/**
+ * 所有dcFetch错误的基类
+ *
+ * @param {string} message 错误信息
+ * @param {object} [extra]
+ * @param {string} [extra.code] 错误类型code，默认ERR_DC_FETCH
+ * @param {object} [extra.config] axios 请求配置
+ * @param {object} [extra.response] axios response
+ * @param {*} [extra.cause] 原始错误
+ * @constructor
+ */
+export function DcFetchError(message, {code = 'ERR_DC_FETCH', config, response, cause} = {}) {
+    this.name = 'DcFetchError';
+    this.message = message;
+    this.code = code;
+    this.config = config;
+    this.response = response;
+    this.cause = cause;
+    this.stack = (new Error(message)).stack;
+}
+
+inherit(DcFetchError, Error);
+
+/**
+ * 网络错误：请求已发出，但是没有收到响应
+ *
+ * @param {string} message
+ * @param {object} [extra] 同DcFetchError
+ * @constructor
+ */
+export function NetworkError(message, extra = {}) {
+    DcFetchError.call(this, message, {...extra, code: 'ERR_NETWORK'});
+    this.name = 'NetworkError';
+}
+
+inherit(NetworkError, DcFetchError);
+
+/**
+ * 请求超时
+ *
+ * @param {string} message
+ * @param {object} [extra] 同DcFetchError
+ * @constructor
+ */
+export function TimeoutError(message, extra = {}) {
+    DcFetchError.call(this, message, {...extra, code: 'ERR_TIMEOUT'});
+    this.name = 'TimeoutError';
+}
+
+inherit(TimeoutError, DcFetchError);
+
+/**
+ * http状态码错误
+ *
+ * @param {string} message
+ * @param {object} [extra] 同DcFetchError，response必传
+ * @constructor
+ */
+export function HttpError(message, extra = {}) {
+    DcFetchError.call(this, message, {...extra, code: 'ERR_HTTP'});
+    this.name = 'HttpError';
+    this.status = extra.response && extra.response.status;
+    this.body = extra.response && extra.response.data;
+}
+
+inherit(HttpError, DcFetchError);
+
+/**
+ * 请求被cancel或abort
+ *
+ * @param {string} [message]
+ * @param {object} [extra] 同DcFetchError
+ * @constructor
+ */
+export function CanceledError(message = 'Request canceled', extra = {}) {
+    DcFetchError.call(this, message, {...extra, code: 'ERR_CANCELED'});
+    this.name = 'CanceledError';
+}
+
+inherit(CanceledError, DcFetchError);
+
+/**
+ * 业务错误：http请求成功，但是后端返回的业务code表示失败
+ *
+ * @param {string} message 后端返回的错误信息
+ * @param {object} [extra]
+ * @param {*} [extra.businessCode] 后端返回的业务code
+ * @param {object} [extra.response] axios response
+ * @param {object} [extra.config] axios 请求配置
+ * @constructor
+ */
+export function BusinessError(message, {businessCode, response, config} = {}) {
+    DcFetchError.call(this, message, {code: 'ERR_BUSINESS', response, config});
+    this.name = 'BusinessError';
+    this.businessCode = businessCode;
+    this.data = response && response.data;
+}
+
+inherit(BusinessError, DcFetchError);
+
+/**
+ * 响应数据校验失败，参见 schema.js
+ *
+ * @param {Array} errors 校验错误 [{path, message}]
+ * @param {object} [extra]
+ * @param {*} [extra.data] 校验的数据
+ * @param {object} [extra.response] axios response
+ * @param {object} [extra.config] axios 请求配置
+ * @constructor
+ */
+export function ValidationError(errors, {data, response, config} = {}) {
+    const request = config ? `${(config.method || 'get').toUpperCase()} ${config.url} ` : '';
+    const details = errors.slice(0, 5).map(({path, message}) => `${path} ${message}`).join('; ');
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+    DcFetchError.call(this, `Response of ${request}does not match schema: ${details}${more}`, {
+        code: 'ERR_VALIDATION',
+        response,
+        config,
+    });
+    this.name = 'ValidationError';
+    this.errors = errors;
+    this.data = data;
+}
+
+inherit(ValidationError, DcFetchError);
+
+/**
+ * 是否是cancel或abort引起的错误
+ *
+ * @param {*} err
+ * @returns {boolean}
+ */
+export function isCancel(err) {
+    return err instanceof CanceledError || axios.isCancel(err);
+}
+
+/**
+ * 将axios的错误转换为对应的错误类型，其他错误原样返回
+ *
+ * @param {*} err
+ * @param {object} [config] axios 请求配置，err中没有时使用
+ * @returns {*}
+ */
+export function normalizeError(err, config) {
+    if (err instanceof DcFetchError) return err;
+    if (axios.isCancel(err)) return new CanceledError(err.message || undefined, {config, cause: err});
+    // 不是axios产生的错误，如插件中抛出的错误
+    if (!err || !(err.config || err.isAxiosError)) return err;
+
+    const extra = {config: err.config || config, response: err.response, cause: err};
+    if (err.response) return new HttpError(err.message, extra);
+    if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') return new TimeoutError(err.message, extra);
+    return new NetworkError(err.message, extra);
+}
@@ -0,0 +1,38 @@
+/**
+ * 读写HAR格式的fixture文件，只在node环境中使用，不包含在 dc-fetch 的入口中。
+ * @example
+ * const {saveHar, loadHar} = require('dc-fetch/lib/har-file');
+ *
+ * const recorder = dcFetch.record();
+ * runSomePages().then(() => saveHar(recorder, 'test/fixtures/users.har.json'));
+ *
+ * dcFetch.replay(loadHar('test/fixtures/users.har.json'));
+ * @module HAR文件
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 写入fixture文件，已存在时覆盖
+ *
+ * @param {object} har Recorder实例，或者HAR数据
+ * @param {string} file 文件路径
+ * @returns {string} 文件路径
+ */
+export function saveHar(har, file) {
+    const data = typeof har.toHar === 'function' ? har.toHar() : har;
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+    return file;
+}
+
+/**
+ * 读取fixture文件
+ *
+ * @param {string} file 文件路径
+ * @returns {object} HAR数据
+ */
+export function loadHar(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
@@ -1,4 +1,18 @@
-import './promise-extends';
-
 export default from './dc-fetch';
+export DcRequest from './dc-request';
 export createDcFetchHoc from './react-hoc';
+export DcFetchContext from './react-context';
+export {useDcFetch, useRequest} from './react-hooks';
+export {
+    DcFetchError,
+    NetworkError,
+    TimeoutError,
+    HttpError,
+    CanceledError,
+    BusinessError,
+    ValidationError,
+    isCancel,
+} from './errors';
+export {createMemoryStorage, createLocalStorage, createIndexedDBStorage} from './offline-queue';
+export {parseDates, withDefaults, validateSchema} from './schema';
+export {createReplayAdapter, Recorder} from './record-replay';
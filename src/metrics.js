@@ -0,0 +1,220 @@
+/**
+ * 请求统计：记录每个请求的耗时、状态、重试次数、数据大小等，
+ * 按采样率分批交给onMetrics上报，同时在内存中保留最近的记录，方便在控制台中排查。
+ * <br/>
+ * 每条记录为 {url, pattern, method, service, startTime, duration, outcome, status, retries, requestSize, responseSize,
+ * isMock, cached, cancelReason}，outcome为 success error canceled。
+ * @example
+ * const dcFetch = new DcFetch({
+ *     onMetrics: records => navigator.sendBeacon('/metrics', JSON.stringify(records)),
+ *     metrics: {sampleRate: 0.1, batchSize: 20},
+ * });
+ *
+ * // 控制台中查看
+ * dcFetch.metrics.recent(10);
+ * dcFetch.metrics.summary(); // {'GET /users/:id': {count, p50, p95, errorRate, canceled}}
+ * @module 请求统计
+ */
+
+const now = () => (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now());
+
+/**
+ * 默认的url分组：去掉query，数字、uuid、长hash路径段替换为 :id
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function getUrlPattern(url) {
+    return String(url).split(/[?#]/)[0].split('/').map(part => (
+        /^\d+$/.test(part) || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(part)
+        || /^[0-9a-f]{24,}$/i.test(part) ? ':id' : part
+    )).join('/');
+}
+
+/**
+ * 估算数据大小（字节数近似值），无法估算时返回null
+ *
+ * @param {*} data
+ * @returns {number|null}
+ */
+export function getSize(data) {
+    if (data === undefined || data === null) return 0;
+    if (typeof data === 'string') return data.length;
+    if (typeof Blob !== 'undefined' && data instanceof Blob) return data.size;
+    if (typeof ArrayBuffer !== 'undefined' && data instanceof ArrayBuffer) return data.byteLength;
+    if (typeof FormData !== 'undefined' && data instanceof FormData) return null;
+    try {
+        return JSON.stringify(data).length;
+    } catch (e) {
+        return null;
+    }
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil(sorted.length * p) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+export default class RequestMetrics {
+    records = []; // 环形缓冲区
+    cursor = 0;
+    batch = [];
+    flushTimer = null;
+
+    /**
+     * @param {object} [options]
+     * @param {function} [options.onMetrics] 上报函数 records => void
+     * @param {number} [options.sampleRate] 采样率 0 - 1，默认1，全部上报；recent summary不受影响
+     * @param {number} [options.batchSize] 累计多少条上报一次，默认10
+     * @param {number} [options.flushInterval] 不满batchSize时，最多等待多久上报（毫秒），默认5000
+     * @param {number} [options.bufferSize] 内存中保留的记录数，默认200
+     * @param {function} [options.getPattern] url分组 (url, method) => string，默认将id类的路径段替换为 :id
+     */
+    constructor({
+        onMetrics,
+        sampleRate = 1,
+        batchSize = 10,
+        flushInterval = 5000,
+        bufferSize = 200,
+        getPattern = getUrlPattern,
+    } = {}) {
+        this.onMetrics = onMetrics;
+        this.sampleRate = sampleRate;
+        this.batchSize = batchSize;
+        this.flushInterval = flushInterval;
+        this.bufferSize = bufferSize;
+        this.getPattern = getPattern;
+    }
+
+    /**
+     * 开始记录一个请求，fetch内部使用
+     *
+     * @param {string} url
+     * @param {string} method
+     * @param {string} [service] registerService注册的服务名
+     * @returns {function} 结束记录 (outcome, info) => void，只生效一次
+     */
+    start(url, method, service) {
+        const startTime = Date.now();
+        const begin = now();
+        let finished = false;
+        return (outcome, {response, error, config, isMock = false, cached = false, cancelReason} = {}) => {
+            if (finished) return;
+            finished = true;
+
+            const res = response || (error && error.response);
+            const cfg = (res && res.config) || (error && error.config) || config || {};
+            const headers = (res && res.headers) || {};
+            const contentLength = parseInt(headers['content-length'], 10);
+            this.record({
+                url,
+                pattern: `${service ? `${service} ` : ''}${method.toUpperCase()} ${this.getPattern(url, method)}`,
+                method,
+                service,
+                startTime,
+                duration: Math.round(now() - begin),
+                outcome,
+                status: res ? res.status : null,
+                retries: cfg.retryCount || 0,
+                requestSize: getSize(cfg.data),
+                responseSize: res ? (isNaN(contentLength) ? getSize(res.data) : contentLength) : null,
+                isMock,
+                cached,
+                cancelReason: outcome === 'canceled' ? cancelReason : undefined,
+            });
+        };
+    }
+
+    /**
+     * 保存一条记录，并按采样率加入上报队列
+     *
+     * @param {object} record
+     */
+    record(record) {
+        this.records[this.cursor % this.bufferSize] = record;
+        this.cursor++;
+
+        if (!this.onMetrics || Math.random() >= this.sampleRate) return;
+        this.batch.push(record);
+        if (this.batch.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+
+    /**
+     * 立即上报未上报的记录，如页面关闭前调用
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.batch.length) return;
+
+        const records = this.batch;
+        this.batch = [];
+        try {
+            this.onMetrics(records);
+        } catch (e) {
+            // 上报失败不影响请求
+        }
+    }
+
+    /**
+     * 最近的记录，按时间先后排列
+     *
+     * @param {number} [count] 条数，默认全部
+     * @returns {Array}
+     */
+    recent(count = this.bufferSize) {
+        const size = Math.min(this.cursor, this.bufferSize);
+        const records = [];
+        for (let i = this.cursor - size; i < this.cursor; i++) {
+            records.push(this.records[i % this.bufferSize]);
+        }
+        return records.slice(-count);
+    }
+
+    /**
+     * 按url分组统计最近的记录，耗时不包括被cancel的请求
+     *
+     * @returns {object} {pattern: {count, p50, p95, errorRate, canceled}}
+     */
+    summary() {
+        const groups = {};
+        this.recent().forEach(record => {
+            const group = groups[record.pattern] || (groups[record.pattern] = {durations: [], errors: 0, canceled: 0});
+            if (record.outcome === 'canceled') {
+                group.canceled++;
+                return;
+            }
+            group.durations.push(record.duration);
+            if (record.outcome === 'error') group.errors++;
+        });
+
+        return Object.keys(groups).reduce((result, pattern) => {
+            const {durations, errors, canceled} = groups[pattern];
+            const sorted = durations.slice().sort((a, b) => a - b);
+            result[pattern] = {
+                count: durations.length + canceled,
+                p50: percentile(sorted, 0.5),
+                p95: percentile(sorted, 0.95),
+                errorRate: durations.length ? errors / durations.length : 0,
+                canceled,
+            };
+            return result;
+        }, {});
+    }
+
+    /**
+     * 清空记录
+     */
+    clear() {
+        this.records = [];
+        this.cursor = 0;
+        this.batch = [];
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+    }
+}
@@ -0,0 +1,268 @@
+/**
+ * 内置的mock服务，作为mockInstance的adapter，不需要再单独引入axios-mock-adapter。
+ * 注册过的接口会自动使用mockInstance发送，不需要在isMock中判断。
+ * @example
+ * dcFetch.mock.get('/users/:id', req => ({id: req.params.id, name: '张三'}));
+ * dcFetch.mock.get('/users', {list: [], total: 0}, {delay: 500, query: {pageNum: 1}});
+ * dcFetch.mock.post('/users', req => dcFetch.mock.response(400, {msg: `${req.body.name}已存在`}), {once: true});
+ * dcFetch.mock.del('/users/:id', null, {networkError: true});
+ * dcFetch.mock.put('/users/:id', null, {timeout: true});
+ *
+ * dcFetch.mock.history; // 请求记录，用于测试断言
+ * dcFetch.mock.reset(); // 清除全部接口及请求记录
+ * @module mock服务
+ */
+
+import {parse} from 'qs';
+import {createError, settle} from './adapter-utils';
+
+// 自定义状态码、响应头时使用
+class MockResponse {
+    constructor(status, data, headers) {
+        this.status = status;
+        this.data = data;
+        this.headers = headers || {};
+    }
+}
+
+// '/users/:id' 转换为正则，并记录参数名
+function compilePath(path) {
+    if (path instanceof RegExp) return {regexp: path, keys: []};
+
+    const keys = [];
+    const pattern = path
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+    return {regexp: new RegExp(`^${pattern}/?$`), keys};
+}
+
+// 部分匹配：expected中的每个字段都与actual相同即可，也可以是函数
+function isMatch(expected, actual) {
+    if (expected === undefined) return true;
+    if (typeof expected === 'function') return !!expected(actual);
+    if (expected === null || typeof expected !== 'object') return String(expected) === String(actual);
+    if (actual === null || typeof actual !== 'object') return false;
+    return Object.keys(expected).every(key => isMatch(expected[key], actual[key]));
+}
+
+function parseBody(data) {
+    if (typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        return parse(data);
+    }
+}
+
+// 去掉baseURL以及query string，得到用于匹配的路径
+function getPath(url = '', baseURL = '') {
+    let path = url.split('?')[0];
+    const base = baseURL.replace(/\/$/, '');
+    if (base && path.indexOf(base) === 0) path = path.slice(base.length);
+    return path.charAt(0) === '/' ? path : `/${path}`;
+}
+
+function getQuery(url = '', params) {
+    const search = url.split('?')[1];
+    return {
+        ...(search ? parse(search) : {}),
+        ...params,
+    };
+}
+
+export default class MockServer {
+    routes = [];
+    history = []; // 请求记录 [{method, url, params, query, body, headers}]
+
+    /**
+     * @param fallbackAdapter 没有匹配到接口时使用的adapter
+     */
+    constructor(fallbackAdapter) {
+        this.fallbackAdapter = fallbackAdapter;
+        this.adapter = this.adapter.bind(this);
+    }
+
+    /**
+     * 注册一个mock接口
+     *
+     * @param {string} method 请求方法，'any'匹配所有方法
+     * @param {string|RegExp} path 路径，支持 :param 参数 以及 * 通配
+     * @param {function|*} response 返回的数据，或者 req => 数据 | Promise；
+     * req 为 {method, url, params, query, body, headers, config}，params是路径参数；
+     * 需要自定义状态码时返回 mock.response(status, data, headers)
+     * @param {object} [options]
+     * @param {number} [options.delay] 延迟返回（毫秒），超过请求的timeout时以超时失败
+     * @param {number} [options.status] 状态码，默认200
+     * @param {object} [options.headers] 响应头
+     * @param {object|function} [options.query] 匹配query参数，部分匹配或者 query => boolean
+     * @param {object|function} [options.body] 匹配请求体，部分匹配或者 body => boolean
+     * @param {boolean} [options.once] 只生效一次
+     * @param {boolean} [options.timeout] 模拟超时
+     * @param {boolean} [options.networkError] 模拟网络错误
+     * @returns {MockServer} 可以链式调用
+     */
+    on(method, path, response, options = {}) {
+        this.routes.push({
+            method: method.toLowerCase(),
+            path,
+            response,
+            options,
+            ...compilePath(path),
+        });
+        return this;
+    }
+
+    get(path, response, options) {
+        return this.on('get', path, response, options);
+    }
+
+    post(path, response, options) {
+        return this.on('post', path, response, options);
+    }
+
+    put(path, response, options) {
+        return this.on('put', path, response, options);
+    }
+
+    patch(path, response, options) {
+        return this.on('patch', path, response, options);
+    }
+
+    del(path, response, options) {
+        return this.on('delete', path, response, options);
+    }
+
+    any(path, response, options) {
+        return this.on('any', path, response, options);
+    }
+
+    /**
+     * 创建自定义状态码、响应头的返回值
+     *
+     * @param {number} status 状态码
+     * @param {*} data 返回的数据
+     * @param {object} [headers] 响应头
+     * @returns {MockResponse}
+     */
+    response(status, data, headers) {
+        return new MockResponse(status, data, headers);
+    }
+
+    /**
+     * 清除全部接口及请求记录
+     */
+    reset() {
+        this.routes = [];
+        this.history = [];
+    }
+
+    /**
+     * 只清除请求记录
+     */
+    resetHistory() {
+        this.history = [];
+    }
+
+    /**
+     * 查找匹配的接口
+     *
+     * @param {object} request {method, url, baseURL, params, data}
+     * @returns {object|null} {route, params}
+     */
+    match({method = 'get', url, baseURL, params, data}) {
+        const path = getPath(url, baseURL);
+        const query = getQuery(url, params);
+        const body = parseBody(data);
+
+        for (let route of this.routes) {
+            if (route.method !== 'any' && route.method !== method.toLowerCase()) continue;
+            const result = route.regexp.exec(path);
+            if (!result) continue;
+            if (!isMatch(route.options.query, query) || !isMatch(route.options.body, body)) continue;
+
+            const pathParams = {};
+            route.keys.forEach((key, index) => {
+                pathParams[key] = decodeURIComponent(result[index + 1]);
+            });
+            return {route, params: pathParams};
+        }
+        return null;
+    }
+
+    /**
+     * axios adapter
+     *
+     * @param config axios 配置参数
+     * @returns {Promise}
+     */
+    adapter(config) {
+        const matched = this.match(config);
+        if (!matched) {
+            if (this.fallbackAdapter) return this.fallbackAdapter(config);
+            return Promise.reject(createError(`No mock for ${config.method} ${config.url}`, config, null, null, {
+                status: 404, data: null, headers: {}, config,
+            }));
+        }
+
+        const {route, params} = matched;
+        const {delay = 0, status = 200, headers = {}, once, timeout, networkError} = route.options;
+        if (once) this.routes.splice(this.routes.indexOf(route), 1);
+
+        const req = {
+            method: config.method,
+            url: config.url,
+            params,
+            query: getQuery(config.url, config.params),
+            body: parseBody(config.data),
+            headers: config.headers,
+            config,
+        };
+        this.history.push(req);
+
+        return new Promise((resolve, reject) => {
+            if (config.cancelToken) {
+                config.cancelToken.promise.then(reject);
+            }
+
+            // 与axios的xhr adapter相同的超时错误
+            const timeoutError = () => createError(
+                config.timeoutErrorMessage || `timeout of ${config.timeout}ms exceeded`,
+                config,
+                'ECONNABORTED',
+            );
+            // delay超过config.timeout时，与真实请求一样在timeout时失败
+            if (config.timeout && delay > config.timeout) {
+                setTimeout(() => reject(timeoutError()), config.timeout);
+                return;
+            }
+
+            setTimeout(() => {
+                if (timeout) {
+                    reject(timeoutError());
+                    return;
+                }
+                if (networkError) {
+                    reject(createError('Network Error', config));
+                    return;
+                }
+
+                Promise.resolve(typeof route.response === 'function' ? route.response(req) : route.response)
+                    .then(result => {
+                        const response = result instanceof MockResponse ? result : new MockResponse(status, result, headers);
+                        settle(resolve, reject, {
+                            data: response.data,
+                            status: response.status,
+                            statusText: String(response.status),
+                            headers: response.headers,
+                            config,
+                            request: req,
+                        });
+                    }, reject);
+            }, delay);
+        });
+    }
+}
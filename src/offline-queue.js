@@ -0,0 +1,329 @@
+/**
+ * 离线提交队列：网络断开时，post put patch delete 请求保存到storage中，恢复连接后按顺序重新提交。
+ * 以插件的方式实现，名称为'offline'，单个请求可以通过 options.offline = false 关闭。
+ * @example
+ * const dcFetch = new DcFetch({
+ *     offline: {
+ *         storage: createLocalStorage(), // 也可以是 createIndexedDBStorage() createMemoryStorage()
+ *         onConflict: (item, err) => confirm(`${item.url} 数据已被修改，是否丢弃本地修改？`) ? 'discard' : 'keep',
+ *     },
+ * });
+ *
+ * dcFetch.offline.on('change', items => this.setState({pendingCount: items.length}));
+ * dcFetch.offline.on('replayed', (item, data) => ...);
+ * dcFetch.offline.replay(); // 手动重新提交，默认在加载之后（在线时）以及online事件时自动提交
+ *
+ * // 离线时请求失败，err.queued为保存的记录，提示信息为queuedTip
+ * dcFetch.post('/visits', data).catch(err => err.queued && ...);
+ *
+ * // 函数类型的配置（transform schema onUploadProgress等）无法持久化，这类请求默认不保存，触发skipped事件；
+ * // 需要离线保存时先按名称注册，请求通过 options.offline 指定名称，重新提交时重新带上
+ * dcFetch.offline.on('skipped', (request, reason) => console.warn(reason.message));
+ * dcFetch.offline.register('visit', {transform: parseVisit});
+ * dcFetch.post('/visits', data, {offline: 'visit', transform: parseVisit});
+ * @module 离线提交队列
+ */
+
+import {isCancel, NetworkError} from './errors';
+
+const defaultIsNetworkError = err => err instanceof NetworkError || (
+    !!err && !err.response && !isCancel(err) && typeof navigator !== 'undefined' && navigator.onLine === false
+);
+
+function containsFunction(value, depth = 0) {
+    if (typeof value === 'function') return true;
+    if (!value || typeof value !== 'object' || depth > 5) return false;
+    return Object.keys(value).some(key => containsFunction(value[key], depth + 1));
+}
+
+// 含有函数，无法持久化的配置项
+function getFunctionKeys(options) {
+    return Object.keys(options || {}).filter(key => containsFunction(options[key]));
+}
+
+function toSerializable(value) {
+    try {
+        return JSON.parse(JSON.stringify(value === undefined ? null : value));
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * 内存存储，用于测试
+ *
+ * @param {Array} [initial] 初始数据
+ * @returns {{load: function, save: function}}
+ */
+export function createMemoryStorage(initial = []) {
+    let items = initial.slice();
+    return {
+        load: () => Promise.resolve(items.slice()),
+        save: next => {
+            items = next.slice();
+            return Promise.resolve();
+        },
+    };
+}
+
+/**
+ * localStorage存储
+ *
+ * @param {string} [key] 存储的key
+ * @returns {{load: function, save: function}}
+ */
+export function createLocalStorage(key = 'dc-fetch-offline-queue') {
+    return {
+        load: () => Promise.resolve().then(() => JSON.parse(window.localStorage.getItem(key) || '[]')),
+        save: items => Promise.resolve().then(() => window.localStorage.setItem(key, JSON.stringify(items))),
+    };
+}
+
+/**
+ * IndexedDB存储，适合数据量较大的场景
+ *
+ * @param {object} [options]
+ * @param {string} [options.dbName] 数据库名
+ * @param {string} [options.storeName] 表名
+ * @returns {{load: function, save: function}}
+ */
+export function createIndexedDBStorage({dbName = 'dc-fetch', storeName = 'offline-queue'} = {}) {
+    const KEY = 'items';
+    let dbPromise;
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+    const run = (mode, action) => open().then(db => new Promise((resolve, reject) => {
+        const request = action(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+
+    return {
+        load: () => run('readonly', store => store.get(KEY)).then(items => items || []),
+        save: items => run('readwrite', store => store.put(items, KEY)),
+    };
+}
+
+export default class OfflineQueue {
+    name = 'offline'; // 插件名
+    items = [];
+    listeners = {};
+    presets = {}; // register注册的配置，重新提交时按名称带上
+    replaying = null;
+
+    /**
+     * @param dcFetch DcFetch实例
+     * @param {object} [options]
+     * @param {object} [options.storage] 存储 {load, save}，默认内存存储
+     * @param {Array} [options.methods] 需要离线保存的请求方法，默认 post put patch delete
+     * @param {function} [options.isNetworkError] 判断是否是断网 err => boolean
+     * @param {function} [options.onConflict] 重新提交时409的处理 (item, err) => 'keep' | 'discard' | Promise，
+     * 'keep'保留该记录并停止本次提交，默认丢弃
+     * @param {string} [options.queuedTip] 离线保存时的提示，代替errorTip
+     * @param {boolean} [options.autoReplay] 加载storage之后在线时，以及online事件时自动提交，默认true
+     */
+    constructor(dcFetch, {
+        storage = createMemoryStorage(),
+        methods = ['post', 'put', 'patch', 'delete'],
+        isNetworkError = defaultIsNetworkError,
+        onConflict = (/* item, err */) => 'discard',
+        queuedTip = '网络已断开，恢复连接后将自动提交',
+        autoReplay = true,
+    } = {}) {
+        this.dcFetch = dcFetch;
+        this.storage = storage;
+        this.methods = methods;
+        this.isNetworkError = isNetworkError;
+        this.onConflict = onConflict;
+        this.queuedTip = queuedTip;
+        this.ready = Promise.resolve(storage.load()).then(items => {
+            this.items = (items || []).concat(this.items);
+        }, () => null);
+
+        // 页面重新打开时已经在线，不会再有online事件，加载之后直接提交上次保存的请求
+        if (autoReplay && typeof navigator !== 'undefined' && navigator.onLine) {
+            this.ready.then(() => {
+                if (this.items.length) this.replay();
+            });
+        }
+        if (autoReplay && typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', () => this.replay());
+        }
+    }
+
+    /**
+     * 监听队列事件：queued replayed failed conflict change，
+     * 以及skipped (request, reason)：断网的请求无法持久化，没有保存
+     *
+     * @param {string} event 事件名
+     * @param {function} listener
+     * @returns {function} 取消监听
+     */
+    on(event, listener) {
+        this.listeners[event] = (this.listeners[event] || []).concat([listener]);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        this.listeners[event] = (this.listeners[event] || []).filter(item => item !== listener);
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(listener => listener(...args));
+    }
+
+    /**
+     * 注册无法持久化的配置，请求的options.offline为name时可以离线保存，重新提交时合并这些配置
+     *
+     * @param {string} name 名称
+     * @param {object} options fetch的options，如 {transform, schema}
+     * @returns {OfflineQueue} 可以链式调用
+     */
+    register(name, options) {
+        this.presets[name] = options;
+        return this;
+    }
+
+    persist() {
+        const items = this.items.slice();
+        this.emit('change', items);
+        return Promise.resolve(this.storage.save(items)).catch(() => null);
+    }
+
+    /**
+     * 保存一个请求
+     *
+     * @param {object} request {service, method, url, data, options, preset}，preset为register注册的名称
+     * @returns {object|null} 保存的记录，无法持久化时返回null
+     */
+    enqueue({service = null, method, url, data, options, preset = null}) {
+        const request = {service, method, url, data, options, preset};
+        const skip = message => {
+            this.emit('skipped', request, new Error(`${method.toUpperCase()} ${url} is not queued offline: ${message}`));
+            return null;
+        };
+        // FormData（如上传）无法保存，与配置无关
+        if (typeof FormData !== 'undefined' && data instanceof FormData) return skip('FormData can not be persisted');
+
+        const functionKeys = getFunctionKeys(options);
+        if (functionKeys.length && !this.presets[preset]) {
+            return skip(`${functionKeys.join(', ')} can not be persisted, `
+                + 'register them with dcFetch.offline.register(name, options) and pass {offline: name}');
+        }
+        const persistable = {...options};
+        functionKeys.forEach(key => delete persistable[key]);
+
+        const serializedData = toSerializable(data);
+        const serializedOptions = toSerializable(persistable);
+        if (serializedData === undefined || serializedOptions === undefined) return skip('data or options can not be serialized');
+
+        const item = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+            service, // registerService注册的服务名
+            method,
+            url,
+            data: serializedData,
+            options: serializedOptions,
+            preset,
+            time: Date.now(),
+        };
+        this.items.push(item);
+        this.emit('queued', item);
+        this.ready.then(() => this.persist());
+        return item;
+    }
+
+    /**
+     * 移除一条记录
+     *
+     * @param {string} id 记录id
+     */
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        return this.persist();
+    }
+
+    /**
+     * 按顺序重新提交，遇到断网时停止，剩余的等待下次提交
+     *
+     * @returns {Promise} 提交结束
+     */
+    replay() {
+        if (this.replaying) return this.replaying;
+
+        const next = () => {
+            const item = this.items[0];
+            if (!item) return Promise.resolve();
+
+            const preset = item.preset ? this.presets[item.preset] : {};
+            const options = {
+                ...item.options,
+                ...preset,
+                offline: false, // 重新提交失败不再保存
+            };
+            const client = item.service ? this.dcFetch.services[item.service] : this.dcFetch;
+            if (!client || !preset) {
+                const message = client ? `Offline preset "${item.preset}" is not registered` : `Service "${item.service}" is not registered`;
+                this.emit('failed', item, new Error(message));
+                return this.remove(item.id).then(next);
+            }
+            return new Promise(resolve => {
+                client.fetch(item.url, item.data, item.method, options).then(data => {
+                    this.emit('replayed', item, data);
+                    resolve(this.remove(item.id).then(next));
+                }, err => {
+                    if (this.isNetworkError(err)) {
+                        resolve(); // 依然断网，等待下次
+                        return;
+                    }
+                    if (err && err.response && err.response.status === 409) {
+                        this.emit('conflict', item, err);
+                        resolve(Promise.resolve(this.onConflict(item, err)).then(result => {
+                            if (result === 'keep') return undefined;
+                            return this.remove(item.id).then(next);
+                        }));
+                        return;
+                    }
+                    this.emit('failed', item, err);
+                    resolve(this.remove(item.id).then(next));
+                });
+            });
+        };
+
+        this.replaying = this.ready.then(next).then(() => {
+            this.replaying = null;
+        }, err => {
+            this.replaying = null;
+            throw err;
+        });
+        return this.replaying;
+    }
+
+    /**
+     * 插件hook：断网的写操作保存到队列中
+     */
+    onError(err, ctx) {
+        const {method, url, data, options = {}, dcFetch} = ctx;
+        if (options.offline === false || this.methods.indexOf(method) === -1 || !this.isNetworkError(err)) {
+            return undefined;
+        }
+
+        const {offline, ...rest} = options;
+        const preset = typeof offline === 'string' ? offline : null;
+        const item = this.enqueue({service: dcFetch.serviceName, method, url, data, options: rest, preset});
+        if (!item) return undefined;
+
+        ctx.options = {...options, errorTip: options.errorTip === false ? false : this.queuedTip};
+        err.queued = item;
+        return err;
+    }
+}
@@ -0,0 +1,320 @@
+/**
+ * 根据OpenAPI 3文档生成基于dcFetch的接口模块，以及使用内置mock服务的mock模块，
+ * 只在node环境中使用，不包含在 dc-fetch 的入口中。
+ * @example
+ * // 命令行
+ * // dc-fetch-openapi ./openapi.json -o src/api/index.js --mock src/api/mock.js
+ * // 在dc-fetch仓库中：node bin/dc-fetch-openapi.js ./openapi.json -o src/api/index.js
+ *
+ * @example
+ * // 代码中调用
+ * const {generateFromFile} = require('dc-fetch/lib/openapi-generator');
+ * generateFromFile('./openapi.json', {output: 'src/api/index.js', mockOutput: 'src/api/mock.js'});
+ *
+ * // 生成的模块
+ * import createApi from './api';
+ * const api = createApi(dcFetch);
+ * api.getUser({id: 1});
+ * api.createUser({}, {name: '张三'}); // 有请求体的接口：(params, data, options)
+ * @module OpenAPI代码生成
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// dcFetch上对应的方法名
+const DC_FETCH_METHODS = {
+    get: 'get',
+    post: 'post',
+    put: 'put',
+    patch: 'patch',
+    delete: 'del',
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function camelCase(text) {
+    const words = String(text).replace(/[^A-Za-z0-9]+/g, ' ').trim().split(/\s+/).filter(Boolean);
+    const name = words
+        .map((word, index) => (index === 0 ? word.charAt(0).toLowerCase() : word.charAt(0).toUpperCase()) + word.slice(1))
+        .join('');
+    return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+// 没有operationId时，根据方法和路径生成，如 GET /users/{id} => getUsersById
+function getOperationName(method, url, operation) {
+    if (operation.operationId) return camelCase(operation.operationId);
+    const words = url.split('/').filter(Boolean).map(part => {
+        const matched = /^\{(.+)\}$/.exec(part);
+        return matched ? `by ${matched[1]}` : part;
+    });
+    return camelCase(`${method} ${words.join(' ')}`);
+}
+
+function quoteKey(key) {
+    return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * 解析本文档内的 $ref，如 '#/components/schemas/User'
+ *
+ * @param {object} spec OpenAPI文档
+ * @param {object} value 可能带有$ref的对象
+ * @returns {object}
+ */
+export function resolveRef(spec, value) {
+    let current = value;
+    const seen = [];
+    while (current && current.$ref && seen.indexOf(current.$ref) === -1) {
+        seen.push(current.$ref);
+        current = current.$ref.replace(/^#\//, '').split('/').reduce(
+            (obj, key) => (obj ? obj[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined),
+            spec,
+        );
+    }
+    return current || {};
+}
+
+/**
+ * 根据schema生成示例数据，优先使用example、default、enum
+ *
+ * @param {object} spec OpenAPI文档
+ * @param {object} schema
+ * @param {number} [depth] 递归深度，防止循环引用
+ * @returns {*}
+ */
+export function exampleFromSchema(spec, schema, depth = 0) {
+    const resolved = resolveRef(spec, schema);
+    if (resolved.example !== undefined) return resolved.example;
+    if (resolved.default !== undefined) return resolved.default;
+    if (resolved.enum && resolved.enum.length) return resolved.enum[0];
+    if (depth > 5) return null;
+
+    if (resolved.allOf) {
+        return resolved.allOf.reduce((result, item) => ({...result, ...exampleFromSchema(spec, item, depth + 1)}), {});
+    }
+    if (resolved.oneOf || resolved.anyOf) return exampleFromSchema(spec, (resolved.oneOf || resolved.anyOf)[0], depth + 1);
+
+    switch (resolved.type) {
+        case 'array':
+            return [exampleFromSchema(spec, resolved.items || {}, depth + 1)];
+        case 'integer':
+        case 'number':
+            return 0;
+        case 'boolean':
+            return true;
+        case 'string':
+            if (resolved.format === 'date-time') return new Date(0).toISOString();
+            if (resolved.format === 'date') return '1970-01-01';
+            return 'string';
+        default: {
+            const properties = resolved.properties || {};
+            return Object.keys(properties).reduce((result, key) => {
+                result[key] = exampleFromSchema(spec, properties[key], depth + 1);
+                return result;
+            }, {});
+        }
+    }
+}
+
+// 取出成功响应的示例数据
+function getResponseExample(spec, operation) {
+    const responses = operation.responses || {};
+    const code = Object.keys(responses).filter(key => /^2/.test(key)).sort()[0];
+    if (!code) return {status: 200, data: null};
+
+    const response = resolveRef(spec, responses[code]);
+    const content = response.content || {};
+    const media = content['application/json'] || content[Object.keys(content)[0]];
+    if (!media) return {status: Number(code) || 200, data: null};
+
+    let data;
+    if (media.example !== undefined) {
+        data = media.example;
+    } else if (media.examples && Object.keys(media.examples).length) {
+        data = resolveRef(spec, media.examples[Object.keys(media.examples)[0]]).value;
+    } else {
+        data = exampleFromSchema(spec, media.schema || {});
+    }
+    return {status: Number(code) || 200, data};
+}
+
+/**
+ * 整理文档中的全部接口
+ *
+ * @param {object} spec OpenAPI文档
+ * @returns {Array} [{name, method, url, summary, pathParams, hasBody, operation}]
+ */
+export function collectOperations(spec) {
+    const operations = [];
+    const names = {};
+    Object.keys(spec.paths || {}).forEach(url => {
+        const pathItem = resolveRef(spec, spec.paths[url]);
+        METHODS.forEach(method => {
+            const operation = pathItem[method];
+            if (!operation) return;
+
+            const parameters = (pathItem.parameters || []).concat(operation.parameters || [])
+                .map(parameter => resolveRef(spec, parameter));
+            const pathParams = parameters.filter(parameter => parameter.in === 'path').map(parameter => parameter.name);
+            // 文档中没有声明的路径参数，以url为准
+            url.replace(/\{([^}]+)\}/g, (match, name) => {
+                if (pathParams.indexOf(name) === -1) pathParams.push(name);
+            });
+
+            // 重名时加上序号
+            let name = getOperationName(method, url, operation);
+            names[name] = (names[name] || 0) + 1;
+            if (names[name] > 1) name = `${name}${names[name]}`;
+
+            operations.push({
+                name,
+                method,
+                url,
+                summary: operation.summary || operation.description || '',
+                pathParams,
+                hasBody: !!operation.requestBody,
+                operation,
+            });
+        });
+    });
+    return operations;
+}
+
+function generateFunction({name, method, url, summary, pathParams, hasBody}, basePath) {
+    const variables = pathParams.map((param, index) => (IDENTIFIER.test(param) ? param : `p${index}`));
+    const template = `${basePath}${url}`.replace(/\{([^}]+)\}/g, (match, param) => (
+        `\${encodeURIComponent(${variables[pathParams.indexOf(param)]})}`
+    ));
+    const destructure = pathParams
+        .map((param, index) => (IDENTIFIER.test(param) ? param : `${quoteKey(param)}: ${variables[index]}`))
+        .concat(['...query'])
+        .join(', ');
+    const dcFetchMethod = DC_FETCH_METHODS[method];
+
+    const lines = [
+        '        /**',
+        ...(summary ? [`         * ${summary.replace(/\*\//g, '*\\/').split('\n').join('\n         * ')}`] : []),
+        `         * ${method.toUpperCase()} ${url}`,
+        '         */',
+    ];
+    // 没有路径参数时，params全部作为query
+    const prepare = pathParams.length ? [`            const {${destructure}} = params;`] : [];
+    const query = pathParams.length ? 'query' : 'params';
+    if (method === 'get') {
+        lines.push(
+            `        ${quoteKey(name)}(params = {}, options) {`,
+            ...prepare,
+            `            return dcFetch.get(\`${template}\`, ${query}, options);`,
+        );
+    } else {
+        lines.push(
+            `        ${quoteKey(name)}(params = {}${hasBody ? ', data' : ''}, options) {`,
+            ...prepare,
+            `            return dcFetch.${dcFetchMethod}(\`${template}\`, ${hasBody ? 'data' : 'null'}, {...options, ${pathParams.length ? 'params: query' : 'params'}});`,
+        );
+    }
+    lines.push('        },');
+    return lines.join('\n');
+}
+
+function getHeader(spec) {
+    const info = spec.info || {};
+    return [
+        '/* eslint-disable */',
+        `// 由 dc-fetch-openapi 根据 ${info.title || 'OpenAPI'} ${info.version || ''} 生成，请勿手动修改`,
+    ].join('\n');
+}
+
+/**
+ * 生成接口模块代码
+ *
+ * @param {object} spec OpenAPI文档
+ * @param {object} [options]
+ * @param {string} [options.basePath] 所有接口路径的前缀，默认空
+ * @returns {string}
+ */
+export function generateClient(spec, {basePath = ''} = {}) {
+    const functions = collectOperations(spec).map(operation => generateFunction(operation, basePath));
+    return [
+        getHeader(spec),
+        '',
+        'export default function createApi(dcFetch) {',
+        '    return {',
+        functions.join('\n\n'),
+        '    };',
+        '}',
+        '',
+    ].join('\n');
+}
+
+/**
+ * 生成mock模块代码，使用dcFetch内置的mock服务，返回文档中的示例数据
+ *
+ * @param {object} spec OpenAPI文档
+ * @param {object} [options]
+ * @param {string} [options.basePath] 所有接口路径的前缀，默认空
+ * @returns {string}
+ */
+export function generateMocks(spec, {basePath = ''} = {}) {
+    const registers = collectOperations(spec).map(({method, url, operation}) => {
+        const {status, data} = getResponseExample(spec, operation);
+        const mockPath = `${basePath}${url}`.replace(/\{([^}]+)\}/g, (match, param) => `:${param.replace(/\W/g, '_')}`);
+        const body = JSON.stringify(data, null, 4).split('\n').join('\n    ');
+        const options = status === 200 ? '' : `, {status: ${status}}`;
+        return `    dcFetch.mock.${DC_FETCH_METHODS[method]}(${JSON.stringify(mockPath)}, ${body}${options});`;
+    });
+    return [
+        getHeader(spec),
+        '',
+        'export default function registerMocks(dcFetch) {',
+        registers.join('\n'),
+        '}',
+        '',
+    ].join('\n');
+}
+
+/**
+ * 读取OpenAPI文档，支持json；yaml需要安装js-yaml
+ *
+ * @param {string} file 文件路径
+ * @returns {object}
+ */
+export function readSpec(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    if (/\.ya?ml$/i.test(file)) {
+        let yaml;
+        try {
+            yaml = require('js-yaml'); // eslint-disable-line global-require
+        } catch (e) {
+            throw new Error('Reading yaml specs requires js-yaml, run `npm install js-yaml` or convert the spec to json');
+        }
+        return yaml.load(content);
+    }
+    return JSON.parse(content);
+}
+
+/**
+ * 读取文档并写入生成的文件
+ *
+ * @param {string} input OpenAPI文档路径
+ * @param {object} options
+ * @param {string} options.output 接口模块输出路径
+ * @param {string} [options.mockOutput] mock模块输出路径，不设置则不生成
+ * @param {string} [options.basePath] 所有接口路径的前缀
+ * @returns {Array} 写入的文件路径
+ */
+export function generateFromFile(input, {output, mockOutput, basePath} = {}) {
+    if (!output) throw new Error('output is required');
+    const spec = readSpec(input);
+    const files = [[output, generateClient(spec, {basePath})]];
+    if (mockOutput) files.push([mockOutput, generateMocks(spec, {basePath})]);
+
+    files.forEach(([file, code]) => {
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+        fs.writeFileSync(file, code);
+    });
+    return files.map(([file]) => file);
+}
@@ -0,0 +1,225 @@
+/**
+ * 分页接口遍历，默认使用 pageNum pageSize 分页，也可以通过 getNextParams 实现游标分页
+ * @example
+ * // 逐页遍历
+ * for await (const {items, pageNum} of dcFetch.paginate('/users', {pageSize: 20})) {...}
+ *
+ * // 逐条遍历
+ * for await (const user of dcFetch.paginate('/users').items()) {...}
+ *
+ * // 获取全部数据，已知总数时并发请求剩余页
+ * dcFetch.paginate('/users', {pageSize: 100}).fetchAll({concurrency: 3}).then(users => ...);
+ *
+ * // 游标分页
+ * dcFetch.paginate('/logs', {size: 50}, {
+ *     getItems: data => data.records,
+ *     getNextParams: (data, params) => (data.nextCursor ? {...params, cursor: data.nextCursor} : null),
+ * });
+ * @module 分页遍历
+ */
+
+import DcRequest from './dc-request';
+
+const asyncIterator = (typeof Symbol !== 'undefined' && Symbol.asyncIterator) || '@@asyncIterator';
+
+const defaultGetItems = data => (Array.isArray(data) ? data : (data && data.list) || []);
+
+const defaultGetTotal = data => (data && typeof data.total === 'number' ? data.total : null);
+
+export default class Paginator {
+    active = []; // 进行中的请求
+    iterators = []; // 已创建的迭代器，cancel时统一结束
+
+    /**
+     * @param dcFetch DcFetch实例
+     * @param {string} url 请求路径
+     * @param {object} [params] 请求参数，可以包含起始页码及每页条数
+     * @param {object} [options] 除以下配置外，其他同fetch的options
+     * @param {string} [options.pageParam] 页码参数名，默认pageNum
+     * @param {string} [options.sizeParam] 每页条数参数名，默认pageSize
+     * @param {number} [options.pageSize] 默认每页条数，默认10
+     * @param {function} [options.getItems] 从返回数据中取出列表 data => Array，默认data本身或者data.list
+     * @param {function} [options.getTotal] 从返回数据中取出总数 data => number，默认data.total
+     * @param {function} [options.hasMore] 是否还有下一页 (data, items, params) => boolean，
+     * 默认根据总数判断，没有总数时根据本页条数是否等于pageSize判断
+     * @param {function} [options.getNextParams] 下一页的请求参数 (data, params, items) => params，返回null表示结束，用于游标分页
+     */
+    constructor(dcFetch, url, params, {
+        pageParam = 'pageNum',
+        sizeParam = 'pageSize',
+        pageSize = 10,
+        getItems = defaultGetItems,
+        getTotal = defaultGetTotal,
+        hasMore,
+        getNextParams,
+        ...fetchOptions
+    } = {}) {
+        this.dcFetch = dcFetch;
+        this.url = url;
+        this.params = {
+            [pageParam]: 1,
+            [sizeParam]: pageSize,
+            ...params,
+        };
+        this.pageParam = pageParam;
+        this.sizeParam = sizeParam;
+        this.getItems = getItems;
+        this.getTotal = getTotal;
+        this.hasMore = hasMore || ((data, items, pageParams) => {
+            const total = getTotal(data);
+            const size = Number(pageParams[sizeParam]);
+            if (total !== null) return Number(pageParams[pageParam]) * size < total;
+            return items.length >= size;
+        });
+        this.customNextParams = !!getNextParams;
+        this.getNextParams = getNextParams || ((data, pageParams, items) => {
+            if (!this.hasMore(data, items, pageParams)) return null;
+            return {...pageParams, [pageParam]: Number(pageParams[pageParam]) + 1};
+        });
+        this.fetchOptions = fetchOptions;
+        this.canceled = false;
+    }
+
+    // 请求一页数据，返回 {data, items, params, pageNum}
+    fetchPage(params) {
+        const request = this.dcFetch.get(this.url, params, this.fetchOptions);
+        this.active.push(request);
+        const done = () => {
+            this.active = this.active.filter(item => item !== request);
+        };
+        return request.then(data => {
+            done();
+            return {
+                data,
+                items: this.getItems(data) || [],
+                params,
+                pageNum: params[this.pageParam],
+            };
+        }, err => {
+            done();
+            throw err;
+        });
+    }
+
+    /**
+     * 逐页遍历的异步迭代器，每次得到 {data, items, params, pageNum}
+     *
+     * @returns {object} AsyncIterator
+     */
+    pages() {
+        let params = this.params;
+        let waiting = null; // cancel时结束正在等待的next
+        const iterator = {
+            next: () => {
+                if (this.canceled || !params) return Promise.resolve({done: true, value: undefined});
+                return new Promise((resolve, reject) => {
+                    waiting = resolve;
+                    this.fetchPage(params).then(page => {
+                        params = this.getNextParams(page.data, page.params, page.items);
+                        resolve({done: false, value: page});
+                    }, reject);
+                });
+            },
+            return: () => {
+                params = null;
+                return Promise.resolve({done: true, value: undefined});
+            },
+            cancel: () => {
+                params = null;
+                if (waiting) waiting({done: true, value: undefined});
+            },
+        };
+        iterator[asyncIterator] = () => iterator;
+        this.iterators.push(iterator);
+        return iterator;
+    }
+
+    /**
+     * 逐条遍历的异步迭代器
+     *
+     * @returns {object} AsyncIterator
+     */
+    items() {
+        const pages = this.pages();
+        let buffer = [];
+        const next = () => {
+            if (buffer.length) return Promise.resolve({done: false, value: buffer.shift()});
+            return pages.next().then(result => {
+                if (result.done) return result;
+                buffer = result.value.items.slice();
+                return next();
+            });
+        };
+        const iterator = {
+            next,
+            return: () => {
+                buffer = [];
+                return pages.return();
+            },
+        };
+        iterator[asyncIterator] = () => iterator;
+        return iterator;
+    }
+
+    [asyncIterator]() {
+        return this.pages();
+    }
+
+    /**
+     * 获取全部数据
+     * 已知总数并且没有自定义getNextParams时，第一页之后按concurrency并发请求剩余页，否则逐页请求
+     *
+     * @param {object} [options]
+     * @param {number} [options.concurrency] 并发数，默认1
+     * @returns {DcRequest} 全部数据组成的数组
+     */
+    fetchAll({concurrency = 1} = {}) {
+        return new DcRequest((resolve, reject) => {
+            this.fetchPage(this.params).then(first => {
+                const total = this.getTotal(first.data);
+                const size = Number(this.params[this.sizeParam]);
+                const startPage = Number(this.params[this.pageParam]);
+
+                if (concurrency > 1 && total !== null && size > 0 && !this.customNextParams) {
+                    const lastPage = Math.ceil(total / size);
+                    const pageNums = [];
+                    for (let pageNum = startPage + 1; pageNum <= lastPage; pageNum++) pageNums.push(pageNum);
+
+                    const results = [first.items];
+                    let index = 0;
+                    const worker = () => {
+                        if (this.canceled || index >= pageNums.length) return Promise.resolve();
+                        const current = index++;
+                        return this.fetchPage({...this.params, [this.pageParam]: pageNums[current]}).then(page => {
+                            results[current + 1] = page.items;
+                            return worker();
+                        });
+                    };
+                    const workers = [];
+                    for (let i = 0; i < Math.min(concurrency, pageNums.length); i++) workers.push(worker());
+                    return Promise.all(workers).then(() => [].concat(...results));
+                }
+
+                // 逐页请求
+                const collect = (items, params) => {
+                    if (!params || this.canceled) return items;
+                    return this.fetchPage(params).then(page => collect(
+                        items.concat(page.items),
+                        this.getNextParams(page.data, page.params, page.items),
+                    ));
+                };
+                return collect(first.items, this.getNextParams(first.data, first.params, first.items));
+            }).then(resolve, reject);
+        }, () => this.cancel());
+    }
+
+    /**
+     * 打断进行中的请求，并结束所有迭代器
+     */
+    cancel() {
+        this.canceled = true;
+        this.active.forEach(request => request.cancel());
+        this.active = [];
+        this.iterators.forEach(iterator => iterator.cancel());
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * 插件：在fetch的各个阶段按注册顺序执行，真实请求与mock请求都会经过插件，
+ * 用于替代直接操作axios拦截器，插件可以拿到successTip errorTip等完整的dcFetch配置。
+ * <br/>
+ * ctx 为 {url, data, method, options, dcFetch}，发送之前会补充 config（axios配置）及 isMock
+ * <br/>
+ * onRequest(ctx)：发送之前，可以直接修改ctx，也可以返回需要合并到ctx的对象；
+ * <br/>
+ * onResponse(response, ctx)：收到响应，responseAdapter之前，返回值会替换response；
+ * <br/>
+ * onError(err, ctx)：请求失败（包括业务错误），返回值会替换err，插件出错时忽略；
+ * <br/>
+ * onCancel(ctx)：请求结束之前被cancel或abort，已经成功或失败的请求不会触发。
+ * <br/>
+ * 以上函数都可以返回Promise。
+ * @example
+ * dcFetch.use({
+ *     name: 'logger',
+ *     onRequest: ctx => console.log('request', ctx.method, ctx.url),
+ *     onError: (err, ctx) => console.error(ctx.url, err),
+ * });
+ *
+ * // 单个请求跳过插件
+ * dcFetch.get('/health', null, {skipPlugins: true}); // 跳过全部
+ * dcFetch.get('/health', null, {skipPlugins: ['logger']}); // 按name跳过
+ * @module 插件
+ */
+
+/**
+ * 过滤掉单个请求跳过的插件
+ *
+ * @param {Array} plugins 已注册的插件
+ * @param {boolean|Array} [skipPlugins] true跳过全部，或者插件name数组
+ * @returns {Array}
+ */
+export function filterPlugins(plugins, skipPlugins) {
+    if (skipPlugins === true) return [];
+    if (!Array.isArray(skipPlugins) || !skipPlugins.length) return plugins;
+    return plugins.filter(plugin => skipPlugins.indexOf(plugin.name) === -1);
+}
+
+/**
+ * 是否有插件实现了hook
+ *
+ * @param {Array} plugins
+ * @param {string} hook
+ * @returns {boolean}
+ */
+export function hasHook(plugins, hook) {
+    return plugins.some(plugin => typeof plugin[hook] === 'function');
+}
+
+/**
+ * 依次执行插件的hook，返回值不为undefined时替换value传给下一个插件；
+ * onResponse出错时请求失败，onError中单个插件出错则忽略，保留当前的err传给下一个插件
+ *
+ * @param {Array} plugins
+ * @param {string} hook onResponse onError
+ * @param {*} value response 或 err
+ * @param {object} ctx
+ * @returns {Promise} 最终的value
+ */
+export function runHooks(plugins, hook, value, ctx) {
+    return plugins.reduce((prev, plugin) => {
+        if (typeof plugin[hook] !== 'function') return prev;
+        return prev.then(current => {
+            const next = new Promise(resolve => resolve(plugin[hook](current, ctx)))
+                .then(result => (result === undefined ? current : result));
+            return hook === 'onError' ? next.catch(() => current) : next;
+        });
+    }, Promise.resolve(value));
+}
+
+/**
+ * 依次执行插件的onRequest，返回的对象合并到ctx中
+ *
+ * @param {Array} plugins
+ * @param {object} ctx
+ * @returns {Promise} ctx
+ */
+export function runRequestHooks(plugins, ctx) {
+    return plugins.reduce((prev, plugin) => {
+        if (typeof plugin.onRequest !== 'function') return prev;
+        return prev.then(() => plugin.onRequest(ctx)).then(result => {
+            if (result && typeof result === 'object') Object.assign(ctx, result);
+        });
+    }, Promise.resolve()).then(() => ctx);
+}
+
+/**
+ * 执行插件的onCancel，同步执行，忽略返回值；与onError相同，单个插件出错不影响其他插件
+ *
+ * @param {Array} plugins
+ * @param {object} ctx
+ */
+export function runCancelHooks(plugins, ctx) {
+    plugins.forEach(plugin => {
+        if (typeof plugin.onCancel !== 'function') return;
+        try {
+            Promise.resolve(plugin.onCancel(ctx)).catch(() => null);
+        } catch (e) {
+            // 忽略
+        }
+    });
+}
@@ -0,0 +1,103 @@
+/**
+ * 轮询：用于等待导出任务、支付结果等状态，until返回true时结束
+ * @example
+ * const polling = dcFetch.poll('/tasks/1', null, {
+ *     interval: 2000,
+ *     until: data => data.status === 'done',
+ *     onTick: data => this.setState({progress: data.progress}),
+ *     maxAttempts: 30,
+ * });
+ * polling.then(data => download(data.url));
+ * polling.cancel(); // 停止轮询
+ * @module 轮询
+ */
+
+import DcRequest from './dc-request';
+import {DcFetchError} from './errors';
+
+const isHidden = () => typeof document !== 'undefined' && document.hidden;
+
+// 页面隐藏时等待，重新显示后调用callback，返回取消等待的函数
+function waitVisible(callback) {
+    const onChange = () => {
+        if (isHidden()) return;
+        document.removeEventListener('visibilitychange', onChange);
+        callback();
+    };
+    document.addEventListener('visibilitychange', onChange);
+    return () => document.removeEventListener('visibilitychange', onChange);
+}
+
+/**
+ * @param dcFetch DcFetch实例
+ * @param {string} url 请求路径
+ * @param {object} [params] 请求参数
+ * @param {object} [options] 除以下配置外，其他同fetch的options
+ * @param {number} [options.interval] 轮询间隔（毫秒），上一次请求结束之后开始计时，默认1000
+ * @param {function} [options.until] 结束条件 (data, attempt) => boolean，默认一直轮询
+ * @param {function} [options.onTick] 每次请求成功的回调 (data, attempt) => void
+ * @param {number} [options.maxAttempts] 最大请求次数，超过之后以code为ERR_POLL_TIMEOUT的DcFetchError失败，并提示errorTip，默认不限制
+ * @param {number|function} [options.backoff] 间隔增长倍数，或者 (attempt, interval) => ms，默认1，不增长
+ * @param {number} [options.maxInterval] 间隔增长的上限，默认60000
+ * @param {boolean} [options.pauseWhenHidden] 页面隐藏时暂停，默认true
+ * @param {string} [options.method] 请求方法，默认get
+ * @returns {DcRequest} until满足时成功，结果为最后一次的数据
+ */
+export default function poll(dcFetch, url, params, {
+    interval = 1000,
+    until = () => false,
+    onTick,
+    maxAttempts = Infinity,
+    backoff = 1,
+    maxInterval = 60000,
+    pauseWhenHidden = true,
+    method = 'get',
+    ...fetchOptions
+} = {}) {
+    let canceled = false;
+    let timer;
+    let current; // 进行中的请求
+    let stopWaiting; // 取消等待页面显示
+
+    const getDelay = attempt => {
+        if (typeof backoff === 'function') return backoff(attempt, interval);
+        return Math.min(maxInterval, interval * Math.pow(backoff, attempt - 1));
+    };
+
+    return new DcRequest((resolve, reject) => {
+        let attempt = 0;
+        const tick = () => {
+            if (canceled) return;
+            if (pauseWhenHidden && isHidden()) {
+                stopWaiting = waitVisible(tick);
+                return;
+            }
+
+            attempt++;
+            current = dcFetch.fetch(url, params, method, fetchOptions);
+            current.then(data => {
+                if (onTick) onTick(data, attempt);
+                if (until(data, attempt)) {
+                    resolve(data);
+                    return;
+                }
+                if (attempt >= maxAttempts) {
+                    const error = new DcFetchError(`Polling ${url} did not finish after ${maxAttempts} attempts`, {
+                        code: 'ERR_POLL_TIMEOUT',
+                    });
+                    const {errorTip = method === 'get' ? '获取数据失败！' : '操作失败！'} = fetchOptions;
+                    dcFetch.onShowErrorTip(error, errorTip);
+                    reject(error);
+                    return;
+                }
+                timer = setTimeout(tick, getDelay(attempt));
+            }).catch(reject);
+        };
+        tick();
+    }, () => {
+        canceled = true;
+        clearTimeout(timer);
+        if (stopWaiting) stopWaiting();
+        if (current) current.cancel();
+    }, {rejectOnCancel: fetchOptions.rejectOnCancel});
+}
@@ -10,6 +10,10 @@
  * done：
  * finally方法用于指定不管Promise对象最后状态如何，都会执行的操作。
  * 它与done方法的最大区别，它接受一个普通的回调函数作为参数，该函数不管怎样都必须执行。
+ * <br/>
+ * <br/>
+ * dcFetch返回的DcRequest对象已经自带这两个方法，引入dcFetch不再扩展全局Promise，
+ * 如果其他Promise也需要，手动引入：import 'dc-fetch/lib/promise-extends';
  * @module 两个Promise扩展方法
  */
 
@@ -0,0 +1,15 @@
+import {createContext} from 'react';
+
+/**
+ * 覆盖createDcFetchHoc及useDcFetch使用的dcFetch，服务端渲染时传入 dcFetch.fork() 创建的子实例，参见 ssr.js
+ * @example
+ * renderToString(
+ *     <DcFetchContext.Provider value={dcFetch.fork({cookies: req.headers.cookie, baseURL: 'http://127.0.0.1:8080'})}>
+ *         <App/>
+ *     </DcFetchContext.Provider>
+ * );
+ * @module dcFetch上下文
+ */
+const DcFetchContext = createContext(null);
+
+export default DcFetchContext;
@@ -1,8 +1,11 @@
 import React, {Component} from 'react';
+import createTrackedClient from './tracked-client';
+import DcFetchContext from './react-context';
 
 /**
  * 将dcFetch属性注入到目标组件props中，目标组件可以通过this.props.dcFetch.get(...)方式进行使用;
  * 每次发送请求时，保存了请求的句柄，在componentWillUnmount方法中，进行统一cancel，进行资源释放，防止组件卸载之后，dcFetch回调还能执行引起的bug。
+ * 包括上传、分页、轮询、流式请求等，轮询会在卸载时停止，流式请求会断开连接。
  * @example
  * const dcFetch = createDcFetchHoc(dcFetch)
  * // 装饰器方式：
@@ -18,30 +21,44 @@ import React, {Component} from 'react';
  * // 直接使用
  * const WrappedComponet = dcFetch()(SomeComponent);
  *
+ * @example
+ * // 注入defineApi定义的接口，同样会在卸载时cancel
+ * // @dcFetch({apis: {userApi}})
+ * // 组件内调用：this.props.userApi.getUser(1)
+ *
+ * @example
+ * // 注入registerService注册的服务，apis也会使用该服务发送请求
+ * // @dcFetch({propName: 'orderFetch', service: 'order'})
+ * // 组件内调用：this.props.orderFetch.get('/orders')
+ *
+ * @example
+ * // 服务端渲染时，通过DcFetchContext传入每个页面请求的子实例，参见 ssr.js
+ * // <DcFetchContext.Provider value={dcFetch.fork({...})}><App/></DcFetchContext.Provider>
+ *
  */
-const createDcFetchHoc = dcFetch => ({propName = 'dcFetch'} = {}) => WrappedComponent => {
+const createDcFetchHoc = dcFetch => ({propName = 'dcFetch', apis = {}, service} = {}) => WrappedComponent => {
     class WithSubscription extends Component {
-        constructor(props) {
-            super(props);
-            this._$dcFetch = {};
-            this._$dcFetchTokens = [];
-            const methods = ['get', 'post', 'put', 'patch', 'del', 'singleGet'];
+        static contextType = DcFetchContext;
 
-            for (let method of methods) {
-                this._$dcFetch[method] = (...args) => {
-                    const dcFetchToken = dcFetch[method](...args);
-                    this._$dcFetchTokens.push(dcFetchToken);
-                    return dcFetchToken;
-                };
-            }
+        constructor(props, context) {
+            super(props, context);
+            const target = context || dcFetch;
+            const {client, cancelAll} = createTrackedClient(service ? target.service(service) : target);
+            this._$dcFetch = client;
+            this._$cancelAll = cancelAll;
+            this._$apis = {};
+            Object.keys(apis).forEach(name => {
+                this._$apis[name] = apis[name].withClient(client);
+            });
         }
 
         componentWillUnmount() {
-            this._$dcFetchTokens.forEach(item => item.cancel());
+            this._$cancelAll();
         }
 
         render() {
             const injectProps = {
+                ...this._$apis,
                 [propName]: this._$dcFetch,
             };
             return <WrappedComponent {...injectProps} {...this.props}/>;
@@ -0,0 +1,139 @@
+import {useCallback, useContext, useEffect, useRef, useState} from 'react';
+import createTrackedClient from './tracked-client';
+import DcFetchContext from './react-context';
+
+/**
+ * 函数组件中使用dcFetch，与createDcFetchHoc相同，组件卸载时统一cancel未完成的请求
+ * @example
+ * const useFetch = () => useDcFetch(dcFetch);
+ *
+ * function SomeComponent() {
+ *     const fetch = useFetch();
+ *     const handleSave = () => fetch.post('/users', values, {successTip: '保存成功！'});
+ *     ...
+ * }
+ *
+ * @param dcFetch DcFetch实例，DcFetchContext有值时使用DcFetchContext中的实例
+ * @returns {object} 拥有fetch get post put patch del singleGet upload paginate poll stream等方法，可以传给defineApi定义的接口的withClient
+ */
+export function useDcFetch(dcFetch) {
+    dcFetch = useContext(DcFetchContext) || dcFetch;
+    const ref = useRef(null);
+    if (!ref.current || ref.current.dcFetch !== dcFetch) {
+        if (ref.current) ref.current.cancelAll();
+        ref.current = {dcFetch, ...createTrackedClient(dcFetch)};
+    }
+
+    useEffect(() => () => ref.current.cancelAll(), []);
+
+    return ref.current.client;
+}
+
+/**
+ * 管理一个请求的 data error loading 状态
+ * @example
+ * // 自动触发，deps变化时重新请求
+ * const {data, loading, refresh} = useRequest(() => dcFetch.get('/users', {pageNum}), [pageNum]);
+ *
+ * @example
+ * // 手动触发，输入联想使用防抖
+ * const {data, run} = useRequest(keyword => dcFetch.get('/users/suggest', {keyword}), [], {manual: true, debounce: 300});
+ *
+ * @example
+ * // 轮询，每5秒刷新一次
+ * const {data, cancel} = useRequest(() => dcFetch.get('/tasks/1'), [], {pollingInterval: 5000});
+ *
+ * @param {function} fn 发送请求的函数 (...args) => dcFetch请求，也可以是普通的promise
+ * @param {Array} [deps] 非manual模式下，deps变化时自动重新请求
+ * @param {object} [options]
+ * @param {boolean} [options.manual] 是否手动触发，默认false，组件加载及deps变化时自动触发
+ * @param {Array} [options.defaultParams] 自动触发时传给fn的参数
+ * @param {number} [options.debounce] run的防抖时间（毫秒）
+ * @param {number} [options.pollingInterval] 轮询间隔（毫秒），上一次请求结束之后开始计时
+ * @param {*} [options.initialData] data的初始值
+ * @param {function} [options.onSuccess] (data, args) => void
+ * @param {function} [options.onError] (error, args) => void
+ * @returns {{data, error, loading, run, cancel, refresh}}
+ */
+export function useRequest(fn, deps = [], {
+    manual = false,
+    defaultParams = [],
+    debounce = 0,
+    pollingInterval = 0,
+    initialData,
+    onSuccess,
+    onError,
+} = {}) {
+    const [state, setState] = useState({data: initialData, error: null, loading: !manual});
+
+    // 始终使用最新的fn与回调，避免闭包中拿到旧的props
+    const latest = useRef({});
+    latest.current = {fn, onSuccess, onError, debounce, pollingInterval, manual, defaultParams};
+
+    const ref = useRef({request: null, debounceTimer: null, pollingTimer: null, args: defaultParams, unmounted: false});
+
+    // 打断进行中的请求以及等待中的防抖、轮询
+    const abort = useCallback(() => {
+        const current = ref.current;
+        clearTimeout(current.debounceTimer);
+        clearTimeout(current.pollingTimer);
+        if (current.request && current.request.cancel) current.request.cancel();
+        current.request = null;
+    }, []);
+
+    const execute = useCallback((...args) => {
+        const current = ref.current;
+        abort();
+        current.args = args;
+        setState(s => ({...s, loading: true}));
+
+        const request = latest.current.fn(...args);
+        current.request = request;
+
+        const settle = (nextState, callback, value) => {
+            // 已经被新的请求替代，或者已经cancel
+            if (current.request !== request || current.unmounted) return;
+            current.request = null;
+            setState(nextState);
+            if (callback) callback(value, args);
+
+            const interval = latest.current.pollingInterval;
+            if (interval) {
+                current.pollingTimer = setTimeout(() => execute(...args), interval);
+            }
+        };
+        Promise.resolve(request).then(
+            data => settle({data, error: null, loading: false}, latest.current.onSuccess, data),
+            error => settle(s => ({...s, error, loading: false}), latest.current.onError, error),
+        );
+        return request;
+    }, [abort]);
+
+    const run = useCallback((...args) => {
+        const wait = latest.current.debounce;
+        if (!wait) return execute(...args);
+
+        clearTimeout(ref.current.debounceTimer);
+        ref.current.debounceTimer = setTimeout(() => execute(...args), wait);
+        return undefined;
+    }, [execute]);
+
+    const refresh = useCallback(() => run(...ref.current.args), [run]);
+
+    const cancel = useCallback(() => {
+        abort();
+        if (!ref.current.unmounted) setState(s => ({...s, loading: false}));
+    }, [abort]);
+
+    // 只在deps变化时自动请求，manual defaultParams与fn一样从latest中读取
+    useEffect(() => {
+        if (!latest.current.manual) run(...latest.current.defaultParams);
+    }, deps);
+
+    useEffect(() => () => {
+        ref.current.unmounted = true;
+        abort();
+    }, [abort]);
+
+    return {...state, run, cancel, refresh};
+}
@@ -0,0 +1,267 @@
+/**
+ * 录制与回放：录制instance发出的真实请求，保存为HAR格式的fixture文件；
+ * 回放时使用fixture作为adapter，不需要网络，用于回归测试及离线开发。
+ * @example
+ * // 录制，通过 recorder.toHar() 取出，node环境中可以使用 har-file.js 写入fixture文件
+ * // authorization cookie set-cookie 的值默认保存为 [REDACTED]，redactHeaders 可以修改
+ * const recorder = dcFetch.record({redactHeaders: ['authorization', 'cookie', 'set-cookie', 'x-api-key']});
+ * runSomePages().then(() => {
+ *     saveHar(recorder, 'test/fixtures/users.har.json');
+ *     recorder.stop(); // 恢复原来的adapter
+ * });
+ *
+ * @example
+ * // 回放
+ * dcFetch.replay(require('./fixtures/users.har.json'), {
+ *     match: ['method', 'path', 'query'], // 不比较body
+ *     ignoreParams: ['_t'], // 忽略时间戳等参数
+ * });
+ * @module 录制与回放
+ */
+
+import {parse, stringify} from 'qs';
+import {buildFullUrl, createError, settle} from './adapter-utils';
+
+const DEFAULT_MATCH = ['method', 'path', 'query', 'body'];
+const DEFAULT_REDACT_HEADERS = ['authorization', 'cookie', 'set-cookie'];
+const REDACTED = '[REDACTED]';
+
+function toNameValues(object = {}) {
+    return Object.keys(object)
+        .filter(name => object[name] !== undefined && typeof object[name] !== 'object')
+        .map(name => ({name, value: String(object[name])}));
+}
+
+function fromNameValues(list = []) {
+    return list.reduce((result, {name, value}) => {
+        result[name.toLowerCase()] = value;
+        return result;
+    }, {});
+}
+
+function toText(data) {
+    if (data === undefined || data === null) return '';
+    if (typeof data === 'string') return data;
+    if (typeof FormData !== 'undefined' && data instanceof FormData) return '[FormData]';
+    try {
+        return JSON.stringify(data);
+    } catch (e) {
+        return String(data);
+    }
+}
+
+// 尽量解析为对象，比较时忽略字段顺序
+function parseText(text) {
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text.indexOf('=') > -1 ? parse(text) : text;
+    }
+}
+
+// get请求的data为{}，与没有body相同
+function isEmpty(body) {
+    return body === null || (typeof body === 'object' && !Object.keys(body).length);
+}
+
+function sortedStringify(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(sortedStringify).join(',')}]`;
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${sortedStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * 整理请求信息，录制与回放匹配使用相同的格式
+ *
+ * @param config axios 配置参数
+ * @returns {{method: string, url: string, path: string, query: object, body: *}}
+ */
+export function describeRequest(config) {
+    const fullUrl = buildFullUrl(config.baseURL, config.url, config.params, config.paramsSerializer);
+    const [url, search = ''] = fullUrl.split('?');
+    const body = parseText(toText(config.data));
+    return {
+        method: (config.method || 'get').toUpperCase(),
+        fullUrl,
+        url,
+        path: url.replace(/^[a-z][a-z\d+\-.]*:\/\/[^/]+/i, '') || '/',
+        query: parse(search),
+        body: isEmpty(body) ? null : body,
+    };
+}
+
+/**
+ * 录制adapter，将请求与响应保存为HAR的entries；
+ * fixture文件通常会提交到仓库，默认不保存 authorization cookie set-cookie 的值
+ */
+export class Recorder {
+    entries = [];
+
+    /**
+     * @param {function} adapter 真正发送请求的adapter
+     * @param {function} [restore] 停止录制时调用，用于恢复原来的adapter
+     * @param {object} [options]
+     * @param {Array|boolean} [options.redactHeaders] 需要隐藏值的header名，不区分大小写，false不隐藏
+     */
+    constructor(adapter, restore, {redactHeaders = DEFAULT_REDACT_HEADERS} = {}) {
+        this.originalAdapter = adapter;
+        this.restore = restore;
+        this.redactHeaders = (redactHeaders || []).map(name => name.toLowerCase());
+        this.adapter = this.adapter.bind(this);
+    }
+
+    redact(headers = {}) {
+        return toNameValues(headers).map(({name, value}) => (
+            this.redactHeaders.indexOf(name.toLowerCase()) === -1 ? {name, value} : {name, value: REDACTED}
+        ));
+    }
+
+    adapter(config) {
+        const startedDateTime = new Date().toISOString();
+        const start = Date.now();
+        const record = response => {
+            const {method, fullUrl, query} = describeRequest(config);
+            const headers = response.headers || {};
+            this.entries.push({
+                startedDateTime,
+                time: Date.now() - start,
+                request: {
+                    method,
+                    url: fullUrl,
+                    queryString: toNameValues(query),
+                    headers: this.redact(config.headers),
+                    postData: config.data === undefined ? undefined : {
+                        mimeType: (config.headers && config.headers['Content-Type']) || '',
+                        text: toText(config.data),
+                    },
+                },
+                response: {
+                    status: response.status,
+                    statusText: response.statusText || '',
+                    headers: this.redact(headers),
+                    content: {
+                        mimeType: headers['content-type'] || '',
+                        text: toText(response.data),
+                    },
+                },
+            });
+        };
+
+        return this.originalAdapter(config).then(response => {
+            record(response);
+            return response;
+        }, err => {
+            // http错误同样录制，网络错误、取消等没有响应的不录制
+            if (err && err.response) record(err.response);
+            throw err;
+        });
+    }
+
+    /**
+     * @returns {object} HAR格式的数据 {log: {version, creator, entries}}
+     */
+    toHar() {
+        return {
+            log: {
+                version: '1.2',
+                creator: {name: 'dc-fetch', version: '1'},
+                entries: this.entries.slice(),
+            },
+        };
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * 停止录制，已录制的数据保留
+     */
+    stop() {
+        if (this.restore) this.restore();
+    }
+}
+
+/**
+ * 创建回放adapter
+ *
+ * @param {object|Array} har HAR数据，或者entries数组
+ * @param {object} [options]
+ * @param {Array|function} [options.match] 需要比较的字段 method url path query body，默认 ['method', 'path', 'query', 'body']；
+ * 也可以是函数 (entry, request) => boolean，request为 describeRequest 的结果
+ * @param {Array} [options.ignoreParams] 比较query时忽略的参数，如时间戳
+ * @param {function} [options.fallbackAdapter] 没有匹配的录制时使用，默认以404失败
+ * @returns {function} axios adapter，带有 entries 及 history（回放过的请求）
+ */
+export function createReplayAdapter(har, {match = DEFAULT_MATCH, ignoreParams = [], fallbackAdapter} = {}) {
+    const entries = Array.isArray(har) ? har : ((har && har.log && har.log.entries) || []);
+    const used = entries.map(() => 0);
+
+    const omit = query => Object.keys(query || {}).reduce((result, key) => {
+        if (ignoreParams.indexOf(key) === -1) result[key] = query[key];
+        return result;
+    }, {});
+
+    const isMatch = (entry, request) => {
+        if (typeof match === 'function') return !!match(entry, request);
+        const recorded = describeRequest({
+            method: entry.request.method,
+            url: entry.request.url,
+            data: entry.request.postData && entry.request.postData.text,
+        });
+        return match.every(field => {
+            switch (field) {
+                case 'method':
+                    return recorded.method === request.method;
+                case 'url':
+                    return recorded.url === request.url;
+                case 'path':
+                    return recorded.path === request.path;
+                case 'query':
+                    return stringify(omit(recorded.query), {sort: (a, b) => a.localeCompare(b)})
+                        === stringify(omit(request.query), {sort: (a, b) => a.localeCompare(b)});
+                case 'body':
+                    return sortedStringify(recorded.body) === sortedStringify(request.body);
+                default:
+                    throw new Error(`Unknown replay match field "${field}"`);
+            }
+        });
+    };
+
+    const adapter = config => {
+        const request = describeRequest(config);
+        adapter.history.push(request);
+
+        // 相同请求录制了多次时按顺序回放，最后一次之后一直使用最后一次
+        const candidates = entries.map((entry, index) => index).filter(index => isMatch(entries[index], request));
+        if (!candidates.length) {
+            if (fallbackAdapter) return fallbackAdapter(config);
+            return Promise.reject(createError(`No recorded response for ${request.method} ${request.fullUrl}`, config, null, null, {
+                status: 404, data: null, headers: {}, config,
+            }));
+        }
+        const index = candidates.filter(item => !used[item])[0];
+        const entryIndex = index === undefined ? candidates[candidates.length - 1] : index;
+        used[entryIndex]++;
+
+        const {response: recorded} = entries[entryIndex];
+        return new Promise((resolve, reject) => {
+            if (config.cancelToken) {
+                config.cancelToken.promise.then(reject);
+            }
+            // 异步返回，与真实请求的时序一致
+            setTimeout(() => settle(resolve, reject, {
+                data: recorded.content ? recorded.content.text : '',
+                status: recorded.status,
+                statusText: recorded.statusText || '',
+                headers: fromNameValues(recorded.headers),
+                config,
+                request: null,
+            }), 0);
+        });
+    };
+    adapter.entries = entries;
+    adapter.history = [];
+    return adapter;
+}
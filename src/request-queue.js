@@ -0,0 +1,132 @@
+/**
+ * 请求并发控制：超过并发上限的请求进入队列，按priority从高到低、相同priority先进先出依次发送
+ * @example
+ * const dcFetch = new DcFetch({maxConcurrent: 6, maxConcurrentPerHost: {'static.example.com': 2}});
+ * dcFetch.post('/orders', data, {priority: 10}); // 用户操作优先发送
+ *
+ * // 调试，请求在鉴权的auth.prepare之后才加入队列，get()返回时pending还是[]
+ * dcFetch.queue.pending; // 排队中的请求 [{id, method, url, host, priority, time}]
+ * dcFetch.queue.active; // 进行中的请求
+ * @module 请求队列
+ */
+
+let id = 0;
+
+/**
+ * 获取请求的host，相对路径返回空字符串
+ *
+ * @param {string} url 请求路径
+ * @param {string} [baseURL]
+ * @returns {string}
+ */
+export function getHost(url = '', baseURL = '') {
+    const absolute = /^([a-z][a-z\d+\-.]*:)?\/\//i;
+    const target = absolute.test(url) ? url : baseURL;
+    const matched = /^(?:[a-z][a-z\d+\-.]*:)?\/\/([^/?#]+)/i.exec(target || '');
+    return matched ? matched[1] : '';
+}
+
+export default class RequestQueue {
+    pendingEntries = [];
+    activeEntries = [];
+
+    /**
+     * @param {number} [maxConcurrent] 最大并发数，默认不限制
+     * @param {number|object} [maxConcurrentPerHost] 每个host的最大并发数，也可以是 {host: 并发数}
+     */
+    constructor({maxConcurrent = Infinity, maxConcurrentPerHost = Infinity} = {}) {
+        this.maxConcurrent = maxConcurrent;
+        this.maxConcurrentPerHost = maxConcurrentPerHost;
+    }
+
+    /**
+     * 排队中的请求；dcFetch发出的请求要等auth.prepare之后才异步加入，请求刚创建时还不在其中
+     *
+     * @returns {Array} [{id, method, url, host, priority, time}]
+     */
+    get pending() {
+        return this.pendingEntries.map(({task, ...info}) => info);
+    }
+
+    /**
+     * 进行中的请求
+     *
+     * @returns {Array} [{id, method, url, host, priority, time}]
+     */
+    get active() {
+        return this.activeEntries.map(({task, ...info}) => info);
+    }
+
+    getHostLimit(host) {
+        const limit = this.maxConcurrentPerHost;
+        if (limit && typeof limit === 'object') {
+            return limit[host] === undefined ? Infinity : limit[host];
+        }
+        return limit;
+    }
+
+    canStart(entry) {
+        if (this.activeEntries.length >= this.maxConcurrent) return false;
+        const hostActive = this.activeEntries.filter(item => item.host === entry.host).length;
+        return hostActive < this.getHostLimit(entry.host);
+    }
+
+    /**
+     * 加入队列
+     *
+     * @param {function} task 发送请求 () => Promise
+     * @param {object} info {method, url, host, priority}
+     * @returns {{promise: Promise, cancel: function}} cancel只能移除排队中的请求，进行中的请求需要自行打断
+     */
+    schedule(task, {method, url, host = '', priority = 0} = {}) {
+        let entry;
+        const promise = new Promise((resolve, reject) => {
+            entry = {
+                id: ++id,
+                method,
+                url,
+                host,
+                priority,
+                time: Date.now(),
+                task: () => Promise.resolve().then(task).then(resolve, reject),
+            };
+        });
+
+        // priority高的排在前面，相同priority保持先后顺序
+        const index = this.pendingEntries.findIndex(item => item.priority < priority);
+        if (index === -1) {
+            this.pendingEntries.push(entry);
+        } else {
+            this.pendingEntries.splice(index, 0, entry);
+        }
+        this.next();
+
+        const cancel = () => {
+            const pendingIndex = this.pendingEntries.indexOf(entry);
+            if (pendingIndex > -1) this.pendingEntries.splice(pendingIndex, 1);
+        };
+        return {promise, cancel};
+    }
+
+    next() {
+        for (let i = 0; i < this.pendingEntries.length;) {
+            const entry = this.pendingEntries[i];
+            if (this.activeEntries.length >= this.maxConcurrent) return;
+            if (!this.canStart(entry)) {
+                i++; // 该host已满，看后面其他host的请求
+                continue;
+            }
+            this.pendingEntries.splice(i, 1);
+            this.start(entry);
+        }
+    }
+
+    start(entry) {
+        this.activeEntries.push(entry);
+        const done = () => {
+            this.activeEntries = this.activeEntries.filter(item => item !== entry);
+            this.next();
+        };
+        entry.task().then(done, done);
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * 请求失败重试相关的默认策略：
+ * 哪些错误需要重试、每次重试前等待多久。
+ * @module 请求重试
+ */
+
+// 幂等的请求方法，重复发送不会产生副作用，默认只对这些方法进行重试
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// 这些状态码一般是服务暂时不可用，稍后重试有可能成功
+const RETRY_STATUS = [408, 429, 500, 502, 503, 504];
+
+// 单次等待的上限，防止指数增长之后等待过久
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * 默认的重试判断：网络错误、超时、服务暂时不可用，并且请求方法是幂等的
+ *
+ * @param {Error} err axios 抛出的错误
+ * @param {number} attempt 即将进行的是第几次重试，从1开始
+ * @param {object} config 本次请求的 axios 配置
+ * @returns {boolean}
+ */
+export function defaultRetryOn(err, attempt, config) {
+    const method = ((config && config.method) || 'get').toLowerCase();
+    if (IDEMPOTENT_METHODS.indexOf(method) === -1) return false;
+
+    const response = err && err.response;
+    // 没有response：网络错误 或 超时
+    if (!response) return true;
+
+    return RETRY_STATUS.indexOf(response.status) > -1;
+}
+
+/**
+ * 解析 Retry-After 响应头，只在 429、503 时生效
+ * 值可以是秒数，也可以是 HTTP 日期
+ *
+ * @param {Error} err axios 抛出的错误
+ * @returns {number|null} 需要等待的毫秒数，没有则返回null
+ */
+export function getRetryAfter(err) {
+    const response = err && err.response;
+    if (!response || (response.status !== 429 && response.status !== 503)) return null;
+
+    const headers = response.headers || {};
+    const retryAfter = headers['retry-after'] || headers['Retry-After'];
+    if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+    return null;
+}
+
+/**
+ * 计算第 attempt 次重试前需要等待的时间
+ * 优先使用服务端 Retry-After 给出的时间，同样不超过 MAX_RETRY_DELAY；
+ * retryDelay 为函数时，由调用方完全决定；
+ * 为数字时，作为基数进行指数退避，并加入随机抖动，防止大量客户端同时重试。
+ *
+ * @param {number|function} retryDelay 基础等待时间，或者 (attempt, err) => ms
+ * @param {number} attempt 第几次重试，从1开始
+ * @param {Error} err axios 抛出的错误
+ * @returns {number}
+ */
+export function getRetryDelay(retryDelay, attempt, err) {
+    const retryAfter = getRetryAfter(err);
+    if (retryAfter !== null) return Math.min(MAX_RETRY_DELAY, retryAfter);
+
+    if (typeof retryDelay === 'function') return retryDelay(attempt, err);
+
+    const exponential = Math.min(MAX_RETRY_DELAY, retryDelay * Math.pow(2, attempt - 1));
+    // 在 [exponential / 2, exponential] 之间随机
+    return exponential / 2 + Math.random() * exponential / 2;
+}
@@ -0,0 +1,210 @@
+/**
+ * 响应数据校验及转换：通过fetch或defineApi接口定义的options.schema校验responseAdapter之后的数据，
+ * 校验通过后依次执行options.transform。
+ * <br/>
+ * schema支持JSON Schema的常用子集：type enum const required properties additionalProperties items
+ * minLength maxLength minimum maximum pattern nullable anyOf oneOf；
+ * 也可以是校验函数 data => true | false | string | string[]，返回字符串表示错误信息。
+ * <br/>
+ * schemaMode：reject以ValidationError失败；warn只在控制台警告，不影响请求结果；off不校验。
+ * 默认开发环境（NODE_ENV为development）为warn，其他环境为reject。
+ * @example
+ * const userApi = dcFetch.defineApi({
+ *     getUser: {
+ *         url: '/users/:id',
+ *         schema: {
+ *             type: 'object',
+ *             required: ['id', 'name'],
+ *             properties: {id: {type: 'integer'}, name: {type: 'string'}, tags: {type: 'array', items: {type: 'string'}}},
+ *         },
+ *         transform: [withDefaults({tags: []}), parseDates(['createdAt'])],
+ *     },
+ * });
+ *
+ * dcFetch.get('/orders', null, {schema: data => Array.isArray(data.list) || 'list should be array'});
+ * @module 响应校验
+ */
+
+import {ValidationError} from './errors';
+
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchType(type, value) {
+    if (type === 'integer') return typeof value === 'number' && Math.floor(value) === value;
+    if (type === 'number') return typeof value === 'number' && !isNaN(value);
+    return getType(value) === type;
+}
+
+/**
+ * 使用JSON Schema子集校验数据
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] 当前数据的路径，用于错误信息
+ * @returns {Array} 错误列表 [{path, message}]，为空表示通过
+ */
+export function validateSchema(schema, value, path = '$') {
+    if (!schema) return [];
+    if (value === null && schema.nullable) return [];
+
+    const errors = [];
+    const fail = message => errors.push({path, message});
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchType(type, value))) {
+            fail(`should be ${types.join(' or ')}, got ${getType(value)}`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.some(item => item === value)) fail(`should be one of ${JSON.stringify(schema.enum)}`);
+    if (schema.const !== undefined && schema.const !== value) fail(`should be ${JSON.stringify(schema.const)}`);
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`should have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`should have at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`should match ${schema.pattern}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`should be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+        });
+    }
+
+    if (getType(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push({path: `${path}.${key}`, message: 'is required'});
+        });
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], value[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({path: `${path}.${key}`, message: 'is not allowed'});
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, value[key], `${path}.${key}`));
+            }
+        });
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(item => !validateSchema(item, value, path).length)) {
+        fail('should match at least one schema in anyOf');
+    }
+    if (schema.oneOf && schema.oneOf.filter(item => !validateSchema(item, value, path).length).length !== 1) {
+        fail('should match exactly one schema in oneOf');
+    }
+    return errors;
+}
+
+/**
+ * 执行校验，schema为对象或函数
+ *
+ * @param {object|function} schema
+ * @param {*} data
+ * @returns {Array} 错误列表 [{path, message}]
+ */
+export function validate(schema, data) {
+    if (typeof schema !== 'function') return validateSchema(schema, data);
+
+    const result = schema(data);
+    if (result === true || result === undefined) return [];
+    if (result === false) return [{path: '$', message: 'is invalid'}];
+    return [].concat(result).map(message => ({path: '$', message: String(message)}));
+}
+
+// 按 'a.b' 'list[].createdAt' 格式的路径修改数据，返回新的数据
+function updatePath(data, keys, update) {
+    if (!keys.length) return update(data);
+    if (data === null || typeof data !== 'object') return data;
+
+    const [key, ...rest] = keys;
+    if (key === '[]') {
+        return Array.isArray(data) ? data.map(item => updatePath(item, rest, update)) : data;
+    }
+    if (!(key in data)) return data;
+    const next = Array.isArray(data) ? data.slice() : {...data};
+    next[key] = updatePath(data[key], rest, update);
+    return next;
+}
+
+function splitPath(path) {
+    return path.replace(/\[\]/g, '.[]').split('.').filter(Boolean);
+}
+
+/**
+ * transform：将指定路径的字符串或时间戳转换为Date
+ *
+ * @param {Array} paths 如 ['createdAt', 'list[].updatedAt']，'[]'表示数组的每一项
+ * @returns {function} data => data
+ */
+export function parseDates(paths) {
+    return data => paths.reduce((result, path) => updatePath(result, splitPath(path), value => {
+        if (typeof value !== 'string' && typeof value !== 'number') return value;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? value : date;
+    }), data);
+}
+
+/**
+ * transform：为缺失（undefined或null）的字段填充默认值，对象会逐层填充
+ *
+ * @param {object} defaults 默认值
+ * @returns {function} data => data
+ */
+export function withDefaults(defaults) {
+    const fill = (value, fallback) => {
+        if (value === undefined || value === null) return fallback;
+        if (getType(value) !== 'object' || getType(fallback) !== 'object') return value;
+        return Object.keys(fallback).reduce((result, key) => ({
+            ...result,
+            [key]: fill(value[key], fallback[key]),
+        }), value);
+    };
+    return data => fill(data, defaults);
+}
+
+/**
+ * 默认的schemaMode：开发环境只警告，其他环境以ValidationError失败
+ *
+ * @returns {string} warn 或 reject
+ */
+export function getDefaultSchemaMode() {
+    return typeof process !== 'undefined' && process.env.NODE_ENV === 'development' ? 'warn' : 'reject';
+}
+
+/**
+ * 校验并转换数据，fetch内部使用
+ *
+ * @param {*} data responseAdapter之后的数据
+ * @param {object} options {schema, transform, schemaMode}
+ * @param {object} [extra] {response, config}，用于ValidationError
+ * @returns {{data, error}} 校验失败或transform出错时返回error
+ */
+export function applySchema(data, {schema, transform, schemaMode = getDefaultSchemaMode()}, {response, config} = {}) {
+    let result = data;
+    try {
+        if (schema && schemaMode !== 'off') {
+            const errors = validate(schema, data);
+            if (errors.length) {
+                const error = new ValidationError(errors, {data, response, config});
+                if (schemaMode !== 'warn') return {error};
+                console.warn(error.message, data);
+            }
+        }
+        [].concat(transform || []).forEach(step => {
+            result = step(result);
+        });
+    } catch (err) {
+        return {error: err};
+    }
+    return {data: result};
+}
@@ -0,0 +1,266 @@
+/**
+ * 服务端渲染：每个页面请求通过 dcFetch.fork 创建独立的子实例，
+ * 转发浏览器的cookie及headers，相对路径基于baseURL（绝对地址）解析；
+ * 子实例收集进行中的请求，渲染之后等待全部结束，将get请求的结果序列化，浏览器中通过 dcFetch.hydrate 直接使用。
+ * <br/>
+ * 子实例拥有独立的axios实例、缓存、singleGets及服务，与dcFetch共享提示、插件、mock服务、并发控制；
+ * 不使用离线队列及token刷新，鉴权信息通过转发的cookie及headers传递。
+ * @example
+ * // 服务端
+ * app.get('*', (req, res) => {
+ *     const pageFetch = dcFetch.fork({
+ *         headers: {'accept-language': req.headers['accept-language']},
+ *         cookies: req.headers.cookie,
+ *         baseURL: 'http://127.0.0.1:8080',
+ *     });
+ *     renderToString(<App dcFetch={pageFetch}/>); // 第一次渲染发起请求
+ *     pageFetch.ssr.settled().then(() => {
+ *         const html = renderToString(<App dcFetch={pageFetch}/>);
+ *         res.send(`${html}<script>window.__DC_FETCH_STATE__ = ${pageFetch.ssr.serialize()}</script>`);
+ *     });
+ * });
+ *
+ * // 浏览器，相同的get请求直接使用服务端的结果，每个结果只使用一次
+ * dcFetch.hydrate(window.__DC_FETCH_STATE__);
+ * @module 服务端渲染
+ */
+
+import axios from 'axios';
+import FetchCache, {getCacheKey} from './cache';
+
+// 不能转发的headers，由node重新生成
+const HOP_BY_HOP_HEADERS = [
+    'host', 'connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'expect', 'content-length',
+    'proxy-authorization', 'proxy-connection', 'te', 'trailer',
+];
+
+/**
+ * 将cookie对象拼接成Cookie请求头，字符串原样返回
+ *
+ * @param {string|object} cookies 'a=1; b=2' 或 {a: '1', b: '2'}
+ * @returns {string}
+ */
+export function serializeCookies(cookies) {
+    if (!cookies || typeof cookies === 'string') return cookies || '';
+    return Object.keys(cookies)
+        .filter(name => cookies[name] !== undefined && cookies[name] !== null)
+        .map(name => `${name}=${encodeURIComponent(cookies[name])}`)
+        .join('; ');
+}
+
+/**
+ * 去掉不能转发的headers，header名统一为小写
+ *
+ * @param {object} headers 浏览器请求的headers，如 express 中的 req.headers
+ * @returns {object}
+ */
+export function filterHeaders(headers = {}) {
+    return Object.keys(headers).reduce((result, name) => {
+        const key = name.toLowerCase();
+        if (HOP_BY_HOP_HEADERS.indexOf(key) === -1 && headers[name] !== undefined) result[key] = headers[name];
+        return result;
+    }, {});
+}
+
+/**
+ * 相对的baseURL基于origin解析为绝对地址，已经是绝对地址时不变
+ *
+ * @param {string} baseURL axios的baseURL，如 '/' '/api'
+ * @param {string} [origin] 绝对地址，如 'http://127.0.0.1:8080'
+ * @returns {string}
+ */
+export function resolveBaseURL(baseURL = '/', origin) {
+    if (!origin || /^[a-z][a-z\d+\-.]*:\/\//i.test(baseURL)) return baseURL;
+    return new URL(baseURL, origin).href;
+}
+
+/**
+ * 服务端结果的key，不同服务的相同请求互不影响；
+ * 服务端记录与浏览器读取都使用dispatch生成的axios配置，options.params覆盖data时两边一致
+ *
+ * @param dcFetch DcFetch实例或者服务
+ * @param {object} config axios配置，使用其中的 url params
+ * @returns {string}
+ */
+export function getHydrationKey(dcFetch, config) {
+    const key = getCacheKey('get', config.url, config.params);
+    return dcFetch.serviceName ? `${dcFetch.serviceName}|${key}` : key;
+}
+
+/**
+ * 取出服务端获取过的结果，取出之后删除，fetch内部使用
+ *
+ * @param dcFetch DcFetch实例或者服务
+ * @param {object} config axios配置
+ * @returns {object|undefined} {data, status, statusText, headers}
+ */
+export function takeHydrated(dcFetch, config) {
+    const hydrated = dcFetch.hydrated;
+    const key = getHydrationKey(dcFetch, config);
+    if (!Object.prototype.hasOwnProperty.call(hydrated, key)) return undefined;
+    const response = hydrated[key];
+    delete hydrated[key];
+    return response;
+}
+
+// 复制axios实例的默认配置及拦截器
+function copyInstance(source, {headers, origin}) {
+    const instance = axios.create();
+    const defaults = source.defaults;
+    const copiedHeaders = Object.keys(defaults.headers).reduce((result, key) => {
+        const value = defaults.headers[key];
+        result[key] = value && typeof value === 'object' ? {...value} : value;
+        return result;
+    }, {});
+    Object.assign(instance.defaults, defaults, {headers: copiedHeaders});
+    Object.assign(instance.defaults.headers.common, headers);
+    instance.defaults.baseURL = resolveBaseURL(defaults.baseURL, origin);
+    instance.defaults.withCredentials = false; // cookie通过请求头转发
+
+    ['request', 'response'].forEach(type => {
+        source.interceptors[type].handlers.forEach(handler => {
+            if (handler) instance.interceptors[type].use(handler.fulfilled, handler.rejected);
+        });
+    });
+    return instance;
+}
+
+// 基于dcFetch或者服务创建子实例
+function forkOne(source, collector, options) {
+    const child = Object.create(source);
+    child.instance = copyInstance(source.instance, options);
+    child.mockInstance = copyInstance(source.mockInstance, options);
+    child.defaults = child.instance.defaults;
+    child.mockDefaults = child.mockInstance.defaults;
+    child.cache = new FetchCache();
+    child.singleGets = {};
+    child.hydrated = {};
+    child.auth = null;
+    child.offline = null;
+    child.plugins = [collector].concat(source.plugins.filter(plugin => plugin !== source.offline));
+    child.ssr = collector;
+    return child;
+}
+
+/**
+ * 创建服务端渲染使用的子实例，DcFetch.fork 内部使用
+ *
+ * @param dcFetch DcFetch实例
+ * @param {object} [options]
+ * @param {object} [options.headers] 需要转发的headers
+ * @param {string|object} [options.cookies] 需要转发的cookie，字符串或者 {name: value}
+ * @param {string} [options.baseURL] 绝对地址，相对的baseURL基于它解析
+ * @returns {DcFetch} 子实例，child.ssr 为 SsrCollector
+ */
+export default function fork(dcFetch, {headers, cookies, baseURL} = {}) {
+    const forwarded = filterHeaders(headers);
+    const cookie = serializeCookies(cookies);
+    if (cookie) forwarded.cookie = cookie;
+
+    const options = {headers: forwarded, origin: baseURL};
+    const collector = new SsrCollector();
+    const child = forkOne(dcFetch, collector, options);
+    // 服务的原型是dcFetch，子服务也需要指向子实例的服务，service(name)不会拿到原来的服务
+    child.services = {};
+    Object.keys(dcFetch.services).forEach(name => {
+        const service = forkOne(dcFetch.services[name], collector, options);
+        service.services = child.services;
+        child.services[name] = service;
+    });
+    return child;
+}
+
+/**
+ * 收集子实例的请求：进行中的请求，以及get请求的结果；
+ * get请求的结果通过插件记录，名称为'ssr'，skipPlugins跳过全部插件的请求不会记录结果。
+ */
+export class SsrCollector {
+    name = 'ssr'; // 插件名
+    requests = []; // 进行中请求的ctx
+    state = {}; // {key: {data, status, statusText, headers}}
+    waiters = [];
+
+    /**
+     * 进行中的请求
+     *
+     * @returns {Array} [{method, url}]
+     */
+    get pending() {
+        return this.requests.map(({method, url}) => ({method, url}));
+    }
+
+    /**
+     * 等待全部请求结束，包括回调中发起的新请求
+     *
+     * @returns {Promise} 全部get请求的结果，同 getState()
+     */
+    settled() {
+        return new Promise(resolve => {
+            const check = () => {
+                if (this.requests.length) {
+                    this.waiters.push(check);
+                    return;
+                }
+                // 回调中可能继续发起请求
+                setTimeout(() => (this.requests.length ? check() : resolve(this.getState())), 0);
+            };
+            check();
+        });
+    }
+
+    /**
+     * get请求的结果
+     *
+     * @returns {object} 传给 dcFetch.hydrate
+     */
+    getState() {
+        return {...this.state};
+    }
+
+    /**
+     * 序列化get请求的结果，可以直接写入 script 标签
+     *
+     * @returns {string}
+     */
+    serialize() {
+        return JSON.stringify(this.state)
+            .replace(/</g, '\\u003c')
+            .replace(/>/g, '\\u003e')
+            .replace(/&/g, '\\u0026')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+    }
+
+    /**
+     * 开始收集一个请求，fetch内部使用
+     *
+     * @param {object} ctx fetch的ctx
+     * @returns {function} 请求结束（成功、失败、cancel）时调用
+     */
+    track(ctx) {
+        this.requests.push(ctx);
+        return () => {
+            const index = this.requests.indexOf(ctx);
+            if (index === -1) return;
+            this.requests.splice(index, 1);
+            if (this.requests.length) return;
+            const waiters = this.waiters;
+            this.waiters = [];
+            waiters.forEach(waiter => waiter());
+        };
+    }
+
+    /**
+     * 插件hook：记录get请求的结果
+     */
+    onResponse(response, ctx) {
+        if (ctx.method !== 'get' || !ctx.config) return;
+        const {'set-cookie': setCookie, ...headers} = response.headers || {};
+        this.state[getHydrationKey(ctx.dcFetch, ctx.config)] = {
+            data: response.data,
+            status: response.status,
+            statusText: response.statusText,
+            headers,
+        };
+    }
+}
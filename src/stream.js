@@ -0,0 +1,469 @@
+/**
+ * 流式响应：Server-Sent Events、NDJSON、纯文本，收到数据时逐条回调onMessage，用于AI对话、日志等场景。
+ * <br/>
+ * 使用全局的fetch及ReadableStream读取数据，baseURL、headers、timeout、withCredentials 使用dcFetch的axios默认配置，
+ * isMock的请求走mock服务；token刷新、插件、失败时调用onShowErrorTip都与fetch相同；
+ * 返回的DcRequest在数据读取完时成功，cancel时断开连接，之后不会再回调onMessage。
+ * @example
+ * const chat = dcFetch.stream('/chat', {question}, {
+ *     method: 'post',
+ *     format: 'sse',
+ *     json: true, // data按JSON解析
+ *     onMessage: ({event, data}) => this.setState(({answer}) => ({answer: answer + data.text})),
+ *     reconnect: {retries: 3, delay: 1000}, // 断线重连，带上Last-Event-ID
+ * });
+ * chat.then(({count}) => console.log(`共${count}条`));
+ * chat.cancel(); // 停止生成
+ *
+ * @example
+ * // NDJSON：每行一个JSON
+ * dcFetch.stream('/logs/tail', {app: 'admin'}, {format: 'ndjson', onMessage: log => console.log(log.message)});
+ *
+ * @example
+ * // mock返回字符串时按format解析，返回数组时每一项作为一条消息
+ * dcFetch.mock.get('/logs/tail', [{message: 'start'}, {message: 'done'}]);
+ * @module 流式响应
+ */
+
+import {buildFullUrl} from './adapter-utils';
+import DcRequest from './dc-request';
+import {DcFetchError, HttpError, isCancel, NetworkError, normalizeError, TimeoutError} from './errors';
+import {filterPlugins, hasHook, runCancelHooks, runHooks, runRequestHooks} from './plugins';
+
+const LINE_BREAK = /\r\n|\r|\n/;
+
+// 按行切分，不完整的最后一行留在buffer中
+function createLineSplitter(onLine) {
+    let buffer = '';
+    let skipNewLine = false; // 上一次以\r结尾时，开头的\n属于同一个换行
+    return {
+        push(text) {
+            if (skipNewLine && text[0] === '\n') text = text.slice(1);
+            skipNewLine = text[text.length - 1] === '\r';
+            const lines = (buffer + text).split(LINE_BREAK);
+            buffer = lines.pop();
+            lines.forEach(onLine);
+        },
+        end() {
+            if (buffer) onLine(buffer);
+            buffer = '';
+        },
+        reset() {
+            buffer = '';
+            skipNewLine = false;
+        },
+    };
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new DcFetchError(`Invalid JSON in stream: ${text}`, {code: 'ERR_STREAM_PARSE', cause: e});
+    }
+}
+
+/**
+ * 创建Server-Sent Events解析器，按规范处理 event data id retry 字段，空行结束一条消息
+ *
+ * @param {function} onMessage ({event, data, id}) => void
+ * @param {object} [options]
+ * @param {boolean} [options.json] data是否按JSON解析
+ * @param {function} [options.onRetry] 服务端通过retry字段修改重连间隔 ms => void
+ * @param {string} [options.lastEventId] 初始的id
+ * @returns {{push: function, end: function, reset: function, lastEventId: string}}
+ */
+export function createSseParser(onMessage, {json = false, onRetry, lastEventId = ''} = {}) {
+    let event = '';
+    let data = [];
+
+    const dispatch = () => {
+        if (data.length) {
+            const text = data.join('\n');
+            onMessage({event: event || 'message', data: json ? parseJson(text) : text, id: parser.lastEventId});
+        }
+        event = '';
+        data = [];
+    };
+    const splitter = createLineSplitter(line => {
+        if (!line) {
+            dispatch();
+            return;
+        }
+        if (line[0] === ':') return; // 注释，一般用于保持连接
+
+        const index = line.indexOf(':');
+        const field = index === -1 ? line : line.slice(0, index);
+        let value = index === -1 ? '' : line.slice(index + 1);
+        if (value[0] === ' ') value = value.slice(1);
+
+        if (field === 'event') event = value;
+        else if (field === 'data') data.push(value);
+        else if (field === 'id' && value.indexOf('\0') === -1) parser.lastEventId = value;
+        else if (field === 'retry' && /^\d+$/.test(value) && onRetry) onRetry(parseInt(value, 10));
+    });
+
+    // 连接断开时未结束的消息丢弃
+    const reset = () => {
+        splitter.reset();
+        event = '';
+        data = [];
+    };
+    const parser = {lastEventId, push: splitter.push, end: reset, reset};
+    return parser;
+}
+
+/**
+ * 创建NDJSON解析器，每行一个JSON，空行忽略
+ *
+ * @param {function} onMessage data => void
+ * @returns {{push: function, end: function, reset: function}}
+ */
+export function createNdjsonParser(onMessage) {
+    return createLineSplitter(line => {
+        if (line.trim()) onMessage(parseJson(line));
+    });
+}
+
+// 纯文本，每次收到的数据作为一条消息
+function createTextParser(onMessage) {
+    return {
+        push: text => text && onMessage(text),
+        end: () => null,
+        reset: () => null,
+    };
+}
+
+function createParser(format, onMessage, options) {
+    if (format === 'sse') return createSseParser(onMessage, options);
+    if (format === 'ndjson') return createNdjsonParser(onMessage);
+    if (format === 'text') return createTextParser(onMessage);
+    throw new Error(`Unknown stream format "${format}"`);
+}
+
+function normalizeReconnect(reconnect) {
+    if (!reconnect) return {retries: 0, delay: 0};
+    const {retries = 3, delay = 1000} = reconnect === true ? {} : reconnect;
+    return {retries, delay};
+}
+
+// 合并axios默认headers与单个请求的headers，去掉undefined
+function mergeHeaders(defaults, method, headers) {
+    const merged = {...defaults.common, ...defaults[method], ...headers};
+    Object.keys(merged).forEach(key => {
+        if (merged[key] === undefined || merged[key] === null) delete merged[key];
+    });
+    return merged;
+}
+
+function getResponseHeaders(response) {
+    const headers = {};
+    if (response.headers && typeof response.headers.forEach === 'function') {
+        response.headers.forEach((value, key) => {
+            headers[key] = value;
+        });
+    }
+    return headers;
+}
+
+function readText(response) {
+    return typeof response.text === 'function' ? response.text().catch(() => '') : Promise.resolve('');
+}
+
+function parseBody(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * 通过全局fetch读取数据
+ *
+ * @returns {{promise: Promise, cancel: function}} promise在数据读取完时成功
+ */
+function openFetch(config, parser, onOpen) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let reader;
+    let timer;
+    let closed = false;
+
+    // 断开连接，cancel、超时、解析或onMessage出错都经过这里，只执行一次
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearTimeout(timer);
+        if (controller) controller.abort();
+        if (reader) reader.cancel().catch(() => null);
+    };
+
+    const promise = new Promise((resolve, reject) => {
+        const fail = err => {
+            if (closed) return;
+            close();
+            reject(err);
+        };
+
+        if (config.timeout) {
+            // 只限制建立连接的时间，数据读取不受限制
+            timer = setTimeout(() => fail(new TimeoutError(`timeout of ${config.timeout}ms exceeded`, {config})), config.timeout);
+        }
+
+        // fetch失败或者读取中断都是网络错误，解析及onMessage中的错误原样抛出
+        const networkError = err => {
+            throw new NetworkError(err && err.message ? err.message : 'Network Error', {config, cause: err});
+        };
+
+        fetch(config.fullUrl, {
+            method: config.method.toUpperCase(),
+            headers: config.headers,
+            body: config.body,
+            credentials: config.withCredentials ? 'include' : 'same-origin',
+            signal: controller ? controller.signal : undefined,
+        }).then(response => {
+            clearTimeout(timer);
+            if (closed) return undefined;
+            const info = {status: response.status, statusText: response.statusText, headers: getResponseHeaders(response), config};
+            if (!response.ok) {
+                return readText(response).then(text => {
+                    const res = {...info, data: parseBody(text)};
+                    throw new HttpError(`Request failed with status code ${response.status}`, {config, response: res});
+                });
+            }
+            if (onOpen) onOpen(info);
+
+            if (!response.body || typeof response.body.getReader !== 'function') {
+                // 不支持ReadableStream时一次性读取
+                return response.text().then(text => {
+                    if (closed) return;
+                    parser.push(text);
+                    parser.end();
+                }, networkError);
+            }
+
+            reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            const pump = () => reader.read().then(({done, value}) => {
+                if (closed) return undefined;
+                if (done) {
+                    parser.push(decoder.decode());
+                    parser.end();
+                    return undefined;
+                }
+                parser.push(decoder.decode(value, {stream: true}));
+                return pump();
+            }, networkError);
+            return pump();
+        }, networkError).then(() => {
+            closed = true;
+            resolve();
+        }, fail);
+    });
+
+    return {promise, cancel: close};
+}
+
+/**
+ * 通过mock服务读取数据，数组的每一项作为一条消息，字符串按format解析
+ *
+ * @returns {{promise: Promise, cancel: function}}
+ */
+function openMock(dcFetch, config, parser, onMessage, onOpen) {
+    let canceled = false;
+    const promise = dcFetch.mockInstance({
+        method: config.method,
+        url: config.url,
+        params: config.params,
+        data: config.data,
+        headers: config.headers,
+        transformResponse: [data => data], // 不解析JSON
+    }).then(response => {
+        if (canceled) return;
+        if (onOpen) onOpen({status: response.status, statusText: response.statusText, headers: response.headers, config});
+        if (Array.isArray(response.data)) {
+            response.data.forEach(item => onMessage(item));
+            return;
+        }
+        parser.push(typeof response.data === 'string' ? response.data : JSON.stringify(response.data));
+        parser.end();
+    }, err => {
+        if (canceled) return undefined;
+        throw normalizeError(err, config);
+    });
+
+    return {
+        promise,
+        cancel() {
+            canceled = true;
+        },
+    };
+}
+
+/**
+ * 发送流式请求，DcFetch.stream 内部使用；
+ * 与fetch一样写入token并在鉴权失败时刷新后重新连接，执行插件的onRequest onError onCancel（没有onResponse），
+ * 服务端渲染的子实例会等待流结束
+ *
+ * @param dcFetch DcFetch实例
+ * @param {string} url 请求路径
+ * @param {object} [data] get请求作为query，其他请求作为JSON请求体
+ * @param {object} [options] 除以下配置外，还支持fetch的 skipAuth skipPlugins rejectOnCancel 及axios的 baseURL headers timeout withCredentials
+ * @param {string} [options.format] sse（默认） ndjson text
+ * @param {function} [options.onMessage] 收到一条消息，sse为 {event, data, id}，ndjson为解析后的数据，text为字符串
+ * @param {function} [options.onOpen] 连接建立 {status, statusText, headers} => void，重连时也会调用
+ * @param {boolean|object} [options.reconnect] 网络断开时重连，默认不重连；true 为 {retries: 3, delay: 1000}，
+ * 对象中省略的字段也取这两个值；sse重连时带上Last-Event-ID，delay可以被服务端的retry字段修改
+ * @param {string} [options.lastEventId] sse第一次连接时的Last-Event-ID
+ * @param {boolean} [options.json] sse的data是否按JSON解析，默认false
+ * @param {string} [options.method] 请求方法，默认get
+ * @param {string|boolean} [options.errorTip] 失败提示，同fetch
+ * @returns {DcRequest} 数据读取完时成功，结果为 {count, lastEventId}
+ */
+export default function stream(dcFetch, url, data, options) {
+    options = options || {};
+    const plugins = filterPlugins(dcFetch.plugins, options.skipPlugins);
+    const ctx = {url, data: data || {}, method: options.method || 'get', options, dcFetch};
+    const auth = options.skipAuth ? null : dcFetch.auth;
+    const finishMetrics = dcFetch.metrics.start(url, ctx.method, dcFetch.serviceName);
+    const finishSsr = dcFetch.ssr ? dcFetch.ssr.track(ctx) : () => null; // 服务端渲染时等待流结束
+
+    let canceled = false;
+    let settled = false;
+    let connection;
+    let retryTimer;
+
+    // 根据插件处理之后的ctx建立连接
+    const open = (resolve, onError) => {
+        const {url: requestUrl, method} = ctx;
+        const {
+            format = 'sse',
+            onMessage = (/* message */) => true,
+            onOpen,
+            reconnect,
+            lastEventId = '',
+            json = false,
+            ...axiosOptions
+        } = ctx.options;
+        const isGet = method === 'get';
+        const requestData = ctx.data || {};
+        const params = isGet ? {...requestData, ...axiosOptions.params} : axiosOptions.params;
+        const isMock = dcFetch.isMock(requestUrl, requestData, method, axiosOptions) || !!dcFetch.mock.match({
+            method,
+            url: requestUrl,
+            params,
+            data: isGet ? undefined : requestData,
+        });
+        const defaults = isMock ? dcFetch.mockDefaults : dcFetch.defaults;
+
+        let {retries, delay} = normalizeReconnect(reconnect);
+        let count = 0;
+        let replayed = false; // 鉴权失败只重新连接一次
+
+        const emit = message => {
+            if (canceled) return;
+            count++;
+            onMessage(message);
+        };
+        const parser = createParser(format, emit, {json, lastEventId, onRetry: ms => delay = ms});
+
+        const config = {
+            url: requestUrl,
+            method,
+            params,
+            data: isGet ? undefined : requestData,
+            body: isGet || typeof requestData === 'string' || (typeof FormData !== 'undefined' && requestData instanceof FormData)
+                ? (isGet ? undefined : requestData)
+                : JSON.stringify(requestData),
+            timeout: axiosOptions.timeout === undefined ? defaults.timeout : axiosOptions.timeout,
+            withCredentials: axiosOptions.withCredentials === undefined ? defaults.withCredentials : axiosOptions.withCredentials,
+            fullUrl: buildFullUrl(axiosOptions.baseURL || defaults.baseURL, requestUrl, params, defaults.paramsSerializer),
+        };
+        ctx.config = config;
+        ctx.isMock = isMock;
+
+        const run = () => {
+            const headers = mergeHeaders(defaults.headers, method, axiosOptions.headers);
+            if (format === 'sse') {
+                headers.Accept = 'text/event-stream';
+                if (parser.lastEventId) headers['Last-Event-ID'] = parser.lastEventId;
+            }
+            // 有token刷新流程时，等待刷新结束并写入token
+            const prepare = auth ? auth.prepare({...config, headers}) : Promise.resolve({config: {...config, headers}});
+            prepare.then(({config: cfg, token}) => {
+                if (canceled) return;
+                connection = isMock
+                    ? openMock(dcFetch, cfg, parser, emit, onOpen)
+                    : openFetch(cfg, parser, onOpen);
+                connection.promise.then(() => {
+                    if (canceled) return;
+                    finishMetrics('success', {config, isMock});
+                    resolve({count, lastEventId: parser.lastEventId || ''});
+                }, err => {
+                    if (canceled || isCancel(err)) return;
+                    parser.reset();
+                    if (auth && !replayed && auth.isAuthError(err)) {
+                        replayed = true;
+                        auth.handleAuthError(token).then(() => {
+                            if (!canceled) run();
+                        }, onError);
+                        return;
+                    }
+                    if (err instanceof NetworkError && retries > 0) {
+                        retries--;
+                        retryTimer = setTimeout(run, delay);
+                        return;
+                    }
+                    onError(err);
+                });
+            }, onError);
+        };
+        run();
+    };
+
+    return new DcRequest((resolve, reject) => {
+        const onError = err => {
+            if (canceled) return;
+            runHooks(plugins, 'onError', err, ctx).then(error => {
+                const {errorTip = ctx.method === 'get' ? '获取数据失败！' : '操作失败！'} = ctx.options;
+                // token刷新失败由auth.onLogout统一处理
+                if (!auth || !auth.isRefreshFailure(error)) dcFetch.onShowErrorTip(error, errorTip);
+                settled = true;
+                finishMetrics('error', {error, config: ctx.config, isMock: ctx.isMock});
+                reject(error);
+                finishSsr();
+            }).catch(reject);
+        };
+        const onSuccess = result => {
+            settled = true;
+            resolve(result);
+            finishSsr();
+        };
+        const start = () => {
+            if (canceled) return;
+            try {
+                open(onSuccess, onError);
+            } catch (err) {
+                onError(err);
+            }
+        };
+
+        if (hasHook(plugins, 'onRequest')) {
+            runRequestHooks(plugins, ctx).then(start, onError);
+        } else {
+            start();
+        }
+    }, reason => {
+        if (settled) return;
+        canceled = true;
+        clearTimeout(retryTimer);
+        if (connection) connection.cancel();
+        runCancelHooks(plugins, ctx);
+        finishMetrics('canceled', {
+            config: ctx.config,
+            isMock: ctx.isMock,
+            cancelReason: reason ? (reason.message || String(reason)) : 'cancel',
+        });
+        finishSsr();
+    }, {rejectOnCancel: options.rejectOnCancel});
+}
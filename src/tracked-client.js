@@ -0,0 +1,30 @@
+/**
+ * 记录通过dcFetch发出的请求，用于组件卸载时统一cancel，createDcFetchHoc 与 useDcFetch 共用
+ * @module 可统一cancel的dcFetch
+ */
+
+export const TRACKED_METHODS = ['fetch', 'get', 'post', 'put', 'patch', 'del', 'singleGet', 'upload', 'paginate', 'poll', 'stream'];
+
+/**
+ * @param dcFetch DcFetch实例
+ * @returns {{client: object, cancelAll: function}} client拥有与dcFetch相同的请求方法
+ */
+export default function createTrackedClient(dcFetch) {
+    const client = {};
+    let tokens = [];
+
+    for (let method of TRACKED_METHODS) {
+        client[method] = (...args) => {
+            const dcFetchToken = dcFetch[method](...args);
+            tokens.push(dcFetchToken);
+            return dcFetchToken;
+        };
+    }
+
+    const cancelAll = () => {
+        tokens.forEach(item => item.cancel());
+        tokens = [];
+    };
+
+    return {client, cancelAll};
+}
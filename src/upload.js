@@ -0,0 +1,202 @@
+/**
+ * 文件上传：构建multipart请求体，汇总上传进度；
+ * 设置chunkSize后，文件按分片上传，失败的分片自动重试，并支持通过会话协议断点续传。
+ * @example
+ * // 普通上传
+ * dcFetch.upload('/files', fileList, {type: 'avatar'}, {
+ *     onProgress: ({percent}) => this.setState({percent}),
+ *     successTip: '上传成功！',
+ * });
+ *
+ * @example
+ * // 分片上传，并从服务端记录的位置继续
+ * dcFetch.upload('/files/chunk', bigFile, null, {
+ *     chunkSize: 5 * 1024 * 1024,
+ *     concurrency: 3,
+ *     resumable: {
+ *         createSession: file => dcFetch.post('/files/session', {name: file.name, size: file.size}), // 返回 {sessionId, offset}
+ *         complete: ({sessionId}) => dcFetch.post('/files/complete', {sessionId}),
+ *     },
+ * });
+ * @module 文件上传
+ */
+
+import DcRequest from './dc-request';
+
+// 统一为 [{field, file}]，支持 File、File数组、FileList、{字段名: File | File数组 | FileList}
+function normalizeFiles(files, fileField) {
+    if (!files) return [];
+    const isFile = value => typeof Blob !== 'undefined' && value instanceof Blob;
+    // 数组以及FileList等类数组
+    const isList = value => !isFile(value) && typeof value === 'object' && value !== null && typeof value.length === 'number';
+    const toList = (field, value) => (isList(value) ? Array.from(value) : [value]).map(file => ({field, file}));
+
+    if (isList(files) || isFile(files)) return toList(fileField, files);
+
+    return Object.keys(files).reduce((list, field) => list.concat(toList(field, files[field])), []);
+}
+
+function buildFormData(fields, items) {
+    const formData = new FormData();
+    Object.keys(fields || {}).forEach(key => {
+        const value = fields[key];
+        if (value !== undefined && value !== null) formData.append(key, value);
+    });
+    items.forEach(({field, file, fileName}) => formData.append(field, file, fileName || file.name));
+    return formData;
+}
+
+// 分片失败默认只对网络错误、超时、5xx重试
+const defaultChunkRetryOn = err => !err.response || err.response.status >= 500;
+
+const defaultChunkFields = ({sessionId, index, count, start, file}) => ({
+    sessionId,
+    chunkIndex: index,
+    chunkCount: count,
+    offset: start,
+    fileName: file.name,
+    fileSize: file.size,
+});
+
+/**
+ * @param dcFetch DcFetch实例
+ * @param {string} url 上传地址
+ * @param {File|File[]|FileList|object} files 文件，也可以是 {字段名: File | File数组 | FileList}
+ * @param {object} [fields] 其他表单字段
+ * @param {object} [options] 除以下配置外，其他同fetch的options
+ * @param {function} [options.onProgress] 汇总的上传进度 ({loaded, total, percent}) => void
+ * @param {string} [options.fileField] 文件字段名，默认file
+ * @param {number} [options.chunkSize] 分片大小（字节），不设置则不分片
+ * @param {number} [options.concurrency] 同时上传的分片数，默认3
+ * @param {number} [options.chunkRetry] 分片失败重试次数，默认3
+ * @param {object} [options.resumable] 分片会话协议：
+ * createSession(file, fields) => {sessionId, offset}，offset之前的内容不再上传；
+ * chunkFields({file, sessionId, index, count, start, end}) => 分片附带的字段；
+ * complete({file, sessionId, results}) => 全部分片上传完成后调用，返回值作为该文件的结果
+ * @returns {DcRequest} 多个文件分片上传时，结果为数组
+ */
+export default function upload(dcFetch, url, files, fields, options = {}) {
+    const {
+        onProgress = (/* {loaded, total, percent} */) => true,
+        fileField = 'file',
+        chunkSize,
+        concurrency = 3,
+        chunkRetry = 3,
+        resumable = {},
+        ...fetchOptions
+    } = options || {};
+
+    const items = normalizeFiles(files, fileField);
+    const total = items.reduce((sum, {file}) => sum + file.size, 0);
+
+    // 每个请求各自的已上传大小，汇总后回调
+    const loadedMap = {};
+    const report = (key, loaded, max) => {
+        loadedMap[key] = Math.min(loaded, max);
+        const sum = Object.keys(loadedMap).reduce((s, k) => s + loadedMap[k], 0);
+        onProgress({loaded: sum, total, percent: total ? Math.round(sum / total * 100) : 100});
+    };
+
+    if (!chunkSize) {
+        return dcFetch.fetch(url, buildFormData(fields, items), 'post', {
+            ...fetchOptions,
+            onUploadProgress: e => report('all', e.loaded, total),
+        });
+    }
+
+    const {successTip = false, errorTip = '上传失败！'} = fetchOptions;
+    const {
+        createSession = () => ({sessionId: null, offset: 0}),
+        chunkFields = defaultChunkFields,
+        complete = ({results}) => results[results.length - 1],
+    } = resumable;
+
+    let canceled = false; // 调用方主动cancel
+    let stopped = false; // cancel或者某个分片最终失败，不再上传剩余分片
+    let active = [];
+    // 会话、分片、完成等请求都记录下来，cancel时统一打断
+    const track = request => {
+        if (request && request.cancel) active.push(request);
+        return Promise.resolve(request).then(result => {
+            active = active.filter(item => item !== request);
+            return result;
+        });
+    };
+    const silentOptions = {
+        ...fetchOptions,
+        successTip: false,
+        errorTip: false,
+    };
+
+    const stop = () => {
+        stopped = true;
+        active.forEach(request => request.cancel());
+        active = [];
+    };
+
+    const uploadFile = ({field, file}, fileIndex) => track(createSession(file, fields)).then(session => {
+        const {sessionId = null, offset = 0} = session || {};
+        const count = Math.max(1, Math.ceil(file.size / chunkSize));
+        const chunks = [];
+        for (let index = 0; index < count; index++) {
+            const start = index * chunkSize;
+            const end = Math.min(file.size, start + chunkSize);
+            const key = `${fileIndex}-${index}`;
+            if (end <= offset && file.size > 0) {
+                report(key, end - start, end - start); // 已经上传过的分片
+            } else {
+                chunks.push({index, start, end, key});
+            }
+        }
+
+        const results = [];
+        let next = 0;
+        // 并发上传分片，每个worker依次取下一个分片
+        const worker = () => {
+            if (stopped || next >= chunks.length) return Promise.resolve();
+            const {index, start, end, key} = chunks[next++];
+            const chunkFile = {field, file: file.slice(start, end), fileName: file.name};
+            const formData = buildFormData({
+                ...fields,
+                ...chunkFields({file, sessionId, index, count, start, end}),
+            }, [chunkFile]);
+
+            return track(dcFetch.fetch(url, formData, 'post', {
+                retry: chunkRetry,
+                retryOn: defaultChunkRetryOn,
+                ...silentOptions,
+                onUploadProgress: e => report(key, e.loaded, end - start),
+            })).then(result => {
+                report(key, end - start, end - start);
+                results[index] = result;
+                return worker();
+            });
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, chunks.length); i++) workers.push(worker());
+
+        return Promise.all(workers).then(() => track(complete({file, sessionId, results})));
+    });
+
+    return new DcRequest((resolve, reject) => {
+        // 多个文件依次上传，每个文件内的分片并发上传
+        items.reduce(
+            (prev, item, index) => prev.then(list => uploadFile(item, index).then(result => list.concat([result]))),
+            Promise.resolve([]),
+        ).then(list => {
+            if (canceled) return;
+            const data = list.length === 1 ? list[0] : list;
+            dcFetch.onShowSuccessTip({data, config: {url, method: 'post'}}, successTip);
+            resolve(data);
+        }, err => {
+            if (canceled) return;
+            stop();
+            dcFetch.onShowErrorTip(err, errorTip);
+            reject(err);
+        });
+    }, () => {
+        canceled = true;
+        stop();
+    });
+}
@@ -0,0 +1,28 @@
+import {buildFullUrl, createError, settle} from '../src/adapter-utils';
+
+describe('adapter utils', () => {
+    test('buildFullUrl joins baseURL and serializes params like axios', () => {
+        const date = new Date(Date.UTC(2020, 0, 1));
+        expect(buildFullUrl('/api/', '/users', {ids: [1, 2], q: 'a b', filter: {age: 1}, at: date, empty: null}))
+            .toBe('/api/users?ids[]=1&ids[]=2&q=a+b&filter=%7B%22age%22:1%7D&at=2020-01-01T00:00:00.000Z');
+        expect(buildFullUrl('/api', 'https://example.com/users?page=1#top', {size: 10})).toBe('https://example.com/users?page=1&size=10');
+        expect(buildFullUrl('/api', '', null)).toBe('/api');
+        expect(buildFullUrl(undefined, '/users', {q: 1}, () => 'custom=1')).toBe('/users?custom=1');
+    });
+
+    test('settle rejects with an axios-like error when validateStatus fails', () => {
+        const config = {validateStatus: status => status < 400};
+        const resolve = jest.fn();
+        const reject = jest.fn();
+
+        settle(resolve, reject, {status: 200, config});
+        settle(resolve, reject, {status: 404, config});
+        expect(resolve).toHaveBeenCalledTimes(1);
+        const err = reject.mock.calls[0][0];
+        expect(err.message).toBe('Request failed with status code 404');
+        expect(err.response.status).toBe(404);
+        expect(err.config).toBe(config);
+        expect(err.isAxiosError).toBe(true);
+        expect(createError('timeout', config, 'ECONNABORTED').code).toBe('ECONNABORTED');
+    });
+});
@@ -0,0 +1,83 @@
+import {createDcFetch, rejection, respond, wait} from './helpers';
+
+// 只接受当前有效token的adapter，delays按请求顺序指定返回时间
+function createServer(store, delays = []) {
+    const received = [];
+    const adapter = jest.fn(config => {
+        const authorization = config.headers.Authorization;
+        received.push(`${config.url} ${authorization}`);
+        return wait(delays.length ? delays.shift() : 1).then(() => respond(config, authorization === `Bearer ${store.valid}`
+            ? {data: {url: config.url}}
+            : {status: 401, data: {message: '登录已过期'}}));
+    });
+    return {adapter, received};
+}
+
+function createAuthFetch(store, {refreshDelay = 5, refreshFails = false, delays} = {}) {
+    const onLogout = jest.fn();
+    const refreshToken = jest.fn(() => wait(refreshDelay).then(() => {
+        if (refreshFails) throw new Error('refresh failed');
+        store.count += 1;
+        store.token = `T${store.count}`;
+        store.valid = store.token;
+    }));
+    const server = createServer(store, delays);
+    const {dcFetch, tips} = createDcFetch({auth: {getToken: () => store.token, refreshToken, onLogout}}, server.adapter);
+    return {dcFetch, tips, onLogout, refreshToken, ...server};
+}
+
+describe('auth', () => {
+    test('concurrent 401s refresh once and replay with the new token', () => {
+        const store = {token: 'T1', valid: 'T0', count: 1};
+        const {dcFetch, refreshToken, received} = createAuthFetch(store);
+
+        return Promise.all([dcFetch.get('/a'), dcFetch.get('/b')]).then(([a, b]) => {
+            expect(a).toEqual({url: '/a'});
+            expect(b).toEqual({url: '/b'});
+            expect(refreshToken).toHaveBeenCalledTimes(1);
+            expect(received.slice(2).sort()).toEqual(['/a Bearer T2', '/b Bearer T2']);
+        });
+    });
+
+    test('a 401 arriving after the refresh finished replays with the current token', () => {
+        const store = {token: 'T1', valid: 'T0', count: 1};
+        // /a 很快返回401并刷新，/b 在刷新结束之后才返回401
+        const {dcFetch, refreshToken, received} = createAuthFetch(store, {delays: [1, 40]});
+
+        return Promise.all([dcFetch.get('/a'), dcFetch.get('/b')]).then(() => {
+            expect(refreshToken).toHaveBeenCalledTimes(1);
+            expect(received).toEqual(['/a Bearer T1', '/b Bearer T1', '/a Bearer T2', '/b Bearer T2']);
+        });
+    });
+
+    test('requests sent during a refresh wait for the new token', () => {
+        const store = {token: 'T1', valid: 'T0', count: 1};
+        const {dcFetch, received} = createAuthFetch(store, {refreshDelay: 20});
+
+        const first = dcFetch.get('/a');
+        return wait(10).then(() => Promise.all([first, dcFetch.get('/b')])).then(() => {
+            expect(received.sort()).toEqual(['/a Bearer T1', '/a Bearer T2', '/b Bearer T2']);
+        });
+    });
+
+    test('refresh failure rejects every request, calls onLogout once and shows no tips', () => {
+        const store = {token: 'T1', valid: 'T0', count: 1};
+        const {dcFetch, onLogout, tips, refreshToken} = createAuthFetch(store, {refreshFails: true, delays: [1, 30]});
+        return Promise.all([rejection(dcFetch.get('/a')), rejection(dcFetch.get('/b'))]).then(([a, b]) => {
+            expect(a.message).toBe('refresh failed');
+            expect(b).toBe(a);
+            expect(refreshToken).toHaveBeenCalledTimes(1);
+            expect(onLogout).toHaveBeenCalledTimes(1);
+            expect(tips.error).toEqual([]);
+        });
+    });
+
+    test('skipAuth requests do not send the token', () => {
+        const store = {token: 'T1', valid: 'T1', count: 1};
+        const {dcFetch, received} = createAuthFetch(store);
+
+        return dcFetch.get('/public', null, {skipAuth: true}).catch(() => null).then(() => {
+            expect(received).toEqual(['/public undefined']);
+        });
+    });
+});
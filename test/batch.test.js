@@ -0,0 +1,119 @@
+import {createAdapter, createDcFetch, rejection} from './helpers';
+
+const USERS = {1: {id: 1, name: '张三'}, 2: {id: 2, name: '李四'}, 3: {id: 3, name: '王五'}};
+
+// /users/batch?ids=1,2 返回数组，/users/:id 返回单个用户
+function createBatchFetch() {
+    const requests = [];
+    const adapter = createAdapter(config => {
+        const url = config.url;
+        requests.push(config.params && config.params.ids ? `${url}?ids=${config.params.ids}` : url);
+        return {
+            data: url === '/users/batch'
+                ? config.params.ids.split(',').filter(id => USERS[id]).map(id => USERS[id])
+                : USERS[url.split('/').pop()],
+        };
+    });
+    const {dcFetch} = createDcFetch({}, adapter);
+    return {dcFetch, requests};
+}
+
+describe('batch', () => {
+    test('calls in the same tick are coalesced into one request', () => {
+        const {dcFetch, requests} = createBatchFetch();
+        const loadUser = dcFetch.batch('/users/:id', {batchUrl: '/users/batch'});
+
+        return Promise.all([loadUser(1), loadUser({id: 2}), loadUser(1)]).then(users => {
+            expect(requests).toEqual(['/users/batch?ids=1,2']);
+            expect(users.map(user => user.name)).toEqual(['张三', '李四', '张三']);
+        });
+    });
+
+    test('a single call requests the item url directly', () => {
+        const {dcFetch, requests} = createBatchFetch();
+        const loadUser = dcFetch.batch('/users/:id', {batchUrl: '/users/batch'});
+
+        return loadUser(3).then(user => {
+            expect(requests).toEqual(['/users/3']);
+            expect(user).toEqual(USERS[3]);
+        });
+    });
+
+    test('splitResponse maps results back to each caller', () => {
+        const {dcFetch} = createBatchFetch();
+        const splitResponse = jest.fn((data, keys) => keys.map(key => data.find(user => String(user.id) === key)));
+        const loadUser = dcFetch.batch('/users/:id', {batchUrl: '/users/batch', splitResponse});
+
+        return Promise.all([loadUser(2), loadUser(1)]).then(([second, first]) => {
+            expect(splitResponse.mock.calls[0][1]).toEqual(['2', '1']);
+            expect(second.name).toBe('李四');
+            expect(first.name).toBe('张三');
+        });
+    });
+
+    test('missing results reject with ERR_BATCH_MISSING', () => {
+        const {dcFetch} = createBatchFetch();
+        const loadUser = dcFetch.batch('/users/:id', {
+            batchUrl: '/users/batch',
+            splitResponse: (data, keys) => keys.map(key => data.find(user => String(user.id) === key)),
+        });
+
+        return Promise.all([loadUser(1), rejection(loadUser(9))]).then(([user, err]) => {
+            expect(user.name).toBe('张三');
+            expect(err.code).toBe('ERR_BATCH_MISSING');
+        });
+    });
+
+    test('maxBatchSize sends the batch immediately', () => {
+        const {dcFetch, requests} = createBatchFetch();
+        const loadUser = dcFetch.batch('/users/:id', {batchUrl: '/users/batch', maxBatchSize: 2});
+
+        return Promise.all([loadUser(1), loadUser(2), loadUser(3)]).then(() => {
+            expect(requests).toEqual(['/users/batch?ids=1,2', '/users/3']);
+        });
+    });
+
+    test('build errors reject the queued calls instead of throwing to the caller', () => {
+        const {dcFetch, requests} = createBatchFetch();
+        const loadOrder = dcFetch.batch('/users/:userId/orders/:id', {
+            buildBatchRequest: ids => ({url: '/orders/batch', data: {ids: ids.join(',')}}),
+            maxBatchSize: 1,
+        });
+
+        let request;
+        expect(() => {
+            request = loadOrder({userId: 1});
+        }).not.toThrow();
+        return rejection(request).then(err => {
+            expect(err.message).toBe('Missing path param "id" for /users/:userId/orders/:id');
+            expect(requests).toEqual([]);
+        });
+    });
+
+    test('build errors in the delayed flush reject every queued call', () => {
+        const {dcFetch, requests} = createBatchFetch();
+        const loadUser = dcFetch.batch('/users/:id', {
+            buildBatchRequest: () => {
+                throw new Error('build failed');
+            },
+        });
+
+        return Promise.all([rejection(loadUser(1)), rejection(loadUser(2))]).then(errors => {
+            expect(errors.map(err => err.message)).toEqual(['build failed', 'build failed']);
+            expect(requests).toEqual([]);
+        });
+    });
+
+    test('canceled callers are removed before the batch is sent', () => {
+        const {dcFetch, requests} = createBatchFetch();
+        const loadUser = dcFetch.batch('/users/:id', {batchUrl: '/users/batch'});
+
+        const first = loadUser(1);
+        const second = loadUser(2);
+        const third = loadUser(3);
+        second.cancel();
+        return Promise.all([first, third]).then(() => {
+            expect(requests).toEqual(['/users/batch?ids=1,3']);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+import FetchCache, {getCacheKey} from '../src/cache';
+import {collectUnhandled, createAdapter, createDcFetch} from './helpers';
+
+function createCacheFetch() {
+    return createDcFetch({}, createAdapter(config => ({
+        data: {url: config.url, tenant: config.headers['X-Tenant'] || null},
+    }), 5));
+}
+
+describe('getCacheKey', () => {
+    test('params order does not matter', () => {
+        expect(getCacheKey('GET', '/users', {b: 2, a: 1})).toBe('get /users?a=1&b=2');
+        expect(getCacheKey('get', '/users', {a: 1, b: 2})).toBe(getCacheKey('get', '/users', {b: 2, a: 1}));
+        expect(getCacheKey('get', '/users')).toBe('get /users');
+    });
+
+    test('per request headers, baseURL and responseType are part of the key', () => {
+        const key = getCacheKey('get', '/users', {a: 1});
+        expect(getCacheKey('get', '/users', {a: 1}, {retry: 2, successTip: false})).toBe(key);
+        expect(getCacheKey('get', '/users', {a: 1}, {headers: {'X-Tenant': '1'}})).not.toBe(key);
+        expect(getCacheKey('get', '/users', {a: 1}, {headers: {'X-Tenant': '1'}}))
+            .not.toBe(getCacheKey('get', '/users', {a: 1}, {headers: {'X-Tenant': '2'}}));
+        expect(getCacheKey('get', '/users', {a: 1}, {baseURL: '/v2'})).not.toBe(key);
+        expect(getCacheKey('get', '/users', {a: 1}, {responseType: 'blob'})).not.toBe(key);
+    });
+});
+
+describe('dedupe', () => {
+    test('identical gets in flight share one request', () => {
+        const {dcFetch, adapter} = createCacheFetch();
+        return Promise.all([
+            dcFetch.get('/users', {a: 1, b: 2}),
+            dcFetch.get('/users', {b: 2, a: 1}),
+        ]).then(([first, second]) => {
+            expect(adapter).toHaveBeenCalledTimes(1);
+            expect(second).toEqual(first);
+        });
+    });
+
+    test('gets with different per request headers are sent separately', () => {
+        const {dcFetch, adapter} = createCacheFetch();
+        return Promise.all([
+            dcFetch.get('/users', null, {headers: {'X-Tenant': '1'}}),
+            dcFetch.get('/users', null, {headers: {'X-Tenant': '2'}}),
+            dcFetch.get('/users', null, {baseURL: '/v2'}),
+        ]).then(([first, second]) => {
+            expect(adapter).toHaveBeenCalledTimes(3);
+            expect(first.tenant).toBe('1');
+            expect(second.tenant).toBe('2');
+        });
+    });
+
+    test('requests with function options are never shared', () => {
+        const {dcFetch, adapter} = createCacheFetch();
+        const transformResponse = [data => JSON.parse(data)];
+        return Promise.all([
+            dcFetch.get('/users', null, {transformResponse}),
+            dcFetch.get('/users', null, {transformResponse, cache: true}),
+        ]).then(() => dcFetch.get('/users', null, {transformResponse, cache: true})).then(() => {
+            expect(adapter).toHaveBeenCalledTimes(3);
+            expect(dcFetch.cache.entries).toEqual({});
+        });
+    });
+
+    test('services have their own cache', () => {
+        const {dcFetch, adapter} = createCacheFetch();
+        const order = dcFetch.registerService('order');
+        order.defaults.adapter = adapter;
+        return Promise.all([dcFetch.get('/users'), order.get('/users')]).then(() => {
+            expect(adapter).toHaveBeenCalledTimes(2);
+        });
+    });
+});
+
+describe('cache', () => {
+    test('cached gets are reused until ttl expires', () => {
+        const {dcFetch, adapter} = createCacheFetch();
+        return dcFetch.get('/users', {a: 1}, {cache: true})
+            .then(() => dcFetch.get('/users', {a: 1}, {cache: true}))
+            .then(data => {
+                expect(data).toEqual({url: '/users', tenant: null});
+                expect(adapter).toHaveBeenCalledTimes(1);
+                expect(dcFetch.cache.get('/users', {a: 1})).toEqual({url: '/users', tenant: null});
+            });
+    });
+
+    test('cache entries are separated by per request headers', () => {
+        const {dcFetch, adapter} = createCacheFetch();
+        return dcFetch.get('/users', null, {cache: true, headers: {'X-Tenant': '1'}})
+            .then(() => dcFetch.get('/users', null, {cache: true, headers: {'X-Tenant': '2'}}))
+            .then(data => {
+                expect(data.tenant).toBe('2');
+                expect(adapter).toHaveBeenCalledTimes(2);
+            });
+    });
+
+    test('responseAdapter errors are not cached and not left unhandled', () => {
+        expect(collectUnhandled(`
+            const dcFetch = new DcFetch({responseAdapter: response => ({success: response.data.code === 0})});
+            dcFetch.defaults.adapter = config => Promise.resolve({data: '', status: 204, headers: {}, config});
+            dcFetch.get('/users', null, {cache: true}).catch(() => null);
+        `)).toEqual([]);
+
+        const {dcFetch} = createCacheFetch();
+        dcFetch.responseAdapter = () => {
+            throw new TypeError('no body');
+        };
+        return dcFetch.get('/users', null, {cache: true}).catch(err => err).then(err => {
+            expect(err).toBeInstanceOf(TypeError);
+            expect(dcFetch.cache.entries).toEqual({});
+        });
+    });
+
+    test('invalidate removes entries by url regardless of options', () => {
+        const cache = new FetchCache();
+        cache.set('/users', {a: 1}, [1]);
+        cache.setEntry(getCacheKey('get', '/users', null, {headers: {'X-Tenant': '1'}}), {url: '/users'}, {ttl: 1000, staleWhileRevalidate: 0});
+        cache.set('/orders', null, [2]);
+        cache.invalidate('/users');
+        expect(Object.keys(cache.entries)).toEqual(['get /orders']);
+    });
+});
@@ -0,0 +1,118 @@
+import {getCollapseKey, normalizeCollapse} from '../src/collapse';
+import {createDcFetch, respond, wait} from './helpers';
+
+// 返回请求的keyword，记录真正发送的请求
+function createCollapseFetch() {
+    const sent = [];
+    const {dcFetch} = createDcFetch({}, config => {
+        const keyword = config.params.keyword || (config.data && JSON.parse(config.data).keyword);
+        sent.push(keyword);
+        return wait(10).then(() => respond(config, {data: {keyword}}));
+    });
+    return {dcFetch, sent};
+}
+
+// 记录每个调用的结果，被打断的调用不会有结果
+function track(request, results, name) {
+    request.then(data => results.push(`${name}:${data.keyword}`), () => results.push(`${name}:error`));
+    return request;
+}
+
+describe('collapse', () => {
+    test('takeLatest cancels the previous request', () => {
+        const {dcFetch, sent} = createCollapseFetch();
+        const results = [];
+        const first = track(dcFetch.get('/suggest', {keyword: '张'}, {collapse: {key: '/suggest'}}), results, 'first');
+        track(dcFetch.get('/suggest', {keyword: '张三'}, {collapse: {key: '/suggest'}}), results, 'second');
+
+        return wait(30).then(() => {
+            expect(sent).toEqual(['张三']);
+            expect(results).toEqual(['second:张三']);
+            expect(first.status).toBe('canceled');
+            expect(dcFetch.singleGets).toEqual({});
+        });
+    });
+
+    test('takeFirst reuses the request in flight', () => {
+        const {dcFetch, sent} = createCollapseFetch();
+        const results = [];
+        const options = {collapse: {strategy: 'takeFirst', key: '/suggest'}};
+        track(dcFetch.get('/suggest', {keyword: '张'}, options), results, 'first');
+        track(dcFetch.get('/suggest', {keyword: '张三'}, options), results, 'second');
+
+        return wait(30).then(() => {
+            expect(sent).toEqual(['张']);
+            expect(results).toEqual(['first:张', 'second:张']);
+        });
+    });
+
+    test('takeFirst only cancels the real request after every caller cancels', () => {
+        const {dcFetch, sent} = createCollapseFetch();
+        const results = [];
+        const options = {collapse: {strategy: 'takeFirst', key: '/suggest'}};
+        const first = track(dcFetch.get('/suggest', {keyword: '张'}, options), results, 'first');
+        const second = track(dcFetch.get('/suggest', {keyword: '张'}, options), results, 'second');
+        first.cancel();
+
+        return wait(30).then(() => {
+            expect(sent).toEqual(['张']);
+            expect(results).toEqual(['second:张']);
+            expect(second.status).toBe('fulfilled');
+
+            const third = track(dcFetch.get('/suggest', {keyword: '李'}, options), results, 'third');
+            third.cancel();
+            return wait(30);
+        }).then(() => {
+            expect(sent).toEqual(['张']);
+            expect(results).toEqual(['second:张']);
+            expect(dcFetch.singleGets).toEqual({});
+        });
+    });
+
+    test('debounce only sends the last call after the wait', () => {
+        const {dcFetch, sent} = createCollapseFetch();
+        const results = [];
+        const options = {collapse: {strategy: 'debounce', wait: 20, key: '/suggest'}};
+        track(dcFetch.get('/suggest', {keyword: '张'}, options), results, 'first');
+
+        return wait(10).then(() => {
+            track(dcFetch.get('/suggest', {keyword: '张三'}, options), results, 'second');
+            return wait(10);
+        }).then(() => {
+            expect(sent).toEqual([]);
+            return wait(40);
+        }).then(() => {
+            expect(sent).toEqual(['张三']);
+            expect(results).toEqual(['second:张三']);
+        });
+    });
+
+    test('throttle sends at most once per window and keeps the last call', () => {
+        const {dcFetch, sent} = createCollapseFetch();
+        const results = [];
+        const options = {collapse: {strategy: 'throttle', wait: 50}};
+        track(dcFetch.put('/drafts/1', {keyword: 'a'}, options), results, 'first');
+        track(dcFetch.put('/drafts/1', {keyword: 'ab'}, options), results, 'second');
+        track(dcFetch.put('/drafts/1', {keyword: 'abc'}, options), results, 'third');
+
+        return wait(20).then(() => {
+            expect(sent).toEqual(['a']);
+            return wait(60);
+        }).then(() => {
+            expect(sent).toEqual(['a', 'abc']);
+            expect(results).toEqual(['first:a', 'third:abc']);
+        });
+    });
+
+    test('default key separates params and per request headers', () => {
+        expect(getCollapseKey('/suggest', {keyword: '张'}, 'get')).toBe('get /suggest?keyword=%E5%BC%A0');
+        expect(getCollapseKey('/drafts/1', {keyword: '张'}, 'put', {params: {v: 1}})).toBe('put /drafts/1?v=1');
+        expect(getCollapseKey('/suggest', null, 'get', {headers: {'X-Tenant': '1'}}))
+            .not.toBe(getCollapseKey('/suggest', null, 'get', {headers: {'X-Tenant': '2'}}));
+    });
+
+    test('unknown strategies throw', () => {
+        expect(normalizeCollapse('takeLatest')).toEqual({strategy: 'takeLatest', wait: 300, key: getCollapseKey});
+        expect(() => normalizeCollapse('latest')).toThrow('Unknown collapse strategy "latest"');
+    });
+});
@@ -0,0 +1,268 @@
+import {BusinessError, CanceledError, HttpError, isCancel} from '../src/errors';
+import {createAdapter, createDcFetch, flush, rejection} from './helpers';
+
+describe('fetch', () => {
+    test('get resolves response data with params as query', () => {
+        const {dcFetch} = createDcFetch();
+        return dcFetch.get('/users', {pageNum: 1, pageSize: 10}).then(data => {
+            expect(data.total).toBe(2);
+            expect(data.list.map(user => user.name)).toEqual(['张三', '李四']);
+        });
+    });
+
+    test('post sends json body and shows successTip', () => {
+        const {dcFetch, tips, adapter} = createDcFetch();
+        return dcFetch.post('/users', {name: '王五'}, {successTip: '添加成功'}).then(data => {
+            expect(data).toEqual({id: 3, name: '王五'});
+            expect(adapter.history[0].body).toEqual({name: '王五'});
+            expect(tips.success).toEqual(['添加成功']);
+        });
+    });
+
+    test('successTip is false by default', () => {
+        const {dcFetch, tips} = createDcFetch();
+        return dcFetch.get('/users/1').then(() => {
+            expect(tips.success).toEqual([false]);
+        });
+    });
+
+    test('http errors reject with HttpError and default errorTip', () => {
+        const {dcFetch, tips} = createDcFetch();
+        return rejection(dcFetch.get('/users/404')).then(err => {
+            expect(err).toBeInstanceOf(HttpError);
+            expect(err.code).toBe('ERR_HTTP');
+            expect(err.status).toBe(404);
+            expect(err.body).toEqual({message: '用户不存在'});
+            expect(tips.error).toEqual(['获取数据失败！']);
+        });
+    });
+
+    test('errorTip can be customized per request', () => {
+        const {dcFetch, tips} = createDcFetch();
+        return rejection(dcFetch.del('/users/404', null, {errorTip: '删除失败'})).then(err => {
+            expect(err).toBeInstanceOf(HttpError);
+            expect(tips.error).toEqual(['删除失败']);
+        });
+    });
+
+    test('url-encoded requests send a query string body', () => {
+        const {dcFetch, adapter} = createDcFetch();
+        const options = {headers: {'Content-Type': 'application/x-www-form-urlencoded'}};
+        return dcFetch.post('/login', {username: 'admin', password: '123456'}, options).then(data => {
+            expect(data).toEqual({token: 'abc'});
+            expect(adapter.history[0].body).toEqual({username: 'admin', password: '123456'});
+        });
+    });
+
+    test('url-encoded default content type also stringifies the body', () => {
+        const {dcFetch} = createDcFetch();
+        dcFetch.defaults.headers.post['Content-Type'] = 'application/x-www-form-urlencoded';
+        return dcFetch.post('/login', {username: 'admin', password: '123456'}).then(data => {
+            expect(data).toEqual({token: 'abc'});
+        });
+    });
+});
+
+describe('singleGet', () => {
+    test('only the latest request of the same url resolves', () => {
+        const {dcFetch} = createDcFetch();
+        const first = jest.fn();
+        const second = jest.fn();
+        const request = dcFetch.singleGet('/users/suggest', {keyword: '张'});
+        request.then(first, first);
+        dcFetch.singleGet('/users/suggest', {keyword: '张三'}).then(second);
+
+        return flush().then(() => {
+            expect(first).not.toHaveBeenCalled();
+            expect(request.status).toBe('canceled');
+            expect(second).toHaveBeenCalledWith(['张三']);
+        });
+    });
+
+    test('finished requests are removed from singleGets', () => {
+        const {dcFetch} = createDcFetch();
+        return dcFetch.singleGet('/users/suggest', {keyword: '张'}).then(() => {
+            expect(Object.keys(dcFetch.singleGets)).toEqual([]);
+        });
+    });
+
+    test('collapse keeps requests with different params apart', () => {
+        const {dcFetch} = createDcFetch();
+        return Promise.all([
+            dcFetch.get('/users/suggest', {keyword: '张'}, {collapse: 'takeLatest'}),
+            dcFetch.get('/users/suggest', {keyword: '张三'}, {collapse: 'takeLatest'}),
+        ]).then(([first, second]) => {
+            expect(first).toEqual(['张三', '张伟']);
+            expect(second).toEqual(['张三']);
+        });
+    });
+});
+
+describe('cancel', () => {
+    test('cancel stops every callback of the chain', () => {
+        const {dcFetch, tips} = createDcFetch();
+        const callback = jest.fn();
+        const request = dcFetch.get('/users/1');
+        const chained = request.then(callback).catch(callback);
+        chained.finally(callback);
+        chained.cancel();
+
+        return flush().then(() => {
+            expect(callback).not.toHaveBeenCalled();
+            expect(request.status).toBe('canceled');
+            expect(tips.error).toEqual([]);
+        });
+    });
+
+    test('abort rejects with CanceledError by default', () => {
+        const {dcFetch} = createDcFetch();
+        const request = dcFetch.get('/users/1');
+        request.abort();
+        return rejection(request).then(err => {
+            expect(err).toBeInstanceOf(CanceledError);
+            expect(isCancel(err)).toBe(true);
+        });
+    });
+
+    test('abort rejects with the given reason', () => {
+        const {dcFetch} = createDcFetch();
+        const reason = new Error('leave page');
+        const request = dcFetch.get('/users/1').then(data => data);
+        request.abort(reason);
+        return rejection(request).then(err => {
+            expect(err).toBe(reason);
+        });
+    });
+
+    test('rejectOnCancel makes cancel reject', () => {
+        const {dcFetch, tips} = createDcFetch();
+        const request = dcFetch.get('/users/1', null, {rejectOnCancel: true});
+        request.cancel();
+        return rejection(request).then(err => {
+            expect(err.code).toBe('ERR_CANCELED');
+            expect(tips.error).toEqual([]);
+        });
+    });
+
+    test('canceled requests do not reach the adapter', () => {
+        const {dcFetch, adapter} = createDcFetch();
+        dcFetch.get('/users/1').cancel();
+        return flush().then(() => {
+            expect(adapter.history).toEqual([]);
+        });
+    });
+});
+
+describe('responseAdapter', () => {
+    // 后端统一返回 {code, msg, data}，/empty 返回204没有响应体
+    function createEnvelopeFetch() {
+        const adapter = createAdapter(config => (config.url === '/empty'
+            ? {status: 204}
+            : {data: {code: config.url === '/fail' ? 1001 : 0, msg: config.url === '/fail' ? '库存不足' : '', data: {id: 1}}}));
+        return createDcFetch({
+            responseAdapter: response => {
+                const {code, msg, data} = response.data;
+                return {success: code === 0, data, code, message: msg};
+            },
+        }, adapter);
+    }
+
+    test('unwraps data and shows the success tip', () => {
+        const {dcFetch, tips} = createEnvelopeFetch();
+        return dcFetch.post('/orders', {}, {successTip: '下单成功'}).then(data => {
+            expect(data).toEqual({id: 1});
+            expect(tips.success).toEqual(['下单成功']);
+        });
+    });
+
+    test('business failures reject with BusinessError and msg replaces errorTip', () => {
+        const {dcFetch, tips} = createEnvelopeFetch();
+        return rejection(dcFetch.post('/fail', {}, {successTip: '下单成功', errorTip: '下单失败'})).then(err => {
+            expect(err).toBeInstanceOf(BusinessError);
+            expect(err.code).toBe('ERR_BUSINESS');
+            expect(err.businessCode).toBe(1001);
+            expect(err.data).toEqual({code: 1001, msg: '库存不足', data: {id: 1}});
+            expect(tips.error).toEqual(['库存不足']);
+            expect(tips.success).toEqual([]);
+        });
+    });
+
+    test('errorTip false still hides the business message', () => {
+        const {dcFetch, tips} = createEnvelopeFetch();
+        return rejection(dcFetch.post('/fail', {}, {errorTip: false})).then(() => {
+            expect(tips.error).toEqual([false]);
+        });
+    });
+
+    test('raw skips the adapter', () => {
+        const {dcFetch} = createEnvelopeFetch();
+        return dcFetch.get('/fail', null, {raw: true}).then(data => {
+            expect(data).toEqual({code: 1001, msg: '库存不足', data: {id: 1}});
+        });
+    });
+
+    test('adapter errors go through the error path', () => {
+        const {dcFetch, tips} = createEnvelopeFetch();
+        const request = dcFetch.del('/empty', null, {errorTip: '删除失败'});
+        return rejection(request).then(err => {
+            expect(err).toBeInstanceOf(TypeError);
+            expect(tips.error).toEqual(['删除失败']);
+            expect(request.status).toBe('rejected');
+        });
+    });
+});
+
+describe('registerService', () => {
+    // 服务使用独立的adapter，返回请求的baseURL及headers
+    function createServiceFetch() {
+        const {dcFetch, tips, adapter} = createDcFetch({}, createAdapter(() => ({data: {service: null}})));
+        const orderAdapter = createAdapter(config => (config.url === '/fail'
+            ? {status: 500}
+            : {data: {baseURL: config.baseURL, timeout: config.timeout, tenant: config.headers['X-Tenant'] || null}}));
+        const order = dcFetch.registerService('order', {
+            baseURL: '/order-api',
+            timeout: 30000,
+            headers: {'X-Tenant': 't1'},
+            adapter: orderAdapter,
+        });
+        return {dcFetch, order, tips, adapter, orderAdapter};
+    }
+
+    test('services use their own axios defaults', () => {
+        const {dcFetch, order, adapter, orderAdapter} = createServiceFetch();
+
+        return Promise.all([order.get('/orders'), dcFetch.get('/users')]).then(([orders, users]) => {
+            expect(orders).toEqual({baseURL: '/order-api', timeout: 30000, tenant: 't1'});
+            expect(users).toEqual({service: null});
+            expect(orderAdapter).toHaveBeenCalledTimes(1);
+            expect(adapter).toHaveBeenCalledTimes(1);
+            expect(adapter.mock.calls[0][0].headers['X-Tenant']).toBeUndefined();
+            expect(order.defaults).not.toBe(dcFetch.defaults);
+            expect(dcFetch.defaults.baseURL).toBe('/');
+        });
+    });
+
+    test('services share tips and plugins with dcFetch', () => {
+        const {dcFetch, order, tips} = createServiceFetch();
+        const onRequest = jest.fn(ctx => ctx);
+        // 注册服务之后添加的插件同样生效
+        dcFetch.use({name: 'trace', onRequest});
+
+        return order.post('/orders', {}, {successTip: '下单成功'})
+            .then(() => rejection(order.get('/fail')))
+            .then(err => {
+                expect(err).toBeInstanceOf(HttpError);
+                expect(tips.success).toEqual(['下单成功']);
+                expect(tips.error).toEqual(['获取数据失败！']);
+                expect(onRequest.mock.calls.map(([ctx]) => ctx.dcFetch.serviceName)).toEqual(['order', 'order']);
+            });
+    });
+
+    test('service() returns registered services and throws for unknown names', () => {
+        const {dcFetch, order} = createServiceFetch();
+
+        expect(dcFetch.service('order')).toBe(order);
+        expect(order.service('order')).toBe(order);
+        expect(() => dcFetch.service('report')).toThrow('Service "report" is not registered');
+    });
+});
@@ -0,0 +1,86 @@
+import DcRequest from '../src/dc-request';
+import {CanceledError} from '../src/errors';
+import {collectUnhandled, flush, rejection} from './helpers';
+
+describe('DcRequest', () => {
+    test('errors thrown in callbacks are reported like native promises', () => {
+        expect(collectUnhandled('new DcRequest(resolve => resolve({})).then(data => data.foo.bar);')).toEqual(['TypeError']);
+        expect(collectUnhandled('Promise.resolve({}).then(data => data.foo.bar);')).toEqual(['TypeError']);
+    });
+
+    test('handled rejections are not reported', () => {
+        expect(collectUnhandled(`
+            new DcRequest((resolve, reject) => reject(new Error('failed'))).catch(() => null);
+            new DcRequest(resolve => resolve({})).then(data => data.foo.bar).then(() => null, () => null);
+        `)).toEqual([]);
+    });
+
+    test('status follows the promise', () => {
+        const request = new DcRequest(resolve => resolve({}));
+        const derived = request.then(data => data.foo.bar);
+        const caught = derived.catch(err => err);
+
+        return caught.then(err => {
+            expect(err).toBeInstanceOf(TypeError);
+            expect(request.status).toBe('fulfilled');
+            expect(derived.status).toBe('rejected');
+            expect(caught.status).toBe('fulfilled');
+        });
+    });
+
+    test('status of a derived request waits for the returned promise', () => {
+        let resolveInner;
+        const request = new DcRequest(resolve => resolve(1));
+        const derived = request.then(() => new Promise(resolve => resolveInner = resolve));
+
+        return flush().then(() => {
+            expect(derived.status).toBe('pending');
+            resolveInner(2);
+            return derived;
+        }).then(value => {
+            expect(value).toBe(2);
+            expect(derived.status).toBe('fulfilled');
+        });
+    });
+
+    test('abort rejects a derived request after the root has settled', () => {
+        const request = new DcRequest(resolve => resolve(1));
+        const reason = new Error('leave page');
+        let derived;
+
+        return request.then(() => {
+            derived = request.then(() => new Promise(resolve => setTimeout(() => resolve('late'), 10)));
+            derived.abort(reason);
+            return derived;
+        }).then(() => {
+            throw new Error('should not resolve');
+        }, err => {
+            expect(err).toBe(reason);
+            expect(derived.status).toBe('canceled');
+        });
+    });
+
+    test('abort without reason rejects with CanceledError', () => {
+        const request = new DcRequest(() => null);
+        request.abort();
+        return rejection(request).then(err => {
+            expect(err).toBeInstanceOf(CanceledError);
+            expect(request.status).toBe('canceled');
+        });
+    });
+
+    test('cancel stops callbacks and calls onCancel once', () => {
+        const onCancel = jest.fn();
+        const callback = jest.fn();
+        const request = new DcRequest(resolve => setTimeout(resolve, 5), onCancel);
+        request.then(callback).finally(callback);
+        request.cancel();
+        request.cancel();
+
+        return flush().then(() => {
+            expect(onCancel).toHaveBeenCalledTimes(1);
+            expect(callback).not.toHaveBeenCalled();
+            expect(request.status).toBe('canceled');
+        });
+    });
+});
@@ -0,0 +1,91 @@
+import {Blob} from 'buffer';
+import defineApi, {fillPath, parseEndpoint} from '../src/define-api';
+import {createAdapter, createDcFetch, rejection} from './helpers';
+
+// 返回收到的请求
+function createApiFetch() {
+    return createDcFetch({}, createAdapter(config => ({
+        data: {method: config.method, url: config.url, params: config.params, body: config.data ? JSON.parse(config.data) : null},
+    })));
+}
+
+describe('parseEndpoint', () => {
+    test('strings default to get and objects keep their options', () => {
+        expect(parseEndpoint('/users')).toEqual({method: 'get', url: '/users', options: {}});
+        expect(parseEndpoint('DEL /users/:id')).toEqual({method: 'delete', url: '/users/:id', options: {}});
+        expect(parseEndpoint({method: 'PUT', url: '/users/:id', successTip: '保存成功'}))
+            .toEqual({method: 'put', url: '/users/:id', options: {successTip: '保存成功'}});
+    });
+});
+
+describe('fillPath', () => {
+    test('path params are encoded and removed from the rest', () => {
+        expect(fillPath('/users/:id/roles/:role', {id: 'a/b', role: 1, name: '张三'}))
+            .toEqual({path: '/users/a%2Fb/roles/1', rest: {name: '张三'}});
+        expect(fillPath('/users/:id', 2)).toEqual({path: '/users/2', rest: {}});
+        expect(fillPath('/users', undefined)).toEqual({path: '/users', rest: {}});
+    });
+
+    test('bodies that are not plain objects are passed through', () => {
+        const ids = [1, 2, 3];
+        const file = new Blob(['a']);
+        expect(fillPath('/users/batch-delete', ids).rest).toBe(ids);
+        expect(fillPath('/upload', file).rest).toBe(file);
+    });
+
+    test('missing path params throw', () => {
+        expect(() => fillPath('/users/:id', {name: '张三'})).toThrow('Missing path param "id" for /users/:id');
+    });
+});
+
+describe('defineApi', () => {
+    test('sends requests with filled paths and merged options', () => {
+        const {dcFetch, tips} = createApiFetch();
+        const api = dcFetch.defineApi({
+            getUsers: '/users',
+            getUser: 'GET /users/:id',
+            updateUser: {method: 'put', url: '/users/:id', successTip: '保存成功', headers: {'X-From': 'api'}},
+        });
+
+        return Promise.all([
+            api.getUsers({pageNum: 1}),
+            api.getUser(1),
+            api.updateUser({id: 1, name: '张三'}, {successTip: '已更新', headers: {'X-Trace': '1'}}),
+        ]).then(([users, user, updated]) => {
+            expect(users).toEqual({method: 'get', url: '/users', params: {pageNum: 1}, body: {}});
+            expect(user.url).toBe('/users/1');
+            expect(updated).toEqual({method: 'put', url: '/users/1', params: {}, body: {name: '张三'}});
+            expect(dcFetch.defaults.adapter.mock.calls[2][0].headers).toMatchObject({'X-From': 'api', 'X-Trace': '1'});
+            expect(tips.success).toEqual([false, false, '已更新']);
+        });
+    });
+
+    test('array bodies are sent unchanged', () => {
+        const {dcFetch} = createApiFetch();
+        const api = dcFetch.defineApi({batchDelete: 'POST /users/batch-delete'});
+
+        return api.batchDelete([1, 2, 3]).then(data => {
+            expect(data.body).toEqual([1, 2, 3]);
+        });
+    });
+
+    test('missing path params return a rejected request', () => {
+        const {dcFetch} = createApiFetch();
+        const api = dcFetch.defineApi({getUser: 'GET /users/:id'});
+
+        const request = api.getUser({});
+        expect(typeof request.cancel).toBe('function');
+        return rejection(request).then(err => {
+            expect(err.message).toBe('Missing path param "id" for /users/:id');
+            expect(dcFetch.defaults.adapter).not.toHaveBeenCalled();
+        });
+    });
+
+    test('withClient sends through another client', () => {
+        const client = {fetch: jest.fn(() => 'request')};
+        const api = defineApi({fetch: jest.fn()}, {getUser: 'GET /users/:id'});
+
+        expect(api.withClient(client).getUser(1, {cache: true})).toBe('request');
+        expect(client.fetch).toHaveBeenCalledWith('/users/1', {}, 'get', {cache: true, headers: {}});
+    });
+});
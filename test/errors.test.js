@@ -0,0 +1,97 @@
+import axios from 'axios';
+import {createError} from '../src/adapter-utils';
+import {
+    BusinessError,
+    CanceledError,
+    DcFetchError,
+    HttpError,
+    isCancel,
+    NetworkError,
+    normalizeError,
+    TimeoutError,
+    ValidationError,
+} from '../src/errors';
+
+const config = {method: 'get', url: '/users'};
+
+describe('errors', () => {
+    test('errors with a response become HttpError with status and body', () => {
+        const response = {status: 404, data: {msg: '不存在'}, headers: {}, config};
+        const cause = createError('Request failed with status code 404', config, null, null, response);
+        const err = normalizeError(cause);
+
+        expect(err).toBeInstanceOf(HttpError);
+        expect(err).toBeInstanceOf(DcFetchError);
+        expect(err).toBeInstanceOf(Error);
+        expect(err).toMatchObject({name: 'HttpError', code: 'ERR_HTTP', status: 404, body: {msg: '不存在'}, config, response, cause});
+        expect(err.message).toBe('Request failed with status code 404');
+    });
+
+    test('ECONNABORTED and ETIMEDOUT become TimeoutError', () => {
+        ['ECONNABORTED', 'ETIMEDOUT'].forEach(code => {
+            const err = normalizeError(createError('timeout of 10ms exceeded', config, code));
+            expect(err).toBeInstanceOf(TimeoutError);
+            expect(err).toMatchObject({name: 'TimeoutError', code: 'ERR_TIMEOUT', config});
+            expect(err.cause.code).toBe(code);
+        });
+    });
+
+    test('axios errors without a response become NetworkError', () => {
+        const err = normalizeError(createError('Network Error', config));
+
+        expect(err).toBeInstanceOf(NetworkError);
+        expect(err).toMatchObject({name: 'NetworkError', code: 'ERR_NETWORK', config, response: undefined});
+    });
+
+    test('the config argument is used when the error has none', () => {
+        const cause = new Error('Network Error');
+        cause.isAxiosError = true;
+
+        expect(normalizeError(cause, config).config).toBe(config);
+    });
+
+    test('axios cancels become CanceledError', () => {
+        const err = normalizeError(new axios.Cancel('离开页面'), config);
+
+        expect(err).toBeInstanceOf(CanceledError);
+        expect(err).toMatchObject({name: 'CanceledError', code: 'ERR_CANCELED', message: '离开页面', config});
+        expect(normalizeError(new axios.Cancel()).message).toBe('Request canceled');
+    });
+
+    test('dcFetch errors and other errors are returned as they are', () => {
+        const business = new BusinessError('库存不足', {businessCode: 1001, config});
+        const plain = new TypeError('x is not a function');
+
+        expect(normalizeError(business)).toBe(business);
+        expect(normalizeError(plain)).toBe(plain);
+        expect(normalizeError(undefined)).toBeUndefined();
+    });
+
+    test('isCancel recognizes CanceledError and axios cancels only', () => {
+        expect(isCancel(new CanceledError())).toBe(true);
+        expect(isCancel(new axios.Cancel('canceled'))).toBe(true);
+        expect(isCancel(new NetworkError('Network Error'))).toBe(false);
+        expect(isCancel(null)).toBe(false);
+    });
+
+    test('every error type has its code and keeps the config', () => {
+        const response = {status: 200, data: {code: 1001}};
+        const errors = [
+            [new DcFetchError('x', {config}), 'DcFetchError', 'ERR_DC_FETCH'],
+            [new NetworkError('x', {config}), 'NetworkError', 'ERR_NETWORK'],
+            [new TimeoutError('x', {config}), 'TimeoutError', 'ERR_TIMEOUT'],
+            [new HttpError('x', {config, response}), 'HttpError', 'ERR_HTTP'],
+            [new CanceledError('x', {config}), 'CanceledError', 'ERR_CANCELED'],
+            [new BusinessError('x', {config, response, businessCode: 1001}), 'BusinessError', 'ERR_BUSINESS'],
+            [new ValidationError([{path: 'id', message: 'is required'}], {config, response}), 'ValidationError', 'ERR_VALIDATION'],
+        ];
+
+        errors.forEach(([err, name, code]) => {
+            expect(err).toBeInstanceOf(DcFetchError);
+            expect(err).toMatchObject({name, code, config});
+            expect(typeof err.stack).toBe('string');
+        });
+        expect(errors[5][0]).toMatchObject({businessCode: 1001, data: {code: 1001}});
+        expect(errors[6][0].message).toBe('Response of GET /users does not match schema: id is required');
+    });
+});
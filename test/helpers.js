@@ -0,0 +1,98 @@
+import {spawnSync} from 'child_process';
+import path from 'path';
+import DcFetch from '../src/dc-fetch';
+import fixture from './fixtures/users.har.json';
+
+export const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 等待adapter及回调执行完
+export const flush = (ms = 20) => wait(ms);
+
+// 请求失败时返回错误，成功时测试失败
+export const rejection = request => request.then(() => {
+    throw new Error('should not resolve');
+}, err => err);
+
+/**
+ * 与axios adapter一样返回响应：status为0时以网络错误失败，大于等于400时以带有response的错误失败
+ *
+ * @param {object} config axios配置
+ * @param {object} [result] {status, statusText, data, headers}，status默认200
+ * @returns {Promise}
+ */
+export function respond(config, {status = 200, statusText, data = null, headers = {}} = {}) {
+    if (!status) {
+        const err = new Error('Network Error');
+        err.config = config;
+        return Promise.reject(err);
+    }
+    const response = {
+        data: JSON.stringify(data),
+        status,
+        statusText: statusText || (status === 200 ? 'OK' : String(status)),
+        headers,
+        config,
+    };
+    if (status >= 400) {
+        const err = new Error(`Request failed with status code ${status}`);
+        err.config = config;
+        err.response = response;
+        return Promise.reject(err);
+    }
+    return Promise.resolve(response);
+}
+
+/**
+ * 记录调用的adapter，delay毫秒之后按handler的结果返回
+ *
+ * @param {function} handler config => {status, statusText, data, headers}
+ * @param {number} [delay] 默认1
+ * @returns {function} jest.fn
+ */
+export function createAdapter(handler, delay = 1) {
+    return jest.fn(config => wait(delay).then(() => respond(config, handler(config))));
+}
+
+/**
+ * 创建记录提示的DcFetch
+ *
+ * @param {object} [options] DcFetch的配置
+ * @param {function|object} [adapter] axios adapter，或者回放的HAR数据，默认 fixtures/users.har.json
+ * @returns {{dcFetch, tips: {success, error}, adapter}}
+ */
+export function createDcFetch(options, adapter = fixture) {
+    const tips = {success: [], error: []};
+    const dcFetch = new DcFetch({
+        onShowSuccessTip: (response, successTip) => tips.success.push(successTip),
+        onShowErrorTip: (err, errorTip) => tips.error.push(errorTip),
+        ...options,
+    });
+    if (typeof adapter === 'function') {
+        dcFetch.defaults.adapter = adapter;
+    } else {
+        adapter = dcFetch.replay(adapter);
+    }
+    return {dcFetch, tips, adapter};
+}
+
+/**
+ * jest会接管unhandledRejection，在单独的node进程中运行code，code中可以使用DcRequest DcFetch
+ *
+ * @param {string} code
+ * @returns {Array} 触发unhandledRejection的错误类型
+ */
+export function collectUnhandled(code) {
+    const script = `
+        const DcRequest = require('./src/dc-request').default;
+        const DcFetch = require('./src/dc-fetch');
+        const unhandled = [];
+        process.on('unhandledRejection', err => unhandled.push(err.constructor.name));
+        ${code}
+        setTimeout(() => console.log(JSON.stringify(unhandled)), 20);
+    `;
+    const result = spawnSync(process.execPath, ['-r', 'babel-register', '-e', script], {
+        cwd: path.join(__dirname, '..'),
+        encoding: 'utf8',
+    });
+    return JSON.parse(result.stdout);
+}
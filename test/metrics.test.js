@@ -0,0 +1,100 @@
+import RequestMetrics, {getSize, getUrlPattern} from '../src/metrics';
+import {createAdapter, createDcFetch, flush, rejection, wait} from './helpers';
+
+// 只包含summary用到的字段
+const createRecord = (duration, outcome = 'success', pattern = 'GET /users') => ({pattern, duration, outcome});
+
+describe('metrics', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('records are reported in batches', () => {
+        const onMetrics = jest.fn();
+        const metrics = new RequestMetrics({onMetrics, batchSize: 2, flushInterval: 1000});
+        [1, 2, 3, 4, 5].forEach(duration => metrics.record(createRecord(duration)));
+
+        expect(onMetrics.mock.calls.map(([records]) => records.map(record => record.duration))).toEqual([[1, 2], [3, 4]]);
+        metrics.flush();
+        expect(onMetrics.mock.calls[2][0].map(record => record.duration)).toEqual([5]);
+        metrics.clear();
+    });
+
+    test('an incomplete batch is reported after flushInterval', () => {
+        const onMetrics = jest.fn();
+        const metrics = new RequestMetrics({onMetrics, batchSize: 10, flushInterval: 20});
+        metrics.record(createRecord(1));
+        metrics.record(createRecord(2));
+
+        expect(onMetrics).not.toHaveBeenCalled();
+        return wait(40).then(() => {
+            expect(onMetrics).toHaveBeenCalledTimes(1);
+            expect(onMetrics.mock.calls[0][0].length).toBe(2);
+            expect(metrics.flushTimer).toBeNull();
+        });
+    });
+
+    test('sampling only affects reporting', () => {
+        const random = jest.spyOn(Math, 'random');
+        [0.05, 0.5, 0.09, 0.8].forEach(value => random.mockReturnValueOnce(value));
+        const onMetrics = jest.fn();
+        const metrics = new RequestMetrics({onMetrics, sampleRate: 0.1, batchSize: 2});
+        [1, 2, 3, 4].forEach(duration => metrics.record(createRecord(duration)));
+
+        expect(onMetrics).toHaveBeenCalledTimes(1);
+        expect(onMetrics.mock.calls[0][0].map(record => record.duration)).toEqual([1, 3]);
+        expect(metrics.recent().length).toBe(4);
+    });
+
+    test('recent keeps the latest records in a ring buffer', () => {
+        const metrics = new RequestMetrics({bufferSize: 3});
+        [1, 2, 3, 4, 5].forEach(duration => metrics.record(createRecord(duration)));
+
+        expect(metrics.recent().map(record => record.duration)).toEqual([3, 4, 5]);
+        expect(metrics.recent(2).map(record => record.duration)).toEqual([4, 5]);
+        metrics.clear();
+        expect(metrics.recent()).toEqual([]);
+    });
+
+    test('summary groups by pattern with p50 p95 and errorRate excluding canceled requests', () => {
+        const metrics = new RequestMetrics();
+        for (let duration = 10; duration <= 200; duration += 10) {
+            metrics.record(createRecord(duration, duration % 50 === 0 ? 'error' : 'success'));
+        }
+        metrics.record(createRecord(5000, 'canceled'));
+        metrics.record(createRecord(30, 'success', 'POST /users'));
+
+        expect(metrics.summary()).toEqual({
+            'GET /users': {count: 21, p50: 100, p95: 190, errorRate: 0.2, canceled: 1},
+            'POST /users': {count: 1, p50: 30, p95: 30, errorRate: 0, canceled: 0},
+        });
+    });
+
+    test('requests are recorded with pattern, outcome, status and retries', () => {
+        const onMetrics = jest.fn();
+        const statuses = [503, 200, 404];
+        const {dcFetch} = createDcFetch({
+            onMetrics,
+            metrics: {batchSize: 2},
+            retryDelay: () => 1,
+        }, createAdapter(() => ({status: statuses.shift(), data: {id: 1}})));
+
+        return dcFetch.get('/users/12', null, {retry: 1})
+            .then(() => rejection(dcFetch.get('/users/13')))
+            .then(() => flush())
+            .then(() => {
+                const [[[success, error]]] = onMetrics.mock.calls;
+                expect(success).toMatchObject({pattern: 'GET /users/:id', outcome: 'success', status: 200, retries: 1, responseSize: 8});
+                expect(error).toMatchObject({pattern: 'GET /users/:id', outcome: 'error', status: 404, retries: 0});
+                expect(dcFetch.metrics.summary()['GET /users/:id'].errorRate).toBe(0.5);
+            });
+    });
+
+    test('getUrlPattern and getSize', () => {
+        expect(getUrlPattern('/users/12/orders/5f1d7a0c9e1b2a3c4d5e6f70?page=1')).toBe('/users/:id/orders/:id');
+        expect(getUrlPattern('/files/123e4567-e89b-12d3-a456-426614174000#top')).toBe('/files/:id');
+        expect(getSize(null)).toBe(0);
+        expect(getSize('abc')).toBe(3);
+        expect(getSize({a: 1})).toBe(7);
+    });
+});
@@ -0,0 +1,49 @@
+import DcFetch from '../src/dc-fetch';
+import {TimeoutError} from '../src/errors';
+import {rejection} from './helpers';
+
+describe('mock server', () => {
+    test('routes match path params and query', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.mock.get('/users/:id', req => ({id: Number(req.params.id), expand: req.query.expand}));
+
+        return dcFetch.get('/users/7', {expand: 'roles'}).then(data => {
+            expect(data).toEqual({id: 7, expand: 'roles'});
+            expect(dcFetch.mock.history.map(req => req.url)).toEqual(['/users/7']);
+        });
+    });
+
+    test('delay longer than the request timeout rejects with a timeout error', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.mock.get('/reports', {total: 1}, {delay: 1000});
+        const start = Date.now();
+
+        return rejection(dcFetch.get('/reports', null, {timeout: 20})).then(err => {
+            expect(err).toBeInstanceOf(TimeoutError);
+            expect(err.message).toBe('timeout of 20ms exceeded');
+            expect(err.cause.code).toBe('ECONNABORTED');
+            expect(Date.now() - start).toBeLessThan(500);
+        });
+    });
+
+    test('delay within the timeout resolves after the delay', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.mock.get('/reports', {total: 1}, {delay: 20});
+        const start = Date.now();
+
+        return dcFetch.get('/reports', null, {timeout: 1000}).then(data => {
+            expect(data).toEqual({total: 1});
+            expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+        });
+    });
+
+    test('timeout option simulates a timeout with the configured message', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.mock.put('/users/:id', null, {timeout: true});
+
+        return rejection(dcFetch.put('/users/1', {}, {timeout: 3000, timeoutErrorMessage: '保存超时'})).then(err => {
+            expect(err).toBeInstanceOf(TimeoutError);
+            expect(err.message).toBe('保存超时');
+        });
+    });
+});
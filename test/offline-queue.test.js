@@ -0,0 +1,175 @@
+import DcFetch from '../src/dc-fetch';
+import {createMemoryStorage} from '../src/offline-queue';
+import {createAdapter, createDcFetch, flush, rejection} from './helpers';
+
+// online为false时返回网络错误，conflicts中的url返回409
+function createOfflineFetch(server, offlineOptions = {}) {
+    const storage = createMemoryStorage();
+    const sent = [];
+    const adapter = createAdapter(config => {
+        if (!server.online) return {status: 0};
+        sent.push(`${config.method} ${config.url} ${config.data}`);
+        return {status: (server.conflicts || []).indexOf(config.url) > -1 ? 409 : 200, data: {url: config.url}};
+    });
+    const {dcFetch, tips} = createDcFetch({offline: {storage, ...offlineOptions}}, adapter);
+    return {dcFetch, storage, tips, sent};
+}
+
+describe('offline queue', () => {
+    test('writes are queued while offline and replayed in order', () => {
+        const server = {online: false};
+        const {dcFetch, storage, tips, sent} = createOfflineFetch(server);
+        const replayed = [];
+        dcFetch.offline.on('replayed', (item, data) => replayed.push(data.url));
+
+        return Promise.all([
+            rejection(dcFetch.post('/visits', {id: 1})),
+            rejection(dcFetch.put('/visits/1', {id: 1, done: true}, {successTip: '已保存'})),
+        ]).then(([first, second]) => {
+            expect(first.queued.url).toBe('/visits');
+            expect(second.queued.options).toEqual({successTip: '已保存'});
+            expect(tips.error).toEqual(['网络已断开，恢复连接后将自动提交', '网络已断开，恢复连接后将自动提交']);
+            return storage.load();
+        }).then(items => {
+            expect(items.map(item => `${item.method} ${item.url}`)).toEqual(['post /visits', 'put /visits/1']);
+            server.online = true;
+            return dcFetch.offline.replay();
+        }).then(() => {
+            expect(sent).toEqual(['post /visits {"id":1}', 'put /visits/1 {"id":1,"done":true}']);
+            expect(replayed).toEqual(['/visits', '/visits/1']);
+            expect(dcFetch.offline.items).toEqual([]);
+            return storage.load();
+        }).then(items => {
+            expect(items).toEqual([]);
+        });
+    });
+
+    test('gets and requests with offline false are not queued', () => {
+        const {dcFetch, tips} = createOfflineFetch({online: false});
+
+        return Promise.all([
+            rejection(dcFetch.get('/visits')),
+            rejection(dcFetch.post('/visits', {id: 1}, {offline: false})),
+        ]).then(([first, second]) => {
+            expect(first.queued).toBeUndefined();
+            expect(second.queued).toBeUndefined();
+            expect(dcFetch.offline.items).toEqual([]);
+            expect(tips.error).toEqual(['获取数据失败！', '操作失败！']);
+        });
+    });
+
+    test('replay stops while still offline and keeps the rest', () => {
+        const server = {online: false};
+        const {dcFetch, sent} = createOfflineFetch(server);
+
+        return rejection(dcFetch.post('/visits', {id: 1}))
+            .then(() => dcFetch.offline.replay())
+            .then(() => {
+                expect(sent).toEqual([]);
+                expect(dcFetch.offline.items.length).toBe(1);
+            });
+    });
+
+    test('conflicts are kept or discarded by onConflict', () => {
+        const server = {online: false, conflicts: ['/visits/1']};
+        const onConflict = jest.fn()
+            .mockReturnValueOnce('keep')
+            .mockReturnValueOnce(Promise.resolve('discard'));
+        const {dcFetch, sent} = createOfflineFetch(server, {onConflict});
+
+        return Promise.all([
+            rejection(dcFetch.put('/visits/1', {id: 1})),
+            rejection(dcFetch.post('/visits', {id: 2})),
+        ]).then(() => {
+            server.online = true;
+            return dcFetch.offline.replay();
+        }).then(() => {
+            // keep：保留记录并停止本次提交
+            expect(onConflict).toHaveBeenCalledTimes(1);
+            expect(sent).toEqual(['put /visits/1 {"id":1}']);
+            expect(dcFetch.offline.items.map(item => item.url)).toEqual(['/visits/1', '/visits']);
+            return dcFetch.offline.replay();
+        }).then(() => {
+            expect(onConflict).toHaveBeenCalledTimes(2);
+            expect(sent).toEqual(['put /visits/1 {"id":1}', 'put /visits/1 {"id":1}', 'post /visits {"id":2}']);
+            expect(dcFetch.offline.items).toEqual([]);
+        });
+    });
+
+    test('function options are not queued unless registered by name', () => {
+        const server = {online: false};
+        const {dcFetch} = createOfflineFetch(server);
+        const transform = jest.fn(data => ({...data, transformed: true}));
+        dcFetch.offline.register('visit', {transform});
+        const replayed = [];
+        const skipped = [];
+        dcFetch.offline.on('replayed', (item, data) => replayed.push(data));
+        dcFetch.offline.on('skipped', (request, reason) => skipped.push(reason.message));
+
+        return Promise.all([
+            rejection(dcFetch.post('/visits', {id: 1}, {transform})),
+            rejection(dcFetch.post('/visits', {id: 2}, {offline: 'visit', transform})),
+        ]).then(([first, second]) => {
+            expect(first.queued).toBeUndefined();
+            expect(skipped.length).toBe(1);
+            expect(skipped[0]).toMatch('POST /visits is not queued offline: transform can not be persisted');
+            expect(second.queued.options).toEqual({});
+            expect(second.queued.preset).toBe('visit');
+
+            server.online = true;
+            transform.mockClear();
+            return dcFetch.offline.replay();
+        }).then(() => {
+            expect(transform).toHaveBeenCalledTimes(1);
+            expect(replayed).toEqual([{url: '/visits', transformed: true}]);
+        });
+    });
+
+    test('FormData bodies are skipped without complaining about upload options', () => {
+        global.FormData = function FormData() {};
+        const {dcFetch} = createOfflineFetch({online: false});
+        const skipped = [];
+        dcFetch.offline.on('skipped', (request, reason) => skipped.push(reason.message));
+
+        return rejection(dcFetch.post('/files', new FormData(), {onUploadProgress: () => null})).then(err => {
+            delete global.FormData;
+            expect(err.queued).toBeUndefined();
+            expect(skipped).toEqual(['POST /files is not queued offline: FormData can not be persisted']);
+        }, err => {
+            delete global.FormData;
+            throw err;
+        });
+    });
+
+    test('items saved before a reload are replayed once loaded when online', () => {
+        global.navigator = {onLine: true};
+        const saved = [{id: '1', service: null, method: 'post', url: '/visits', data: {id: 1}, options: {}, preset: null}];
+        const dcFetch = new DcFetch({offline: {storage: createMemoryStorage(saved)}});
+        const manual = new DcFetch({offline: {storage: createMemoryStorage(saved), autoReplay: false}});
+        delete global.navigator;
+        const adapter = createAdapter(config => ({data: {url: config.url}}));
+        dcFetch.defaults.adapter = adapter;
+        manual.defaults.adapter = adapter;
+        const replayed = [];
+        dcFetch.offline.on('replayed', item => replayed.push(item.id));
+
+        return flush().then(() => {
+            expect(replayed).toEqual(['1']);
+            expect(dcFetch.offline.items).toEqual([]);
+            expect(adapter).toHaveBeenCalledTimes(1);
+            expect(manual.offline.items.length).toBe(1);
+        });
+    });
+
+    test('items with an unknown preset fail on replay', () => {
+        const storage = createMemoryStorage([{id: '1', service: null, method: 'post', url: '/visits', data: {}, options: {}, preset: 'missing'}]);
+        const dcFetch = new DcFetch({offline: {storage}});
+        const failed = [];
+        dcFetch.offline.on('failed', (item, err) => failed.push(err.message));
+
+        return dcFetch.offline.replay().then(() => {
+            expect(failed).toEqual(['Offline preset "missing" is not registered']);
+            expect(dcFetch.offline.items).toEqual([]);
+        });
+    });
+});
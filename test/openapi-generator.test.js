@@ -0,0 +1,88 @@
+import {spawnSync} from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import DcFetch from '../src/dc-fetch';
+import {collectOperations, exampleFromSchema, generateClient, generateMocks} from '../src/openapi-generator';
+import spec from './fixtures/users.openapi.json';
+
+// 生成的是ES模块，转换为函数之后执行
+function evaluate(code) {
+    const module = {};
+    new Function('module', code.replace('export default function', 'module.exports = function'))(module);
+    return module.exports;
+}
+
+describe('openapi generator', () => {
+    test('collects operations with names and path params', () => {
+        expect(collectOperations(spec).map(({name, method, url, pathParams, hasBody}) => ({name, method, url, pathParams, hasBody}))).toEqual([
+            {name: 'listUsers', method: 'get', url: '/users', pathParams: [], hasBody: false},
+            {name: 'postUsers', method: 'post', url: '/users', pathParams: [], hasBody: true},
+            {name: 'getUsersById', method: 'get', url: '/users/{id}', pathParams: ['id'], hasBody: false},
+            {name: 'deleteUser', method: 'delete', url: '/users/{id}', pathParams: ['id'], hasBody: false},
+        ]);
+    });
+
+    test('examples come from example, enum and types', () => {
+        expect(exampleFromSchema(spec, {$ref: '#/components/schemas/User'})).toEqual({
+            id: 1,
+            name: '张三',
+            role: 'admin',
+            createdAt: '1970-01-01T00:00:00.000Z',
+        });
+    });
+
+    test('generated client calls dcFetch with filled paths', () => {
+        const code = generateClient(spec, {basePath: '/api'});
+        expect(code).toContain('// 由 dc-fetch-openapi 根据 用户服务 1.0.0 生成，请勿手动修改');
+        expect(code).toContain('         * 用户列表\n         * GET /users\n');
+
+        const dcFetch = {get: jest.fn(), post: jest.fn(), del: jest.fn()};
+        const api = evaluate(code)(dcFetch);
+        api.listUsers({pageNum: 1});
+        api.getUsersById({id: 'a/b', expand: 'roles'}, {cache: true});
+        api.postUsers({}, {name: '王五'});
+        api.deleteUser({id: 1});
+
+        expect(dcFetch.get.mock.calls).toEqual([
+            ['/api/users', {pageNum: 1}, undefined],
+            ['/api/users/a%2Fb', {expand: 'roles'}, {cache: true}],
+        ]);
+        expect(dcFetch.post.mock.calls).toEqual([['/api/users', {name: '王五'}, {params: {}}]]);
+        expect(dcFetch.del.mock.calls).toEqual([['/api/users/1', null, {params: {}}]]);
+    });
+
+    test('generated mocks return the examples through the mock server', () => {
+        const dcFetch = new DcFetch();
+        evaluate(generateMocks(spec))(dcFetch);
+
+        return Promise.all([
+            dcFetch.get('/users'),
+            dcFetch.get('/users/1'),
+            dcFetch.post('/users', {name: '李四'}),
+        ]).then(([list, user, created]) => {
+            expect(list.total).toBe(1);
+            expect(list.list[0].name).toBe('张三');
+            expect(user.id).toBe(1);
+            expect(created).toEqual({id: 2, name: '李四'});
+        });
+    });
+
+    test('the cli runs from a checkout', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dc-fetch-openapi-'));
+        const output = path.join(dir, 'api/index.js');
+        const mockOutput = path.join(dir, 'api/mock.js');
+        const result = spawnSync(process.execPath, [
+            path.join(__dirname, '../bin/dc-fetch-openapi.js'),
+            path.join(__dirname, 'fixtures/users.openapi.json'),
+            '-o', output,
+            '--mock', mockOutput,
+        ], {encoding: 'utf8'});
+        const files = fs.existsSync(output) ? [fs.readFileSync(output, 'utf8'), fs.readFileSync(mockOutput, 'utf8')] : [];
+        fs.rmSync(dir, {recursive: true, force: true});
+
+        expect(result.stderr).toBe('');
+        expect(result.status).toBe(0);
+        expect(files).toEqual([generateClient(spec), generateMocks(spec)]);
+    });
+});
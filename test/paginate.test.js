@@ -0,0 +1,120 @@
+import {createAdapter, createDcFetch, rejection, wait} from './helpers';
+
+const USERS = Array.from({length: 25}, (item, index) => ({id: index + 1}));
+
+// 按pageNum pageSize返回USERS中的一页；withTotal为false时不返回总数，failPage这一页返回500
+function createPageFetch({withTotal = true, failPage, delay = 1} = {}) {
+    const state = {inflight: 0, maxInflight: 0};
+    const pageAdapter = createAdapter(({params}) => {
+        const pageNum = Number(params.pageNum);
+        const pageSize = Number(params.pageSize);
+        if (pageNum === failPage) return {status: 500};
+        const list = USERS.slice((pageNum - 1) * pageSize, pageNum * pageSize);
+        return {data: withTotal ? {list, total: USERS.length} : {list}};
+    }, delay);
+    // 记录同时进行中的请求数
+    const adapter = jest.fn(config => {
+        state.maxInflight = Math.max(state.maxInflight, ++state.inflight);
+        const done = () => state.inflight--;
+        const response = pageAdapter(config);
+        response.then(done, done);
+        return response;
+    });
+    const {dcFetch, tips} = createDcFetch(null, adapter);
+    return {dcFetch, tips, adapter, state};
+}
+
+const pageNums = adapter => adapter.mock.calls.map(([config]) => config.params.pageNum);
+
+// 依次调用next直到结束，返回每次的value
+function drain(iterator, values = []) {
+    return iterator.next().then(({done, value}) => (done ? values : drain(iterator, values.concat([value]))));
+}
+
+describe('paginate', () => {
+    test('pages() requests page by page until the total is reached', () => {
+        const {dcFetch, adapter} = createPageFetch();
+
+        return drain(dcFetch.paginate('/users', {pageSize: 10}).pages()).then(pages => {
+            expect(pages.map(page => page.pageNum)).toEqual([1, 2, 3]);
+            expect(pages.map(page => page.items.length)).toEqual([10, 10, 5]);
+            expect(pages[0].data.total).toBe(25);
+            expect(pageNums(adapter)).toEqual([1, 2, 3]);
+        });
+    });
+
+    test('items() yields every item and stops at a short page without total', () => {
+        const {dcFetch, adapter} = createPageFetch({withTotal: false});
+
+        return drain(dcFetch.paginate('/users', null, {pageSize: 10}).items()).then(users => {
+            expect(users).toEqual(USERS);
+            expect(adapter).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    test('fetchAll without concurrency requests pages one after another', () => {
+        const {dcFetch, adapter, state} = createPageFetch();
+
+        return dcFetch.paginate('/users', {pageSize: 10}).fetchAll().then(users => {
+            expect(users).toEqual(USERS);
+            expect(pageNums(adapter)).toEqual([1, 2, 3]);
+            expect(state.maxInflight).toBe(1);
+        });
+    });
+
+    test('fetchAll with concurrency requests the remaining pages in parallel and keeps the order', () => {
+        const {dcFetch, adapter, state} = createPageFetch();
+
+        return dcFetch.paginate('/users', {pageSize: 5}).fetchAll({concurrency: 2}).then(users => {
+            expect(users).toEqual(USERS);
+            expect(pageNums(adapter)).toEqual([1, 2, 3, 4, 5]);
+            expect(state.maxInflight).toBe(2);
+        });
+    });
+
+    test('getNextParams drives cursor pagination', () => {
+        const {dcFetch, adapter} = createDcFetch(null, createAdapter(({params}) => {
+            const cursor = Number(params.cursor || 0);
+            return {data: {records: USERS.slice(cursor, cursor + 10), nextCursor: cursor + 10 < USERS.length ? cursor + 10 : null}};
+        }));
+        const getNextParams = jest.fn((data, params) => (data.nextCursor ? {...params, cursor: data.nextCursor} : null));
+
+        return dcFetch.paginate('/logs', {size: 10}, {getItems: data => data.records, getNextParams}).fetchAll({concurrency: 3}).then(users => {
+            expect(users).toEqual(USERS);
+            expect(adapter.mock.calls.map(([config]) => config.params.cursor)).toEqual([undefined, 10, 20]);
+            expect(getNextParams).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    test('cancel aborts the in-flight page and ends the iterators', () => {
+        const {dcFetch, adapter} = createPageFetch({delay: 20});
+        const paginator = dcFetch.paginate('/users', {pageSize: 10});
+        const pages = paginator.pages();
+        const next = pages.next();
+
+        return wait(5).then(() => {
+            const [request] = paginator.active;
+            paginator.cancel();
+            expect(request.status).toBe('canceled');
+            expect(paginator.active).toEqual([]);
+            return next;
+        }).then(result => {
+            expect(result.done).toBe(true);
+            return pages.next();
+        }).then(result => {
+            expect(result.done).toBe(true);
+            expect(adapter).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    test('failed pages reject and are removed from the active requests', () => {
+        const {dcFetch, tips} = createPageFetch({failPage: 2});
+        const paginator = dcFetch.paginate('/users', {pageSize: 10});
+
+        return rejection(paginator.fetchAll()).then(err => {
+            expect(err.status).toBe(500);
+            expect(paginator.active).toEqual([]);
+            expect(tips.error).toEqual(['获取数据失败！']);
+        });
+    });
+});
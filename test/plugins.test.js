@@ -0,0 +1,100 @@
+import {NetworkError} from '../src/errors';
+import {createAdapter, createDcFetch, flush, rejection} from './helpers';
+
+function createPluginFetch() {
+    // /down 返回网络错误
+    return createDcFetch({}, createAdapter(config => (config.url === '/down' ? {status: 0} : {data: {url: config.url}}), 5));
+}
+
+describe('plugins', () => {
+    test('hooks run in order and onRequest can change the request', () => {
+        const {dcFetch} = createPluginFetch();
+        const calls = [];
+        dcFetch.use({
+            name: 'rewrite',
+            onRequest: ctx => {
+                calls.push('rewrite.onRequest');
+                return {url: `/v2${ctx.url}`};
+            },
+            onResponse: () => calls.push('rewrite.onResponse') && undefined,
+        });
+        dcFetch.use({
+            name: 'logger',
+            onRequest: ctx => calls.push(`logger.onRequest ${ctx.url}`) && undefined,
+            onResponse: response => ({...response, data: {...response.data, logged: true}}),
+        });
+
+        return dcFetch.get('/users').then(data => {
+            expect(data).toEqual({url: '/v2/users', logged: true});
+            expect(calls).toEqual(['rewrite.onRequest', 'logger.onRequest /v2/users', 'rewrite.onResponse']);
+        });
+    });
+
+    test('onCancel runs once for pending requests', () => {
+        const {dcFetch} = createPluginFetch();
+        const onCancel = jest.fn();
+        dcFetch.use({name: 'cancel', onCancel});
+
+        const request = dcFetch.get('/users');
+        request.cancel();
+        request.cancel();
+        return flush().then(() => {
+            expect(onCancel).toHaveBeenCalledTimes(1);
+            expect(onCancel.mock.calls[0][0].url).toBe('/users');
+        });
+    });
+
+    test('onCancel does not run for settled requests', () => {
+        const {dcFetch} = createPluginFetch();
+        const onCancel = jest.fn();
+        dcFetch.use({name: 'cancel', onCancel});
+
+        const request = dcFetch.get('/users');
+        return flush().then(() => {
+            expect(request.status).toBe('fulfilled');
+            request.then(() => null).cancel();
+            return flush();
+        }).then(() => {
+            expect(onCancel).not.toHaveBeenCalled();
+        });
+    });
+
+    test('a throwing onCancel does not stop other plugins', () => {
+        const {dcFetch} = createPluginFetch();
+        const onCancel = jest.fn();
+        dcFetch.use({name: 'broken', onCancel: () => { throw new Error('broken'); }});
+        dcFetch.use({name: 'rejected', onCancel: () => Promise.reject(new Error('rejected'))});
+        dcFetch.use({name: 'cancel', onCancel});
+
+        const request = dcFetch.get('/users');
+        expect(() => request.cancel()).not.toThrow();
+        return flush().then(() => {
+            expect(onCancel).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    test('a throwing onError keeps the original error and runs later plugins', () => {
+        const {dcFetch, tips} = createPluginFetch();
+        const onError = jest.fn();
+        dcFetch.use({name: 'broken', onError: () => { throw new Error('plugin bug'); }});
+        dcFetch.use({name: 'rejected', onError: () => Promise.reject(new Error('plugin bug'))});
+        dcFetch.use({name: 'reporter', onError});
+
+        return rejection(dcFetch.get('/down')).then(err => {
+            expect(err).toBeInstanceOf(NetworkError);
+            expect(onError).toHaveBeenCalledTimes(1);
+            expect(onError.mock.calls[0][0]).toBe(err);
+            expect(tips.error).toEqual(['获取数据失败！']);
+        });
+    });
+
+    test('skipPlugins skips plugins by name', () => {
+        const {dcFetch} = createPluginFetch();
+        const onRequest = jest.fn();
+        dcFetch.use({name: 'logger', onRequest});
+
+        return dcFetch.get('/health', null, {skipPlugins: ['logger']}).then(() => {
+            expect(onRequest).not.toHaveBeenCalled();
+        });
+    });
+});
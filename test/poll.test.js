@@ -0,0 +1,73 @@
+import {DcFetchError} from '../src/errors';
+import {createAdapter, createDcFetch, flush, rejection} from './helpers';
+
+// 依次返回statuses中的任务状态
+function createPolling(statuses) {
+    return createDcFetch({}, createAdapter(() => ({
+        data: {status: statuses.length > 1 ? statuses.shift() : statuses[0]},
+    }), 0));
+}
+
+describe('poll', () => {
+    test('resolves when until is satisfied', () => {
+        const {dcFetch, adapter} = createPolling(['pending', 'running', 'done']);
+        const ticks = [];
+
+        return dcFetch.poll('/tasks/1', null, {
+            interval: 1,
+            until: data => data.status === 'done',
+            onTick: (data, attempt) => ticks.push(`${attempt}:${data.status}`),
+        }).then(data => {
+            expect(data).toEqual({status: 'done'});
+            expect(adapter).toHaveBeenCalledTimes(3);
+            expect(ticks).toEqual(['1:pending', '2:running', '3:done']);
+        });
+    });
+
+    test('maxAttempts rejects with ERR_POLL_TIMEOUT and shows the error tip', () => {
+        const {dcFetch, adapter, tips} = createPolling(['pending']);
+
+        return rejection(dcFetch.poll('/tasks/1', null, {
+            interval: 1,
+            maxAttempts: 3,
+            until: data => data.status === 'done',
+            errorTip: '导出超时',
+        })).then(err => {
+            expect(err).toBeInstanceOf(DcFetchError);
+            expect(err.code).toBe('ERR_POLL_TIMEOUT');
+            expect(adapter).toHaveBeenCalledTimes(3);
+            expect(tips.error).toEqual(['导出超时']);
+        });
+    });
+
+    test('backoff increases the interval up to maxInterval', () => {
+        const {dcFetch} = createPolling(['pending', 'pending', 'pending', 'done']);
+        const backoff = jest.fn((attempt, interval) => Math.min(5, interval * attempt));
+
+        return dcFetch.poll('/tasks/1', null, {
+            interval: 2,
+            backoff,
+            until: data => data.status === 'done',
+        }).then(() => {
+            expect(backoff.mock.calls).toEqual([[1, 2], [2, 2], [3, 2]]);
+        });
+    });
+
+    test('cancel stops polling', () => {
+        const {dcFetch, adapter} = createPolling(['pending']);
+        const callback = jest.fn();
+        const polling = dcFetch.poll('/tasks/1', null, {interval: 5});
+        polling.then(callback, callback);
+
+        return flush(30).then(() => {
+            polling.cancel();
+            const count = adapter.mock.calls.length;
+            expect(count).toBeGreaterThan(0);
+            return flush(30).then(() => {
+                expect(adapter).toHaveBeenCalledTimes(count);
+                expect(callback).not.toHaveBeenCalled();
+                expect(polling.status).toBe('canceled');
+            });
+        });
+    });
+});
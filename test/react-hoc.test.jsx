@@ -0,0 +1,138 @@
+import React from 'react';
+import TestRenderer from 'react-test-renderer';
+import createDcFetchHoc from '../src/react-hoc';
+import DcFetchContext from '../src/react-context';
+import {createAdapter, createDcFetch, flush} from './helpers';
+
+describe('createDcFetchHoc', () => {
+    test('injects a client with the dcFetch request methods', () => {
+        const {dcFetch} = createDcFetch();
+        let injected;
+        const Page = props => {
+            injected = props;
+            return null;
+        };
+        const Wrapped = createDcFetchHoc(dcFetch)()(Page);
+        TestRenderer.create(<Wrapped title="用户"/>);
+
+        expect(injected.title).toBe('用户');
+        return injected.dcFetch.get('/users/1').then(data => {
+            expect(data.name).toBe('张三');
+        });
+    });
+
+    test('propName changes the injected prop', () => {
+        const dcFetch = createDcFetchHoc(createDcFetch().dcFetch);
+        let injected;
+        const Page = props => {
+            injected = props;
+            return null;
+        };
+        const Wrapped = dcFetch({propName: 'userFetch'})(Page);
+        TestRenderer.create(<Wrapped/>);
+
+        expect(injected.userFetch).toBeDefined();
+        expect(injected.dcFetch).toBeUndefined();
+    });
+
+    test('uses the dcFetch from DcFetchContext when server rendering', () => {
+        const {dcFetch} = createDcFetch();
+        const pageFetch = dcFetch.fork({cookies: {sid: '1'}, baseURL: 'http://127.0.0.1:8080'});
+        const names = [];
+        class Page extends React.Component {
+            constructor(props) {
+                super(props);
+                props.dcFetch.get('/users/1').then(user => names.push(user.name));
+            }
+
+            render() {
+                return null;
+            }
+        }
+        const Wrapped = createDcFetchHoc(dcFetch)()(Page);
+        TestRenderer.create(
+            <DcFetchContext.Provider value={pageFetch}>
+                <Wrapped/>
+            </DcFetchContext.Provider>
+        );
+
+        expect(pageFetch.ssr.pending).toEqual([{method: 'get', url: '/users/1'}]);
+        return pageFetch.ssr.settled().then(state => {
+            expect(names).toEqual(['张三']);
+            expect(Object.keys(state)).toEqual(['get /users/1']);
+        });
+    });
+
+    test('cancels pending requests on unmount', () => {
+        const callback = jest.fn();
+        let request;
+        class Page extends React.Component {
+            componentDidMount() {
+                request = this.props.dcFetch.get('/users/1');
+                request.then(callback, callback);
+            }
+
+            render() {
+                return null;
+            }
+        }
+        const Wrapped = createDcFetchHoc(createDcFetch().dcFetch)()(Page);
+        const renderer = TestRenderer.create(<Wrapped/>);
+        renderer.unmount();
+
+        return flush().then(() => {
+            expect(callback).not.toHaveBeenCalled();
+            expect(request.status).toBe('canceled');
+        });
+    });
+
+    test('injects defineApi apis bound to the tracked client', () => {
+        const {dcFetch} = createDcFetch();
+        const userApi = dcFetch.defineApi({getUser: 'GET /users/:id'});
+        const callback = jest.fn();
+        let injected;
+        const Page = props => {
+            injected = props;
+            return null;
+        };
+        const Wrapped = createDcFetchHoc(dcFetch)({apis: {userApi}})(Page);
+        const renderer = TestRenderer.create(<Wrapped/>);
+
+        // 卸载会cancel整个请求链，这里先转换为普通的Promise
+        return new Promise(resolve => injected.userApi.getUser(1).then(resolve)).then(data => {
+            expect(data).toEqual({id: 1, name: '张三'});
+            injected.userApi.getUser(1).then(callback);
+            renderer.unmount();
+            return flush();
+        }).then(() => {
+            expect(callback).not.toHaveBeenCalled();
+        });
+    });
+
+    test('service injects the registered service and binds apis to it', () => {
+        const {dcFetch} = createDcFetch();
+        const orderAdapter = createAdapter(config => ({data: {url: `${config.baseURL}${config.url}`}}));
+        dcFetch.registerService('order', {baseURL: '/order-api', adapter: orderAdapter});
+        const orderApi = dcFetch.defineApi({getOrder: 'GET /orders/:id'});
+        let injected;
+        const Page = props => {
+            injected = props;
+            return null;
+        };
+        const Wrapped = createDcFetchHoc(dcFetch)({propName: 'orderFetch', service: 'order', apis: {orderApi}})(Page);
+        TestRenderer.create(<Wrapped/>);
+
+        return Promise.all([injected.orderFetch.get('/orders'), injected.orderApi.getOrder(7)]).then(results => {
+            expect(results).toEqual([{url: '/order-api/orders'}, {url: '/order-api/orders/7'}]);
+            expect(orderAdapter).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    test('an unknown service throws when the component is created', () => {
+        const Wrapped = createDcFetchHoc(createDcFetch().dcFetch)({service: 'report'})(() => null);
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(() => TestRenderer.create(<Wrapped/>)).toThrow('Service "report" is not registered');
+        error.mockRestore();
+    });
+});
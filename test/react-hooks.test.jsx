@@ -0,0 +1,64 @@
+import React from 'react';
+import TestRenderer from 'react-test-renderer';
+import {useRequest} from '../src/react-hooks';
+import {createDcFetch, wait} from './helpers';
+
+const {act} = TestRenderer;
+// 等待回放adapter，请求结束之后的setState在act中执行；act返回的thenable不能链式调用
+const flush = () => new Promise(resolve => act(() => wait(20)).then(resolve)).then(() => wait(0));
+
+describe('useRequest', () => {
+    test('runs on mount and again when deps change', () => {
+        const {dcFetch} = createDcFetch();
+        const fn = jest.fn(keyword => dcFetch.get('/users/suggest', {keyword}));
+        let result;
+        const Suggest = ({keyword}) => {
+            result = useRequest(() => fn(keyword), [keyword]);
+            return null;
+        };
+
+        let renderer;
+        act(() => {
+            renderer = TestRenderer.create(<Suggest keyword="张"/>);
+        });
+        expect(result.loading).toBe(true);
+
+        return flush().then(() => {
+            expect(result.data).toEqual(['张三', '张伟']);
+            expect(result.loading).toBe(false);
+
+            act(() => renderer.update(<Suggest keyword="张"/>));
+            expect(fn).toHaveBeenCalledTimes(1);
+            act(() => renderer.update(<Suggest keyword="张三"/>));
+            expect(fn).toHaveBeenCalledTimes(2);
+            return flush();
+        }).then(() => {
+            expect(result.data).toEqual(['张三']);
+            act(() => renderer.unmount());
+        });
+    });
+
+    test('manual requests only run when called', () => {
+        const {dcFetch} = createDcFetch();
+        const fn = jest.fn(keyword => dcFetch.get('/users/suggest', {keyword}));
+        let result;
+        const Suggest = () => {
+            result = useRequest(fn, [], {manual: true});
+            return null;
+        };
+
+        act(() => {
+            TestRenderer.create(<Suggest/>);
+        });
+        expect(fn).not.toHaveBeenCalled();
+        expect(result.loading).toBe(false);
+
+        act(() => {
+            result.run('张三');
+        });
+        return flush().then(() => {
+            expect(fn).toHaveBeenCalledWith('张三');
+            expect(result.data).toEqual(['张三']);
+        });
+    });
+});
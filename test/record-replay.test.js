@@ -0,0 +1,147 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import DcFetch from '../src/dc-fetch';
+import {createReplayAdapter} from '../src/record-replay';
+import {loadHar, saveHar} from '../src/har-file';
+import fixture from './fixtures/users.har.json';
+import {rejection} from './helpers';
+
+describe('record', () => {
+    test('records requests and responses made through instance', () => {
+        const dcFetch = new DcFetch();
+        const original = config => Promise.resolve({
+            data: JSON.stringify({id: 1, query: config.params}),
+            status: 200,
+            statusText: 'OK',
+            headers: {'content-type': 'application/json'},
+            config,
+        });
+        dcFetch.defaults.adapter = original;
+        const recorder = dcFetch.record();
+
+        return dcFetch.get('/users/1', {fields: 'name'}).then(() => {
+            recorder.stop();
+            expect(dcFetch.defaults.adapter).toBe(original);
+
+            const [entry] = recorder.toHar().log.entries;
+            expect(entry.request.method).toBe('GET');
+            expect(entry.request.url).toBe('/users/1?fields=name');
+            expect(entry.request.queryString).toEqual([{name: 'fields', value: 'name'}]);
+            expect(entry.response.status).toBe(200);
+            expect(JSON.parse(entry.response.content.text)).toEqual({id: 1, query: {fields: 'name'}});
+        });
+    });
+
+    test('sensitive headers are redacted unless configured otherwise', () => {
+        const adapter = config => Promise.resolve({
+            data: '{}', status: 200, statusText: 'OK', headers: {'set-cookie': 'sid=1', 'x-trace': 't1'}, config,
+        });
+        const headersOf = list => list.reduce((result, {name, value}) => ({...result, [name]: value}), {});
+        const record = options => {
+            const dcFetch = new DcFetch();
+            dcFetch.defaults.adapter = adapter;
+            const recorder = dcFetch.record(options);
+            return dcFetch.get('/users/1', null, {headers: {Authorization: 'Bearer t', Cookie: 'sid=1', 'X-Api-Key': 'k'}})
+                .then(() => recorder.toHar().log.entries[0]);
+        };
+
+        return Promise.all([record(), record({redactHeaders: ['x-api-key']}), record({redactHeaders: false})]).then(([byDefault, custom, none]) => {
+            expect(headersOf(byDefault.request.headers)).toMatchObject({Authorization: '[REDACTED]', Cookie: '[REDACTED]', 'X-Api-Key': 'k'});
+            expect(headersOf(byDefault.response.headers)).toEqual({'set-cookie': '[REDACTED]', 'x-trace': 't1'});
+            expect(headersOf(custom.request.headers)).toMatchObject({Authorization: 'Bearer t', Cookie: 'sid=1', 'X-Api-Key': '[REDACTED]'});
+            expect(headersOf(none.request.headers)).toMatchObject({Authorization: 'Bearer t', 'X-Api-Key': 'k'});
+            expect(headersOf(none.response.headers)['set-cookie']).toBe('sid=1');
+        });
+    });
+
+    test('recordings are saved to and loaded from fixture files', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.defaults.adapter = config => Promise.resolve({
+            data: '{"id":1}', status: 200, statusText: 'OK', headers: {}, config,
+        });
+        const recorder = dcFetch.record();
+        const file = path.join(os.tmpdir(), `dc-fetch-${process.pid}`, 'users.har.json');
+
+        return dcFetch.get('/users/1').then(() => {
+            saveHar(recorder, file);
+            const replaying = new DcFetch();
+            replaying.replay(loadHar(file));
+            return replaying.get('/users/1');
+        }).then(data => {
+            expect(data).toEqual({id: 1});
+            fs.unlinkSync(file);
+            fs.rmdirSync(path.dirname(file));
+        });
+    });
+
+    test('recorded traffic can be replayed', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.defaults.adapter = config => Promise.resolve({
+            data: '{"id":3}', status: 201, statusText: 'Created', headers: {}, config,
+        });
+        const recorder = dcFetch.record();
+
+        return dcFetch.post('/users', {name: '王五'}).then(() => {
+            const replaying = new DcFetch();
+            replaying.replay(recorder.toHar());
+            return replaying.post('/users', {name: '王五'});
+        }).then(data => {
+            expect(data).toEqual({id: 3});
+        });
+    });
+});
+
+describe('replay', () => {
+    test('rejects with 404 when nothing matches', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.replay(fixture);
+        return rejection(dcFetch.get('/users', {pageNum: 2, pageSize: 10})).then(err => {
+            expect(err.status).toBe(404);
+            expect(err.message).toMatch('No recorded response for GET /users?pageNum=2&pageSize=10');
+        });
+    });
+
+    test('ignoreParams skips volatile query params', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.replay(fixture, {ignoreParams: ['_t']});
+        return dcFetch.get('/users/1', {_t: Date.now()}).then(data => {
+            expect(data.name).toBe('张三');
+        });
+    });
+
+    test('match fields decide which parts are compared', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.replay(fixture, {match: ['method', 'path']});
+        return dcFetch.post('/users', {name: '赵六'}).then(data => {
+            expect(data.id).toBe(3);
+        });
+    });
+
+    test('repeated entries replay in order and then stick to the last one', () => {
+        const entry = status => ({
+            request: {method: 'GET', url: '/tasks/1'},
+            response: {status: 200, headers: [], content: {text: JSON.stringify({status})}},
+        });
+        const dcFetch = new DcFetch();
+        dcFetch.replay([entry('running'), entry('done')]);
+        const next = () => dcFetch.get('/tasks/1').then(data => data.status);
+        const results = [];
+        return next().then(status => results.push(status))
+            .then(next).then(status => results.push(status))
+            .then(next).then(status => results.push(status))
+            .then(() => {
+                expect(results).toEqual(['running', 'done', 'done']);
+            });
+    });
+
+    test('falls back to another adapter', () => {
+        const fallbackAdapter = jest.fn(config => Promise.resolve({data: 'fallback', status: 200, headers: {}, config}));
+        const dcFetch = new DcFetch();
+        dcFetch.defaults.adapter = createReplayAdapter(fixture, {fallbackAdapter});
+        return dcFetch.get('/not-recorded').then(data => {
+            expect(data).toBe('fallback');
+            expect(fallbackAdapter).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+import RequestQueue, {getHost} from '../src/request-queue';
+import {createDcFetch, flush, respond} from './helpers';
+
+// 请求不会自动返回，调用finish(url)时才成功
+function createQueueFetch(options) {
+    const waiting = [];
+    const adapter = jest.fn(config => new Promise(resolve => waiting.push({config, resolve})));
+    const finish = url => {
+        const index = waiting.findIndex(item => item.config.url.indexOf(url) > -1);
+        const [{config, resolve}] = waiting.splice(index, 1);
+        resolve(respond(config, {data: {url}}));
+        return flush();
+    };
+    const {dcFetch} = createDcFetch(options, adapter);
+    const sent = () => adapter.mock.calls.map(([config]) => config.url);
+    return {dcFetch, adapter, finish, sent};
+}
+
+describe('request queue', () => {
+    test('maxConcurrent queues the extra requests until one finishes', () => {
+        const {dcFetch, finish, sent} = createQueueFetch({maxConcurrent: 2});
+        const last = dcFetch.get('/c');
+        dcFetch.get('/a');
+        dcFetch.get('/b');
+
+        return flush().then(() => {
+            expect(sent()).toEqual(['/c', '/a']);
+            expect(dcFetch.queue.active.map(item => item.url)).toEqual(['/c', '/a']);
+            expect(dcFetch.queue.pending.map(item => item.url)).toEqual(['/b']);
+            return finish('/c');
+        }).then(() => {
+            expect(sent()).toEqual(['/c', '/a', '/b']);
+            expect(dcFetch.queue.pending).toEqual([]);
+            return last;
+        }).then(data => {
+            expect(data).toEqual({url: '/c'});
+        });
+    });
+
+    test('pending is filled asynchronously after the request is created', () => {
+        const {dcFetch} = createQueueFetch({maxConcurrent: 1});
+        dcFetch.get('/a');
+        dcFetch.get('/b');
+
+        expect(dcFetch.queue.pending).toEqual([]);
+        return flush().then(() => {
+            const [entry] = dcFetch.queue.pending;
+            expect(entry).toMatchObject({method: 'get', url: '/b', host: '', priority: 0});
+            expect(typeof entry.id).toBe('number');
+            expect(entry.task).toBeUndefined();
+        });
+    });
+
+    test('higher priority requests are sent first and equal priorities keep their order', () => {
+        const {dcFetch, finish, sent} = createQueueFetch({maxConcurrent: 1});
+        dcFetch.get('/first');
+
+        return flush().then(() => {
+            dcFetch.get('/low-1');
+            dcFetch.get('/low-2');
+            dcFetch.post('/high', {}, {priority: 10});
+            dcFetch.get('/mid', null, {priority: 5});
+            return flush();
+        }).then(() => {
+            expect(dcFetch.queue.pending.map(item => item.url)).toEqual(['/high', '/mid', '/low-1', '/low-2']);
+            return ['/first', '/high', '/mid', '/low-1'].reduce((previous, url) => previous.then(() => finish(url)), Promise.resolve());
+        }).then(() => {
+            expect(sent()).toEqual(['/first', '/high', '/mid', '/low-1', '/low-2']);
+        });
+    });
+
+    test('per host limits only hold back requests to the full host', () => {
+        const {dcFetch, sent} = createQueueFetch({maxConcurrentPerHost: {'static.example.com': 1}});
+        dcFetch.get('https://static.example.com/a.json');
+        dcFetch.get('https://static.example.com/b.json');
+        dcFetch.get('/api/users');
+        dcFetch.get('https://other.example.com/c.json');
+
+        return flush().then(() => {
+            expect(sent()).toEqual(['https://static.example.com/a.json', '/api/users', 'https://other.example.com/c.json']);
+            expect(dcFetch.queue.pending.map(item => item.host)).toEqual(['static.example.com']);
+        });
+    });
+
+    test('cancelling a queued request removes it without sending', () => {
+        const {dcFetch, adapter, finish, sent} = createQueueFetch({maxConcurrent: 1});
+        dcFetch.get('/a');
+        const queued = dcFetch.get('/b');
+        const callback = jest.fn();
+        queued.then(callback, callback);
+
+        return flush().then(() => {
+            queued.cancel();
+            expect(dcFetch.queue.pending).toEqual([]);
+            return finish('/a');
+        }).then(() => {
+            expect(sent()).toEqual(['/a']);
+            expect(adapter).toHaveBeenCalledTimes(1);
+            expect(callback).not.toHaveBeenCalled();
+            expect(dcFetch.queue.active).toEqual([]);
+        });
+    });
+
+    test('failed tasks free their slot', () => {
+        const queue = new RequestQueue({maxConcurrent: 1});
+        const first = queue.schedule(() => Promise.reject(new Error('down')), {url: '/a'});
+        const second = queue.schedule(() => 'ok', {url: '/b'});
+
+        expect(queue.pending.map(item => item.url)).toEqual(['/b']);
+        return first.promise.catch(err => {
+            expect(err.message).toBe('down');
+            return second.promise;
+        }).then(result => {
+            expect(result).toBe('ok');
+            expect(queue.active).toEqual([]);
+        });
+    });
+
+    test('getHost uses the url or the baseURL', () => {
+        expect(getHost('https://a.example.com:8080/x')).toBe('a.example.com:8080');
+        expect(getHost('//cdn.example.com/x', 'https://a.example.com')).toBe('cdn.example.com');
+        expect(getHost('/users', 'https://api.example.com/v1')).toBe('api.example.com');
+        expect(getHost('/users')).toBe('');
+    });
+});
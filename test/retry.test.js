@@ -0,0 +1,106 @@
+import {HttpError, NetworkError} from '../src/errors';
+import {defaultRetryOn, getRetryAfter, getRetryDelay} from '../src/retry';
+import {createAdapter, createDcFetch, flush, rejection, wait} from './helpers';
+
+// 按顺序返回statuses中的状态码，0表示网络错误，用完之后返回200
+function createRetrying(statuses, options = {}) {
+    const adapter = createAdapter(() => {
+        const status = statuses.length ? statuses.shift() : 200;
+        return {status, data: {status}};
+    });
+    return createDcFetch({retryDelay: () => 1, ...options}, adapter);
+}
+
+describe('retry', () => {
+    test('retries until success without showing tips', () => {
+        const {dcFetch, adapter, tips} = createRetrying([503, 0], {retry: 2});
+        return dcFetch.get('/users').then(data => {
+            expect(data).toEqual({status: 200});
+            expect(adapter).toHaveBeenCalledTimes(3);
+            expect(adapter.mock.calls.map(([config]) => config.retryCount)).toEqual([0, 1, 2]);
+            expect(tips.error).toEqual([]);
+        });
+    });
+
+    test('rejects after the last attempt and shows the tip once', () => {
+        const {dcFetch, adapter, tips} = createRetrying([0, 0, 0, 0], {retry: 2});
+        return rejection(dcFetch.get('/users')).then(err => {
+            expect(err).toBeInstanceOf(NetworkError);
+            expect(adapter).toHaveBeenCalledTimes(3);
+            expect(tips.error).toEqual(['获取数据失败！']);
+        });
+    });
+
+    test('options.retry overrides the instance default', () => {
+        const {dcFetch, adapter} = createRetrying([500, 500, 500], {retry: 2});
+        return rejection(dcFetch.get('/users', null, {retry: 0})).then(err => {
+            expect(err).toBeInstanceOf(HttpError);
+            expect(adapter).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    test('non-idempotent requests and client errors are not retried', () => {
+        const {dcFetch, adapter, tips} = createRetrying([503, 404], {retry: 3});
+        return rejection(dcFetch.post('/users', {name: '王五'}))
+            .then(() => rejection(dcFetch.get('/users/404')))
+            .then(err => {
+                expect(err.status).toBe(404);
+                expect(adapter).toHaveBeenCalledTimes(2);
+                expect(tips.error).toEqual(['操作失败！', '获取数据失败！']);
+            });
+    });
+
+    test('cancel stops a pending retry', () => {
+        const {dcFetch, adapter, tips} = createRetrying([503, 503], {retry: 2, retryDelay: () => 50});
+        const callback = jest.fn();
+        const request = dcFetch.get('/users');
+        request.then(callback, callback);
+
+        return wait(20).then(() => {
+            expect(adapter).toHaveBeenCalledTimes(1);
+            request.cancel();
+            return flush(80);
+        }).then(() => {
+            expect(adapter).toHaveBeenCalledTimes(1);
+            expect(callback).not.toHaveBeenCalled();
+            expect(request.status).toBe('canceled');
+            expect(tips.error).toEqual([]);
+        });
+    });
+
+    test('custom retryOn receives the attempt number', () => {
+        const retryOn = jest.fn((err, attempt) => attempt < 2);
+        const {dcFetch, adapter} = createRetrying([0, 0, 0], {retry: 5, retryOn});
+        return rejection(dcFetch.post('/users')).then(() => {
+            expect(adapter).toHaveBeenCalledTimes(2);
+            expect(retryOn.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+        });
+    });
+});
+
+describe('retry strategy', () => {
+    test('defaultRetryOn only retries idempotent methods on transient errors', () => {
+        expect(defaultRetryOn(new Error('Network Error'), 1, {method: 'get'})).toBe(true);
+        expect(defaultRetryOn({response: {status: 429}}, 1, {method: 'PUT'})).toBe(true);
+        expect(defaultRetryOn({response: {status: 400}}, 1, {method: 'get'})).toBe(false);
+        expect(defaultRetryOn(new Error('Network Error'), 1, {method: 'post'})).toBe(false);
+    });
+
+    test('Retry-After is used for 429 and 503', () => {
+        expect(getRetryAfter({response: {status: 429, headers: {'retry-after': '2'}}})).toBe(2000);
+        expect(getRetryAfter({response: {status: 500, headers: {'retry-after': '2'}}})).toBeNull();
+        expect(getRetryDelay(100, 1, {response: {status: 503, headers: {'retry-after': '1'}}})).toBe(1000);
+        expect(getRetryDelay(100, 1, {response: {status: 503, headers: {'retry-after': '3600'}}})).toBe(30000);
+    });
+
+    test('delay grows exponentially with jitter and is capped', () => {
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            const delay = getRetryDelay(100, attempt);
+            const exponential = 100 * Math.pow(2, attempt - 1);
+            expect(delay).toBeGreaterThanOrEqual(exponential / 2);
+            expect(delay).toBeLessThanOrEqual(exponential);
+        }
+        expect(getRetryDelay(1000, 20)).toBeLessThanOrEqual(30000);
+        expect(getRetryDelay(attempt => attempt * 10, 3)).toBe(30);
+    });
+});
@@ -0,0 +1,147 @@
+import {ValidationError} from '../src/errors';
+import {getDefaultSchemaMode, parseDates, validateSchema, withDefaults} from '../src/schema';
+import {createAdapter, createDcFetch, rejection} from './helpers';
+
+const USER_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+        id: {type: 'integer', minimum: 1},
+        name: {type: 'string', minLength: 1, maxLength: 4},
+        role: {enum: ['admin', 'user']},
+        email: {type: 'string', pattern: '^\\S+@\\S+$', nullable: true},
+        tags: {type: 'array', items: {type: 'string'}},
+    },
+    additionalProperties: false,
+};
+
+// 返回固定的用户数据
+function createUserFetch(user, options) {
+    return createDcFetch(options, createAdapter(() => ({data: user})));
+}
+
+describe('validateSchema', () => {
+    test('valid data has no errors', () => {
+        expect(validateSchema(USER_SCHEMA, {id: 1, name: '张三', role: 'admin', email: null, tags: ['a']})).toEqual([]);
+    });
+
+    test('reports every failed keyword with its path', () => {
+        expect(validateSchema(USER_SCHEMA, {id: 1.5, name: '', role: 'guest', email: 'x', tags: ['a', 2], age: 1})).toEqual([
+            {path: '$.id', message: 'should be integer, got number'},
+            {path: '$.name', message: 'should have at least 1 characters'},
+            {path: '$.role', message: 'should be one of ["admin","user"]'},
+            {path: '$.email', message: 'should match ^\\S+@\\S+$'},
+            {path: '$.tags[1]', message: 'should be string, got number'},
+            {path: '$.age', message: 'is not allowed'},
+        ]);
+        expect(validateSchema(USER_SCHEMA, {id: 0, name: '欧阳小明'.repeat(2)})).toEqual([
+            {path: '$.id', message: 'should be >= 1'},
+            {path: '$.name', message: 'should have at most 4 characters'},
+        ]);
+        expect(validateSchema(USER_SCHEMA, {name: '张三'})).toEqual([{path: '$.id', message: 'is required'}]);
+        expect(validateSchema(USER_SCHEMA, [])).toEqual([{path: '$', message: 'should be object, got array'}]);
+    });
+
+    test('const, maximum, additionalProperties schemas, anyOf and oneOf', () => {
+        expect(validateSchema({const: 0}, 1)).toEqual([{path: '$', message: 'should be 0'}]);
+        expect(validateSchema({type: 'number', maximum: 10}, 11)).toEqual([{path: '$', message: 'should be <= 10'}]);
+        expect(validateSchema({type: 'object', additionalProperties: {type: 'number'}}, {a: 1, b: 'x'}))
+            .toEqual([{path: '$.b', message: 'should be number, got string'}]);
+        expect(validateSchema({anyOf: [{type: 'string'}, {type: 'number'}]}, true))
+            .toEqual([{path: '$', message: 'should match at least one schema in anyOf'}]);
+        expect(validateSchema({oneOf: [{type: 'number'}, {type: 'integer'}]}, 1))
+            .toEqual([{path: '$', message: 'should match exactly one schema in oneOf'}]);
+        expect(validateSchema({type: ['string', 'null']}, null)).toEqual([]);
+    });
+});
+
+describe('schema option', () => {
+    test('invalid responses reject with ValidationError and the error tip', () => {
+        const {dcFetch, tips} = createUserFetch({id: '1'});
+
+        return rejection(dcFetch.get('/users/1', null, {schema: USER_SCHEMA})).then(err => {
+            expect(err).toBeInstanceOf(ValidationError);
+            expect(err.code).toBe('ERR_VALIDATION');
+            expect(err.errors).toEqual([
+                {path: '$.name', message: 'is required'},
+                {path: '$.id', message: 'should be integer, got string'},
+            ]);
+            expect(err.data).toEqual({id: '1'});
+            expect(err.message).toBe('Response of GET /users/1 does not match schema: $.name is required; $.id should be integer, got string');
+            expect(tips.error).toEqual(['获取数据失败！']);
+        });
+    });
+
+    test('function validators return true, false or messages', () => {
+        const {dcFetch} = createUserFetch({list: null});
+        const request = schema => rejection(dcFetch.get('/users', null, {schema})).then(err => err.errors);
+
+        return Promise.all([
+            dcFetch.get('/users', null, {schema: () => true}),
+            request(() => false),
+            request(data => Array.isArray(data.list) || 'list should be array'),
+            request(() => ['a', 'b']),
+        ]).then(([data, invalid, message, messages]) => {
+            expect(data).toEqual({list: null});
+            expect(invalid).toEqual([{path: '$', message: 'is invalid'}]);
+            expect(message).toEqual([{path: '$', message: 'list should be array'}]);
+            expect(messages).toEqual([{path: '$', message: 'a'}, {path: '$', message: 'b'}]);
+        });
+    });
+
+    test('warn mode logs and resolves, off mode skips validation', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const {dcFetch} = createUserFetch({id: '1'}, {schemaMode: 'warn'});
+
+        return dcFetch.get('/users/1', null, {schema: USER_SCHEMA}).then(data => {
+            expect(data).toEqual({id: '1'});
+            expect(warn).toHaveBeenCalledTimes(1);
+            expect(warn.mock.calls[0][0]).toMatch('does not match schema');
+            return dcFetch.get('/users/1', null, {schema: USER_SCHEMA, schemaMode: 'off'});
+        }).then(() => {
+            expect(warn).toHaveBeenCalledTimes(1);
+            warn.mockRestore();
+        });
+    });
+
+    test('the default mode only warns in development', () => {
+        const env = process.env.NODE_ENV;
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        process.env.NODE_ENV = 'development';
+        const {dcFetch} = createUserFetch({id: '1'});
+        process.env.NODE_ENV = 'production';
+        expect(getDefaultSchemaMode()).toBe('reject');
+        process.env.NODE_ENV = env;
+
+        return dcFetch.get('/users/1', null, {schema: USER_SCHEMA}).then(data => {
+            expect(dcFetch.schemaMode).toBe('warn');
+            expect(data).toEqual({id: '1'});
+            expect(warn).toHaveBeenCalledTimes(1);
+            warn.mockRestore();
+        });
+    });
+
+    test('transform runs after validation in order', () => {
+        const {dcFetch} = createUserFetch({list: [{createdAt: '2020-01-01T00:00:00.000Z', profile: {}}], updatedAt: 'soon'});
+
+        return dcFetch.get('/users', null, {
+            schema: {type: 'object', required: ['list']},
+            transform: [
+                parseDates(['list[].createdAt', 'updatedAt', 'missing.at']),
+                withDefaults({total: 0, list: [], profile: {tags: []}}),
+                data => ({...data, count: data.list.length}),
+            ],
+        }).then(data => {
+            expect(data.list[0].createdAt).toEqual(new Date(Date.UTC(2020, 0, 1)));
+            expect(data.updatedAt).toBe('soon');
+            expect(data).toMatchObject({total: 0, profile: {tags: []}, count: 1});
+        });
+    });
+
+    test('withDefaults fills nested objects and keeps existing values', () => {
+        const fill = withDefaults({page: {size: 10, num: 1}, list: []});
+
+        expect(fill(null)).toEqual({page: {size: 10, num: 1}, list: []});
+        expect(fill({page: {size: 20, num: null}, list: [1]})).toEqual({page: {size: 20, num: 1}, list: [1]});
+    });
+});
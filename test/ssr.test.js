@@ -0,0 +1,192 @@
+import DcFetch from '../src/dc-fetch';
+import {createAdapter, createDcFetch} from './helpers';
+
+// 记录发送的axios配置，返回固定数据
+function createPageAdapter(data = {}) {
+    return createAdapter(() => ({data, headers: {'content-type': 'application/json', 'set-cookie': ['sid=1']}}), 5);
+}
+
+describe('fork', () => {
+    test('forwards cookies and headers and resolves baseURL against the origin', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.defaults.baseURL = '/api';
+        const adapter = createPageAdapter({id: 1});
+        dcFetch.defaults.adapter = adapter;
+
+        const child = dcFetch.fork({
+            headers: {'Host': 'www.example.com', 'Accept-Language': 'zh-CN', 'Content-Length': '0'},
+            cookies: {token: 'a b', empty: undefined},
+            baseURL: 'http://127.0.0.1:8080',
+        });
+
+        return child.get('/users/1').then(() => {
+            const config = adapter.mock.calls[0][0];
+            expect(config.baseURL).toBe('http://127.0.0.1:8080/api');
+            expect(config.headers.cookie).toBe('token=a%20b');
+            expect(config.headers['accept-language']).toBe('zh-CN');
+            expect(config.headers.host).toBeUndefined();
+            expect(config.headers['content-length']).toBeUndefined();
+            expect(config.withCredentials).toBe(false);
+
+            expect(dcFetch.defaults.baseURL).toBe('/api');
+            expect(dcFetch.defaults.headers.common.cookie).toBeUndefined();
+        });
+    });
+
+    test('children do not share singleGets, cache or defaults', () => {
+        const {dcFetch} = createDcFetch();
+        const first = dcFetch.fork({baseURL: 'http://127.0.0.1:8080'});
+        const second = dcFetch.fork({baseURL: 'http://127.0.0.1:8080'});
+        first.defaults.timeout = 1000;
+
+        return Promise.all([
+            first.singleGet('/users/suggest', {keyword: '张'}),
+            second.singleGet('/users/suggest', {keyword: '张三'}),
+        ]).then(([a, b]) => {
+            expect(a).toEqual(['张三', '张伟']);
+            expect(b).toEqual(['张三']);
+            expect(second.defaults.timeout).toBe(10000);
+            expect(first.cache).not.toBe(second.cache);
+        });
+    });
+
+    test('registered services are forked too', () => {
+        const dcFetch = new DcFetch();
+        const adapter = createPageAdapter([]);
+        dcFetch.registerService('order', {baseURL: '/order', adapter});
+        const child = dcFetch.fork({cookies: 'sid=1', baseURL: 'http://127.0.0.1:8080'});
+
+        return child.service('order').get('/orders').then(() => {
+            const config = adapter.mock.calls[0][0];
+            expect(config.baseURL).toBe('http://127.0.0.1:8080/order');
+            expect(config.headers.cookie).toBe('sid=1');
+            expect(child.service('order')).not.toBe(dcFetch.service('order'));
+        });
+    });
+
+    test('forked services only see forked services and do not leak to the parent', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.registerService('order', {baseURL: '/order'});
+        dcFetch.registerService('user', {baseURL: '/user'});
+        const child = dcFetch.fork({baseURL: 'http://127.0.0.1:8080'});
+
+        expect(child.service('order').service('user')).toBe(child.service('user'));
+        expect(child.service('user').defaults.baseURL).toBe('http://127.0.0.1:8080/user');
+        expect(child.service('order').ssr).toBe(child.ssr);
+
+        child.registerService('report');
+        expect(child.service('report').ssr).toBe(child.ssr);
+        expect(() => dcFetch.service('report')).toThrow('Service "report" is not registered');
+        expect(Object.keys(dcFetch.services)).toEqual(['order', 'user']);
+    });
+});
+
+describe('ssr.settled', () => {
+    test('waits for pending requests and requests started in callbacks', () => {
+        const {dcFetch} = createDcFetch();
+        const child = dcFetch.fork({baseURL: 'http://127.0.0.1:8080'});
+        const names = [];
+
+        child.get('/users', {pageNum: 1, pageSize: 10}).then(data => {
+            child.get(`/users/${data.list[0].id}`).then(user => names.push(user.name));
+        });
+        expect(child.ssr.pending).toEqual([{method: 'get', url: '/users'}]);
+
+        return child.ssr.settled().then(state => {
+            expect(names).toEqual(['张三']);
+            expect(child.ssr.pending).toEqual([]);
+            expect(Object.keys(state)).toEqual(['get /users?pageNum=1&pageSize=10', 'get /users/1']);
+            expect(state['get /users/1'].headers['set-cookie']).toBeUndefined();
+        });
+    });
+
+    test('canceled and failed requests do not block', () => {
+        const {dcFetch} = createDcFetch();
+        const child = dcFetch.fork({baseURL: 'http://127.0.0.1:8080'});
+
+        child.get('/users/1').cancel();
+        child.get('/users/404').catch(() => null);
+
+        return child.ssr.settled().then(state => {
+            expect(state).toEqual({});
+        });
+    });
+
+    test('requests whose tip callbacks throw do not block', () => {
+        const {dcFetch} = createDcFetch({
+            onShowSuccessTip: () => {
+                throw new Error('success tip failed');
+            },
+            onShowErrorTip: () => {
+                throw new Error('error tip failed');
+            },
+        });
+        const child = dcFetch.fork({baseURL: 'http://127.0.0.1:8080'});
+        const messages = [];
+        [child.get('/users/1'), child.get('/users/404')].forEach(request => request.catch(err => messages.push(err.message)));
+
+        return child.ssr.settled().then(state => {
+            expect(messages.sort()).toEqual(['error tip failed', 'success tip failed']);
+            expect(child.ssr.pending).toEqual([]);
+            expect(Object.keys(state)).toEqual(['get /users/1']);
+        });
+    });
+});
+
+describe('hydrate', () => {
+    function render() {
+        const {dcFetch} = createDcFetch();
+        const child = dcFetch.fork({baseURL: 'http://127.0.0.1:8080'});
+        child.get('/users/1');
+        return child.ssr.settled().then(() => child.ssr.serialize());
+    }
+
+    test('serialized state can be embedded in a script tag', () => {
+        const dcFetch = new DcFetch();
+        dcFetch.defaults.adapter = createPageAdapter({html: '</script><script>'});
+        const child = dcFetch.fork({baseURL: 'http://127.0.0.1:8080'});
+        child.get('/page');
+
+        return child.ssr.settled().then(() => {
+            const serialized = child.ssr.serialize();
+            expect(serialized).not.toMatch('</script>');
+            expect(JSON.parse(serialized)['get /page'].data).toEqual({html: '</script><script>'});
+        });
+    });
+
+    test('options.params produce the same key on the server and in the browser', () => {
+        const server = new DcFetch();
+        server.defaults.adapter = createPageAdapter({list: ['服务端']});
+        const child = server.fork({baseURL: 'http://127.0.0.1:8080'});
+        child.get('/users', {ignored: 1}, {params: {pageNum: 2}});
+
+        return child.ssr.settled().then(state => {
+            expect(Object.keys(state)).toEqual(['get /users?pageNum=2']);
+            const adapter = createPageAdapter({list: ['浏览器']});
+            const dcFetch = new DcFetch();
+            dcFetch.defaults.adapter = adapter;
+            dcFetch.hydrate(child.ssr.serialize());
+            return dcFetch.get('/users', {ignored: 1}, {params: {pageNum: 2}});
+        }).then(data => {
+            expect(data).toEqual({list: ['服务端']});
+        });
+    });
+
+    test('hydrated results are used once instead of sending the request', () => {
+        return render().then(serialized => {
+            const adapter = createPageAdapter({id: 1, name: '新数据'});
+            const dcFetch = new DcFetch();
+            dcFetch.defaults.adapter = adapter;
+            dcFetch.hydrate(serialized);
+
+            return dcFetch.get('/users/1').then(data => {
+                expect(data).toEqual({id: 1, name: '张三'});
+                expect(adapter).not.toHaveBeenCalled();
+                return dcFetch.get('/users/1');
+            }).then(data => {
+                expect(data.name).toBe('新数据');
+                expect(adapter).toHaveBeenCalledTimes(1);
+            });
+        });
+    });
+});
@@ -0,0 +1,287 @@
+import {TextDecoder, TextEncoder} from 'util';
+import DcFetch from '../src/dc-fetch';
+import {createSseParser} from '../src/stream';
+import {HttpError} from '../src/errors';
+import {createDcFetch, flush, rejection} from './helpers';
+const encoder = new TextEncoder();
+
+// 按顺序返回chunks的fetch响应，chunk为Error时读取中断
+function createResponse(chunks, {status = 200, interval = 1} = {}) {
+    const reader = {
+        read: jest.fn(() => new Promise((resolve, reject) => setTimeout(() => {
+            if (!chunks.length) {
+                resolve({done: true});
+                return;
+            }
+            const chunk = chunks.shift();
+            if (chunk instanceof Error) reject(chunk);
+            else resolve({done: false, value: encoder.encode(chunk)});
+        }, interval))),
+        cancel: jest.fn(() => Promise.resolve()),
+    };
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: String(status),
+        headers: new Map([['content-type', 'text/event-stream']]),
+        body: {getReader: () => reader},
+        text: () => Promise.resolve(chunks.join('')),
+        reader,
+    };
+}
+
+beforeAll(() => {
+    global.TextDecoder = TextDecoder;
+});
+
+afterEach(() => {
+    delete global.fetch;
+    delete global.AbortController;
+});
+
+// 记录abort调用的AbortController
+function mockAbortController() {
+    const abort = jest.fn();
+    global.AbortController = function AbortController() {
+        this.signal = {};
+        this.abort = abort;
+    };
+    return abort;
+}
+
+describe('createSseParser', () => {
+    test('parses events split across chunks', () => {
+        const messages = [];
+        const retries = [];
+        const parser = createSseParser(message => messages.push(message), {onRetry: ms => retries.push(ms)});
+        parser.push(': ping\r\nid: 1\r\nevent: delta\r\ndata: {"text"');
+        parser.push(':"你"}\r');
+        parser.push('\n\r\ndata: line1\ndata: line2\nretry: 5000\n\n');
+
+        expect(messages).toEqual([
+            {event: 'delta', data: '{"text":"你"}', id: '1'},
+            {event: 'message', data: 'line1\nline2', id: '1'},
+        ]);
+        expect(retries).toEqual([5000]);
+        expect(parser.lastEventId).toBe('1');
+    });
+
+    test('json option parses data', () => {
+        const messages = [];
+        const parser = createSseParser(message => messages.push(message.data), {json: true});
+        parser.push('data: {"done":true}\n\n');
+        expect(messages).toEqual([{done: true}]);
+    });
+});
+
+describe('stream', () => {
+    test('uses baseURL and default headers and emits sse messages incrementally', () => {
+        const response = createResponse(['id: 1\ndata: 你', '好\n\nid: 2\ndata: 世界\n\n']);
+        global.fetch = jest.fn(() => Promise.resolve(response));
+        const dcFetch = new DcFetch();
+        dcFetch.defaults.baseURL = 'https://api.example.com/v1';
+        dcFetch.defaults.headers.common['X-App'] = 'admin';
+        const messages = [];
+
+        return dcFetch.stream('/chat', {question: '你好'}, {
+            method: 'post',
+            onMessage: ({data}) => messages.push(data),
+        }).then(result => {
+            const [url, init] = global.fetch.mock.calls[0];
+            expect(url).toBe('https://api.example.com/v1/chat');
+            expect(init.method).toBe('POST');
+            expect(init.body).toBe('{"question":"你好"}');
+            expect(init.credentials).toBe('include');
+            expect(init.headers['X-App']).toBe('admin');
+            expect(init.headers['Content-Type']).toBe('application/json');
+            expect(init.headers.Accept).toBe('text/event-stream');
+            expect(messages).toEqual(['你好', '世界']);
+            expect(result).toEqual({count: 2, lastEventId: '2'});
+        });
+    });
+
+    test('ndjson format parses each line and get data becomes the query', () => {
+        global.fetch = jest.fn(() => Promise.resolve(createResponse(['{"level":"info"}\n{"lev', 'el":"error"}\n\n{"level":"debug"}'])));
+        const dcFetch = new DcFetch();
+        const logs = [];
+
+        return dcFetch.stream('/logs', {app: 'admin'}, {format: 'ndjson', onMessage: log => logs.push(log.level)}).then(() => {
+            expect(global.fetch.mock.calls[0][0]).toBe('/logs?app=admin');
+            expect(logs).toEqual(['info', 'error', 'debug']);
+        });
+    });
+
+    test('does not reconnect by default', () => {
+        global.fetch = jest.fn(() => Promise.resolve(createResponse(['data: a\n\n', new Error('network down')])));
+        const dcFetch = new DcFetch();
+        const messages = [];
+
+        return rejection(dcFetch.stream('/events', null, {onMessage: ({data}) => messages.push(data)})).then(err => {
+            expect(err.message).toBe('network down');
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(messages).toEqual(['a']);
+        });
+    });
+
+    test('reconnects after a network error with Last-Event-ID', () => {
+        const responses = [
+            createResponse(['id: 1\ndata: a\n\nretry: 10\n\n', new Error('network down')]),
+            createResponse(['id: 2\ndata: b\n\n']),
+        ];
+        global.fetch = jest.fn(() => Promise.resolve(responses.shift()));
+        const dcFetch = new DcFetch();
+        const messages = [];
+
+        return dcFetch.stream('/events', null, {
+            reconnect: {retries: 1, delay: 5000},
+            onMessage: ({data}) => messages.push(data),
+        }).then(() => {
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(global.fetch.mock.calls[0][1].headers['Last-Event-ID']).toBeUndefined();
+            expect(global.fetch.mock.calls[1][1].headers['Last-Event-ID']).toBe('1');
+            expect(messages).toEqual(['a', 'b']);
+        });
+    });
+
+    test('http errors reject with HttpError and show the error tip', () => {
+        global.fetch = jest.fn(() => Promise.resolve(createResponse(['{"message":"无权限"}'], {status: 403})));
+        const {dcFetch, tips} = createDcFetch();
+
+        return rejection(dcFetch.stream('/events')).then(err => {
+            expect(err).toBeInstanceOf(HttpError);
+            expect(err.status).toBe(403);
+            expect(err.body).toEqual({message: '无权限'});
+            expect(tips.error).toEqual(['获取数据失败！']);
+        });
+    });
+
+    test('cancel closes the stream and stops onMessage', () => {
+        const response = createResponse(['data: a\n\n', 'data: b\n\n', 'data: c\n\n'], {interval: 5});
+        global.fetch = jest.fn(() => Promise.resolve(response));
+        const dcFetch = new DcFetch();
+        const messages = [];
+        const callback = jest.fn();
+
+        const request = dcFetch.stream('/events', null, {
+            onMessage: ({data}) => {
+                messages.push(data);
+                request.cancel();
+            },
+        });
+        request.then(callback, callback);
+
+        return flush().then(() => {
+            expect(messages).toEqual(['a']);
+            expect(response.reader.cancel).toHaveBeenCalled();
+            expect(callback).not.toHaveBeenCalled();
+            expect(request.status).toBe('canceled');
+        });
+    });
+
+    test('mock routes emit array items as messages', () => {
+        global.fetch = jest.fn();
+        const dcFetch = new DcFetch();
+        dcFetch.mock.get('/logs', [{level: 'info'}, {level: 'error'}]);
+        dcFetch.mock.get('/events', 'data: a\n\ndata: b\n\n');
+        const messages = [];
+
+        return Promise.all([
+            dcFetch.stream('/logs', null, {format: 'ndjson', onMessage: log => messages.push(log.level)}),
+            dcFetch.stream('/events', null, {onMessage: ({data}) => messages.push(data)}),
+        ]).then(() => {
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(messages.sort()).toEqual(['a', 'b', 'error', 'info']);
+        });
+    });
+
+    test('onMessage errors close the connection and reject', () => {
+        const abort = mockAbortController();
+        const response = createResponse(['data: a\n\n', 'data: b\n\n']);
+        global.fetch = jest.fn(() => Promise.resolve(response));
+        const dcFetch = new DcFetch();
+        const failure = new Error('render failed');
+
+        return rejection(dcFetch.stream('/events', null, {
+            onMessage: () => {
+                throw failure;
+            },
+        })).then(err => {
+            expect(err).toBe(failure);
+            expect(response.reader.cancel).toHaveBeenCalledTimes(1);
+            expect(abort).toHaveBeenCalledTimes(1);
+            expect(response.reader.read).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    test('parse errors close the connection and reject with ERR_STREAM_PARSE', () => {
+        const abort = mockAbortController();
+        const response = createResponse(['{"level":"info"}\n{oops}\n', '{"level":"debug"}\n']);
+        global.fetch = jest.fn(() => Promise.resolve(response));
+        const dcFetch = new DcFetch();
+        const logs = [];
+
+        return rejection(dcFetch.stream('/logs', null, {format: 'ndjson', onMessage: log => logs.push(log.level)})).then(err => {
+            expect(err.code).toBe('ERR_STREAM_PARSE');
+            expect(logs).toEqual(['info']);
+            expect(response.reader.cancel).toHaveBeenCalledTimes(1);
+            expect(abort).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    test('sends the token and reconnects after refreshing on 401', () => {
+        const store = {token: 'T1'};
+        const refreshToken = jest.fn(() => {
+            store.token = 'T2';
+            return Promise.resolve();
+        });
+        global.fetch = jest.fn((url, init) => Promise.resolve(init.headers.Authorization === 'Bearer T2'
+            ? createResponse(['data: a\n\n'])
+            : createResponse(['{"message":"登录已过期"}'], {status: 401})));
+        const {dcFetch, tips} = createDcFetch({auth: {getToken: () => store.token, refreshToken}});
+        const messages = [];
+
+        return dcFetch.stream('/events', null, {onMessage: ({data}) => messages.push(data)}).then(() => {
+            expect(global.fetch.mock.calls.map(([, init]) => init.headers.Authorization)).toEqual(['Bearer T1', 'Bearer T2']);
+            expect(refreshToken).toHaveBeenCalledTimes(1);
+            expect(messages).toEqual(['a']);
+            expect(tips.error).toEqual([]);
+        });
+    });
+
+    test('runs plugin onRequest and onCancel hooks', () => {
+        global.fetch = jest.fn(() => Promise.resolve(createResponse(['data: a\n\n'], {interval: 100})));
+        const dcFetch = new DcFetch();
+        const onCancel = jest.fn();
+        dcFetch.use({
+            name: 'sign',
+            onRequest: ctx => {
+                ctx.options = {...ctx.options, headers: {...ctx.options.headers, 'X-Sign': `sign ${ctx.url}`}};
+            },
+            onCancel,
+        });
+
+        const request = dcFetch.stream('/events');
+        return flush().then(() => {
+            expect(global.fetch.mock.calls[0][1].headers['X-Sign']).toBe('sign /events');
+            request.cancel();
+            expect(onCancel).toHaveBeenCalledTimes(1);
+            expect(onCancel.mock.calls[0][0].url).toBe('/events');
+        });
+    });
+
+    test('streams opened on a fork are awaited by ssr.settled', () => {
+        global.fetch = jest.fn(() => Promise.resolve(createResponse(['data: a\n\n', 'data: b\n\n'], {interval: 5})));
+        const dcFetch = new DcFetch();
+        const child = dcFetch.fork({baseURL: 'http://127.0.0.1:8080'});
+        const messages = [];
+
+        child.stream('/events', null, {onMessage: ({data}) => messages.push(data)});
+        expect(child.ssr.pending).toEqual([{method: 'get', url: '/events'}]);
+
+        return child.ssr.settled().then(() => {
+            expect(global.fetch.mock.calls[0][0]).toBe('http://127.0.0.1:8080/events');
+            expect(messages).toEqual(['a', 'b']);
+            expect(child.ssr.pending).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,267 @@
+// 类型测试：tsc -p test/types 通过即可，不会执行
+// 期望报错的地方使用 @ts-expect-error，类型放宽时编译会失败
+
+import React from 'react';
+import DcFetch, {
+    BusinessError,
+    CanceledError,
+    createDcFetchHoc,
+    createReplayAdapter,
+    DcFetchContext,
+    DcRequest,
+    HttpError,
+    isCancel,
+    parseDates,
+    TrackedClient,
+    useRequest,
+    WithDcFetch,
+} from 'dc-fetch';
+
+interface User {
+    id: number;
+    name: string;
+}
+
+const dcFetch = new DcFetch({
+    onShowErrorTip: (err, errorTip) => errorTip && console.error(errorTip),
+    isMock: url => url.startsWith('/mock'),
+    retry: 2,
+    schemaMode: 'warn',
+    offline: {queuedTip: '已离线保存'},
+});
+
+// @ts-expect-error 未知的构造参数
+new DcFetch({retries: 2});
+
+if (dcFetch.offline) dcFetch.offline.register('visit', {transform: (data: any) => data}).replay();
+dcFetch.post('/visits', {}, {offline: 'visit'});
+// @ts-expect-error offline只能是false或者注册的名称
+dcFetch.post('/visits', {}, {offline: true});
+
+// @ts-expect-error schemaMode只能是 reject warn off
+new DcFetch({schemaMode: 'strict'});
+dcFetch.get('/users', null, {errorTip: false, timeout: 3000, headers: {'X-Trace': '1'}});
+// @ts-expect-error 拼错的配置
+dcFetch.get('/users', null, {retires: 2});
+// @ts-expect-error 拼错的配置
+dcFetch.post('/users', {}, {sucessTip: '保存成功'});
+
+// ---------------------------------------------------------------- 泛型响应
+
+const user: DcRequest<User> = dcFetch.get<User>('/users/1');
+user.then(data => {
+    const name: string = data.name;
+    // @ts-expect-error User没有age属性
+    data.age;
+    return name;
+});
+
+const users: DcRequest<User[]> = dcFetch.post<User[]>('/users/search', {keyword: '张'}, {successTip: false});
+dcFetch.put<User>('/users/1', {name: '张三'}, {errorTip: '保存失败'});
+dcFetch.patch<User>('/users/1', {name: '张三'});
+dcFetch.del<void>('/users/1');
+dcFetch.fetch<User>('/users/1', null, 'get', {cache: {ttl: 60000}, retry: 1});
+dcFetch.singleGet<string[]>('/users/suggest', {keyword: '张'});
+
+// @ts-expect-error 未声明的请求方法
+dcFetch.fetch('/users/1', null, 'fetch');
+
+// @ts-expect-error collapse策略
+dcFetch.get('/users/suggest', null, {collapse: 'takeAll'});
+
+// 不指定泛型时为any
+dcFetch.get('/users/1').then(data => data.anything);
+
+// ---------------------------------------------------------------- 可打断的请求对象
+
+const chained: DcRequest<string> = user.then(data => data.name);
+const recovered: DcRequest<string | null> = chained.catch(() => null);
+recovered.finally(() => undefined).cancel();
+chained.abort(new CanceledError('leave page'));
+user.done(data => data.id);
+
+// @ts-expect-error then之后的类型已经变为string
+const wrong: DcRequest<User> = chained;
+
+const canceled: boolean = user.status === 'canceled';
+// @ts-expect-error status只有 pending fulfilled rejected canceled
+const aborted: boolean = user.status === 'aborted';
+
+// 可以直接await
+async function load(): Promise<number> {
+    const result = await dcFetch.get<User>('/users/1');
+    return result.id;
+}
+
+// ---------------------------------------------------------------- 错误
+
+users.catch(err => {
+    if (isCancel(err)) return [];
+    if (err instanceof HttpError) {
+        const status: number = err.status;
+        return [];
+    }
+    if (err instanceof BusinessError) {
+        const code: 'ERR_BUSINESS' = err.code;
+        return err.businessCode;
+    }
+    throw err;
+});
+
+// ---------------------------------------------------------------- defaults
+
+dcFetch.defaults.baseURL = '/api';
+dcFetch.defaults.timeout = 10000;
+dcFetch.mockDefaults.baseURL = '/mock';
+// @ts-expect-error timeout是数字
+dcFetch.defaults.timeout = '10s';
+
+// ---------------------------------------------------------------- 其他功能
+
+const pages = dcFetch.paginate<User>('/users', {status: 1}, {pageSize: 20});
+pages.fetchAll({concurrency: 2}).then(list => list.map(item => item.name));
+
+async function iteratePages() {
+    for await (const page of pages) {
+        page.items.map(item => item.name);
+        // @ts-expect-error 直接遍历得到的是Page
+        page.name;
+    }
+    for await (const page of pages.pages()) {
+        page.pageNum.toFixed();
+    }
+    for await (const user of pages.items()) {
+        user.name.trim();
+    }
+    // @ts-expect-error 迭代器没有cancel，使用paginator.cancel()
+    pages.items().cancel();
+    pages.cancel();
+}
+iteratePages();
+
+dcFetch.poll<{status: string}>('/tasks/1', null, {
+    interval: 2000,
+    until: data => data.status === 'done',
+});
+
+const loadUser = dcFetch.batch<User>('/users/:id', {windowMs: 10});
+loadUser({id: 1}).then(data => data.name);
+
+dcFetch.upload<{url: string}>('/files', [], {type: 'avatar'}, {onProgress: ({percent}) => percent});
+
+const order = dcFetch.registerService('order', {baseURL: 'https://order.example.com'});
+dcFetch.service('order').get<User>('/users/1');
+order.metrics.summary();
+
+dcFetch.use({
+    name: 'trace',
+    onRequest: ctx => ({options: {...ctx.options, headers: {'X-Trace-Id': '1'}}}),
+});
+
+const userApi = dcFetch.defineApi({
+    getUser: 'GET /users/:id',
+    saveUser: {url: '/users/:id', method: 'put', successTip: '保存成功'},
+});
+userApi.getUser({id: 1});
+// @ts-expect-error 未定义的接口
+userApi.removeUser({id: 1});
+
+dcFetch.replay(createReplayAdapter([]).entries, {ignoreParams: ['_t'], match: ['method', 'path']});
+dcFetch.record({redactHeaders: ['authorization', 'x-api-key']}).toHar();
+dcFetch.record({redactHeaders: false}).stop();
+
+dcFetch.get('/orders', null, {transform: parseDates(['list[].createdAt'])});
+
+// ---------------------------------------------------------------- 流式响应
+
+const chat = dcFetch.stream<{text: string}>('/chat', {question: '你好'}, {
+    method: 'post',
+    json: true,
+    onMessage: ({event, data}) => data.text + event,
+    reconnect: {retries: 3},
+});
+chat.then(({count, lastEventId}) => count + lastEventId);
+chat.cancel();
+dcFetch.stream<{level: string}>('/logs', null, {format: 'ndjson', onMessage: log => log.level});
+dcFetch.stream('/logs', null, {format: 'text', onMessage: text => text.length});
+// @ts-expect-error 未知的format
+dcFetch.stream('/logs', null, {format: 'csv'});
+
+// ---------------------------------------------------------------- 服务端渲染
+
+const pageFetch = dcFetch.fork({
+    headers: {'accept-language': 'zh-CN'},
+    cookies: {sid: '1'},
+    baseURL: 'http://127.0.0.1:8080',
+});
+pageFetch.get<User>('/users/1');
+pageFetch.ssr.settled().then(state => dcFetch.hydrate(state));
+dcFetch.hydrate(pageFetch.ssr.serialize());
+// @ts-expect-error 普通实例的ssr可能为null
+dcFetch.ssr.settled();
+// @ts-expect-error cookies是字符串或者对象
+dcFetch.fork({cookies: ['sid=1']});
+
+<DcFetchContext.Provider value={pageFetch}><div/></DcFetchContext.Provider>;
+
+// ---------------------------------------------------------------- 高阶组件
+
+const withDcFetch = createDcFetchHoc(dcFetch);
+
+interface PageProps extends WithDcFetch {
+    title: string;
+}
+
+const Page = ({dcFetch: client, title}: PageProps) => {
+    client.get<User>('/users/1').then(data => data.name);
+    return <div>{title}</div>;
+};
+
+const WrappedPage = withDcFetch()(Page);
+<WrappedPage title="用户"/>;
+// @ts-expect-error 注入的props不需要传入
+<WrappedPage title="用户" dcFetch={dcFetch}/>;
+// @ts-expect-error 组件自己的props依然需要传入
+<WrappedPage/>;
+
+// propName修改注入的props属性
+interface OrderPageProps extends WithDcFetch<'orderFetch'> {
+    orderId: number;
+}
+
+class OrderPage extends React.Component<OrderPageProps> {
+    render() {
+        const client: TrackedClient = this.props.orderFetch;
+        client.get('/orders');
+        client.stream('/orders/events', null, {onMessage: ({data}) => data});
+        // @ts-expect-error 没有注入dcFetch属性
+        this.props.dcFetch;
+        return null;
+    }
+}
+
+const WrappedOrderPage = withDcFetch({propName: 'orderFetch', service: 'order'})(OrderPage);
+<WrappedOrderPage orderId={1}/>;
+// @ts-expect-error 注入的props不需要传入
+<WrappedOrderPage orderId={1} orderFetch={dcFetch}/>;
+
+// apis与注入的client一样会被去掉
+const WrappedApiPage = withDcFetch({apis: {userApi}})((props: WithDcFetch & {userApi: typeof userApi; id: number}) => {
+    props.userApi.getUser({id: props.id});
+    return null;
+});
+<WrappedApiPage id={1}/>;
+
+// ---------------------------------------------------------------- hooks
+
+function UserName({id}: {id: number}) {
+    const {data, loading, run} = useRequest((userId: number) => dcFetch.get<User>(`/users/${userId}`), [id], {
+        defaultParams: [id],
+    });
+    run(2);
+    // @ts-expect-error 参数类型来自请求函数
+    run('2');
+    return <span>{loading ? '' : data && data.name}</span>;
+}
+
+export {load, wrong, canceled, aborted, UserName};
@@ -0,0 +1,151 @@
+import {Blob, File} from 'buffer';
+import {createDcFetch, flush, rejection, respond, wait} from './helpers';
+
+// 记录append的内容，代替浏览器的FormData
+class FakeFormData {
+    entries = [];
+
+    append(key, value, fileName) {
+        this.entries.push(value instanceof Blob ? `${key}=${fileName}:${value.size}` : `${key}=${value}`);
+    }
+}
+
+beforeAll(() => {
+    global.Blob = Blob;
+    global.FormData = FakeFormData;
+});
+
+afterAll(() => {
+    delete global.Blob;
+    delete global.FormData;
+});
+
+// 记录每次上传的表单，上传过程中报告一半的进度；fail返回状态码时该次请求失败
+function createUploadFetch(fail = () => 0) {
+    const forms = [];
+    const {dcFetch, tips, adapter} = createDcFetch({retryDelay: () => 1}, jest.fn(config => {
+        const form = config.data.entries;
+        forms.push(form);
+        const size = form.reduce((sum, entry) => sum + (Number(entry.split(':')[1]) || 0), 0);
+        if (config.onUploadProgress) config.onUploadProgress({loaded: size / 2, total: size});
+        const status = fail(form) || 200;
+        const index = forms.length;
+        return wait(2).then(() => respond(config, {status, data: {index}}));
+    }));
+    return {dcFetch, tips, adapter, forms};
+}
+
+const createFile = (content, name) => new File([content], name);
+
+describe('upload', () => {
+    test('file lists are sent under the file field with the other fields', () => {
+        const {dcFetch, tips, forms} = createUploadFetch();
+        const fileList = {0: createFile('ab', 'a.txt'), 1: createFile('cde', 'b.txt'), length: 2};
+
+        return dcFetch.upload('/files', fileList, {type: 'avatar', empty: null}, {successTip: '上传成功！'}).then(() => {
+            expect(forms).toEqual([['type=avatar', 'file=a.txt:2', 'file=b.txt:3']]);
+            expect(tips.success).toEqual(['上传成功！']);
+        });
+    });
+
+    test('objects map field names to files', () => {
+        const {dcFetch, forms} = createUploadFetch();
+
+        return dcFetch.upload('/files', {avatar: createFile('a', 'a.png'), docs: [createFile('bb', 'b.pdf')]}).then(() => {
+            expect(forms).toEqual([['avatar=a.png:1', 'docs=b.pdf:2']]);
+        });
+    });
+
+    test('progress is reported for the whole upload', () => {
+        const {dcFetch} = createUploadFetch();
+        const progress = [];
+
+        return dcFetch.upload('/files', [createFile('abcd', 'a.txt')], null, {
+            onProgress: ({loaded, total, percent}) => progress.push(`${loaded}/${total} ${percent}`),
+        }).then(() => {
+            expect(progress).toEqual(['2/4 50']);
+        });
+    });
+
+    test('chunked uploads send every chunk and resolve with the last result', () => {
+        const {dcFetch, forms} = createUploadFetch();
+        const progress = [];
+
+        return dcFetch.upload('/files/chunk', createFile('0123456789', 'a.txt'), null, {
+            chunkSize: 4,
+            concurrency: 1,
+            onProgress: ({percent}) => progress.push(percent),
+        }).then(data => {
+            expect(forms).toEqual([
+                ['chunkIndex=0', 'chunkCount=3', 'offset=0', 'fileName=a.txt', 'fileSize=10', 'file=a.txt:4'],
+                ['chunkIndex=1', 'chunkCount=3', 'offset=4', 'fileName=a.txt', 'fileSize=10', 'file=a.txt:4'],
+                ['chunkIndex=2', 'chunkCount=3', 'offset=8', 'fileName=a.txt', 'fileSize=10', 'file=a.txt:2'],
+            ]);
+            expect(data).toEqual({index: 3});
+            expect(progress).toEqual([20, 40, 60, 80, 90, 100]);
+        });
+    });
+
+    test('resumable sessions skip chunks before the offset', () => {
+        const {dcFetch, forms} = createUploadFetch();
+        const complete = jest.fn(({sessionId, results}) => ({sessionId, results}));
+        const progress = [];
+
+        return dcFetch.upload('/files/chunk', createFile('0123456789', 'a.txt'), null, {
+            chunkSize: 4,
+            onProgress: ({percent}) => progress.push(percent),
+            resumable: {
+                createSession: file => Promise.resolve({sessionId: `s-${file.name}`, offset: 8}),
+                chunkFields: ({sessionId, index}) => ({sessionId, index}),
+                complete,
+            },
+        }).then(data => {
+            expect(forms).toEqual([['sessionId=s-a.txt', 'index=2', 'file=a.txt:2']]);
+            expect(progress[0]).toBe(40);
+            expect(progress[progress.length - 1]).toBe(100);
+            expect(data.sessionId).toBe('s-a.txt');
+            expect(data.results[2]).toEqual({index: 1});
+        });
+    });
+
+    test('failed chunks are retried', () => {
+        let failures = 1;
+        const {dcFetch, forms, tips} = createUploadFetch(form => (form.indexOf('chunkIndex=1') > -1 && failures-- > 0 ? 503 : 0));
+
+        return dcFetch.upload('/files/chunk', createFile('0123456789', 'a.txt'), null, {chunkSize: 4, concurrency: 1}).then(() => {
+            expect(forms.map(form => form[0])).toEqual(['chunkIndex=0', 'chunkIndex=1', 'chunkIndex=1', 'chunkIndex=2']);
+            expect(tips.error).toEqual([]);
+        });
+    });
+
+    test('a chunk that keeps failing stops the upload and shows the upload error tip', () => {
+        const {dcFetch, forms, tips} = createUploadFetch(form => (form.indexOf('chunkIndex=0') > -1 ? 500 : 0));
+
+        return rejection(dcFetch.upload('/files/chunk', createFile('0123456789', 'a.txt'), null, {
+            chunkSize: 4,
+            concurrency: 1,
+            chunkRetry: 1,
+        })).then(err => {
+            expect(err.status).toBe(500);
+            expect(forms.length).toBe(2);
+            // 分片请求的errorTip为false，只提示一次上传失败
+            expect(tips.error).toEqual([false, '上传失败！']);
+        });
+    });
+
+    test('cancel stops the remaining chunks', () => {
+        const {dcFetch, adapter} = createUploadFetch();
+        const callback = jest.fn();
+        const request = dcFetch.upload('/files/chunk', createFile('0123456789', 'a.txt'), null, {chunkSize: 4, concurrency: 1});
+        request.then(callback, callback);
+
+        return wait(1).then(() => {
+            request.cancel();
+            return flush();
+        }).then(() => {
+            expect(adapter).toHaveBeenCalledTimes(1);
+            expect(callback).not.toHaveBeenCalled();
+            expect(request.status).toBe('canceled');
+        });
+    });
+});
@@ -0,0 +1,693 @@
+// dc-fetch 的类型声明
+
+import {AxiosAdapter, AxiosInstance, AxiosRequestConfig, AxiosResponse, Method} from 'axios';
+import {ComponentType, Context} from 'react';
+
+export type HttpMethod = Method;
+
+/** successTip errorTip 原样传给 onShowSuccessTip onShowErrorTip，false表示不提示 */
+export type Tip = string | boolean;
+
+// ---------------------------------------------------------------- 错误类型
+
+export type DcFetchErrorCode =
+    | 'ERR_DC_FETCH'
+    | 'ERR_NETWORK'
+    | 'ERR_TIMEOUT'
+    | 'ERR_HTTP'
+    | 'ERR_CANCELED'
+    | 'ERR_BUSINESS'
+    | 'ERR_VALIDATION'
+    | 'ERR_BATCH_MISSING'
+    | string;
+
+export interface DcFetchErrorExtra {
+    code?: DcFetchErrorCode;
+    config?: AxiosRequestConfig;
+    response?: AxiosResponse;
+    cause?: any;
+}
+
+export class DcFetchError extends Error {
+    constructor(message: string, extra?: DcFetchErrorExtra);
+    code: DcFetchErrorCode;
+    config?: AxiosRequestConfig;
+    response?: AxiosResponse;
+    cause?: any;
+}
+
+export class NetworkError extends DcFetchError {
+    code: 'ERR_NETWORK';
+}
+
+export class TimeoutError extends DcFetchError {
+    code: 'ERR_TIMEOUT';
+}
+
+export class HttpError<TBody = any> extends DcFetchError {
+    code: 'ERR_HTTP';
+    status: number;
+    body: TBody;
+}
+
+export class CanceledError extends DcFetchError {
+    constructor(message?: string, extra?: DcFetchErrorExtra);
+    code: 'ERR_CANCELED';
+}
+
+export class BusinessError<TData = any> extends DcFetchError {
+    constructor(message: string, extra?: {businessCode?: any; response?: AxiosResponse; config?: AxiosRequestConfig});
+    code: 'ERR_BUSINESS';
+    businessCode: any;
+    data: TData;
+}
+
+export interface SchemaError {
+    path: string;
+    message: string;
+}
+
+export class ValidationError<TData = any> extends DcFetchError {
+    constructor(errors: SchemaError[], extra?: {data?: TData; response?: AxiosResponse; config?: AxiosRequestConfig});
+    code: 'ERR_VALIDATION';
+    errors: SchemaError[];
+    data: TData;
+}
+
+export function isCancel(err: any): boolean;
+
+// ---------------------------------------------------------------- 可打断的请求对象
+
+export type DcRequestStatus = 'pending' | 'fulfilled' | 'rejected' | 'canceled';
+
+/** 用法与Promise相同，then catch finally 返回的对象依然可以打断整个请求链 */
+export class DcRequest<T = any> implements PromiseLike<T> {
+    constructor(
+        executor: (resolve: (value: T | PromiseLike<T>) => void, reject: (reason?: any) => void) => void,
+        onCancel?: (reason?: any) => void,
+        options?: {rejectOnCancel?: boolean},
+    );
+
+    readonly status: DcRequestStatus;
+
+    then<TResult1 = T, TResult2 = never>(
+        onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | null,
+        onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null,
+    ): DcRequest<TResult1 | TResult2>;
+
+    catch<TResult = never>(
+        onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | null,
+    ): DcRequest<T | TResult>;
+
+    finally(callback: () => any): DcRequest<T>;
+
+    done(onfulfilled?: (value: T) => any, onrejected?: (reason: any) => any): void;
+
+    /** 打断请求，之后的回调都不会触发；设置了rejectOnCancel时以CanceledError失败 */
+    cancel(): void;
+
+    /** 打断请求，并以reason失败，默认CanceledError */
+    abort(reason?: any): void;
+}
+
+// ---------------------------------------------------------------- 配置
+
+export interface CacheOptions {
+    ttl?: number;
+    staleWhileRevalidate?: number;
+}
+
+export type CollapseStrategy = 'takeLatest' | 'takeFirst' | 'debounce' | 'throttle';
+
+export interface CollapseOptions {
+    strategy?: CollapseStrategy;
+    wait?: number;
+    key?: string | ((url: string, data: any, method: string, options: FetchOptions) => string);
+}
+
+export interface JsonSchema {
+    type?: string | string[];
+    enum?: any[];
+    const?: any;
+    required?: string[];
+    properties?: {[key: string]: JsonSchema};
+    additionalProperties?: boolean | JsonSchema;
+    items?: JsonSchema;
+    minLength?: number;
+    maxLength?: number;
+    minimum?: number;
+    maximum?: number;
+    pattern?: string;
+    nullable?: boolean;
+    anyOf?: JsonSchema[];
+    oneOf?: JsonSchema[];
+    [key: string]: any;
+}
+
+export type SchemaValidator = (data: any) => boolean | string | string[] | void;
+
+export type SchemaMode = 'reject' | 'warn' | 'off';
+
+export type RetryOn = (err: any, attempt: number, config: AxiosRequestConfig) => boolean;
+
+export type RetryDelay = number | ((attempt: number, err: any) => number);
+
+/** fetch的options，除axios配置外的dcFetch配置 */
+export interface FetchOptions extends AxiosRequestConfig {
+    successTip?: Tip;
+    errorTip?: Tip;
+    retry?: number;
+    retryDelay?: RetryDelay;
+    retryOn?: RetryOn;
+    cache?: boolean | CacheOptions;
+    dedupe?: boolean;
+    raw?: boolean;
+    skipAuth?: boolean;
+    priority?: number;
+    skipPlugins?: boolean | string[];
+    /** false不保存到离线队列；含有函数的配置需要指定offline.register注册的名称 */
+    offline?: false | string;
+    rejectOnCancel?: boolean;
+    collapse?: CollapseStrategy | CollapseOptions;
+    schema?: JsonSchema | SchemaValidator;
+    transform?: ((data: any) => any) | Array<(data: any) => any>;
+    schemaMode?: SchemaMode;
+}
+
+export interface AdaptedResponse<T = any> {
+    success: boolean;
+    data?: T;
+    code?: any;
+    message?: string;
+}
+
+export interface AuthOptions {
+    getToken?: () => any;
+    refreshToken?: () => PromiseLike<any>;
+    isAuthError?: (err: any) => boolean;
+    applyToken?: (config: AxiosRequestConfig, token: any) => AxiosRequestConfig;
+    onLogout?: (err: any) => void;
+}
+
+export interface MetricsRecord {
+    url: string;
+    pattern: string;
+    method: string;
+    service?: string | null;
+    startTime: number;
+    duration: number;
+    outcome: 'success' | 'error' | 'canceled';
+    status: number | null;
+    retries: number;
+    requestSize: number | null;
+    responseSize: number | null;
+    isMock: boolean;
+    cached: boolean;
+    cancelReason?: string;
+}
+
+export interface MetricsOptions {
+    sampleRate?: number;
+    batchSize?: number;
+    flushInterval?: number;
+    bufferSize?: number;
+    getPattern?: (url: string, method: string) => string;
+}
+
+export interface MetricsSummary {
+    count: number;
+    p50: number | null;
+    p95: number | null;
+    errorRate: number;
+    canceled: number;
+}
+
+export interface OfflineStorage {
+    load(): PromiseLike<OfflineItem[]> | OfflineItem[];
+    save(items: OfflineItem[]): PromiseLike<any> | void;
+}
+
+export interface OfflineItem {
+    id: string;
+    service: string | null;
+    method: string;
+    url: string;
+    data: any;
+    options: FetchOptions;
+    preset: string | null;
+    time: number;
+}
+
+export interface OfflineOptions {
+    storage?: OfflineStorage;
+    methods?: string[];
+    isNetworkError?: (err: any) => boolean;
+    onConflict?: (item: OfflineItem, err: any) => 'keep' | 'discard' | PromiseLike<'keep' | 'discard'> | void;
+    queuedTip?: Tip;
+    autoReplay?: boolean;
+}
+
+export interface DcFetchOptions {
+    onShowSuccessTip?: (response: AxiosResponse, successTip: Tip) => any;
+    onShowErrorTip?: (err: any, errorTip: Tip) => any;
+    isMock?: (url: string, data: any, method: string, options: FetchOptions) => boolean;
+    retry?: number;
+    retryDelay?: RetryDelay;
+    retryOn?: RetryOn;
+    dedupe?: boolean;
+    responseAdapter?: (response: AxiosResponse) => AdaptedResponse;
+    auth?: AuthOptions;
+    maxConcurrent?: number;
+    maxConcurrentPerHost?: number | {[host: string]: number};
+    offline?: boolean | OfflineOptions;
+    /** 默认NODE_ENV为development时warn，否则reject */
+    schemaMode?: SchemaMode;
+    onMetrics?: (records: MetricsRecord[]) => void;
+    metrics?: MetricsOptions;
+}
+
+export interface ServiceOptions extends AxiosRequestConfig {
+    isMock?: DcFetchOptions['isMock'];
+}
+
+// ---------------------------------------------------------------- 插件
+
+export interface PluginContext {
+    url: string;
+    data: any;
+    method: string;
+    options: FetchOptions;
+    dcFetch: DcFetch;
+    config?: AxiosRequestConfig;
+    isMock?: boolean;
+}
+
+export interface Plugin {
+    name?: string;
+    onRequest?: (ctx: PluginContext) => Partial<PluginContext> | void | PromiseLike<Partial<PluginContext> | void>;
+    onResponse?: (response: AxiosResponse, ctx: PluginContext) => AxiosResponse | void | PromiseLike<AxiosResponse | void>;
+    onError?: (err: any, ctx: PluginContext) => any;
+    onCancel?: (ctx: PluginContext) => void;
+}
+
+// ---------------------------------------------------------------- 内置模块
+
+export class FetchCache {
+    get(url: string, params?: object): any;
+    set(url: string, params: object | null | undefined, data: any, cacheOptions?: CacheOptions): void;
+    invalidate(urlOrPredicate?: string | ((entry: {url: string; params: any; response: AxiosResponse}) => boolean)): void;
+}
+
+export interface QueueEntry {
+    id: number;
+    method: string;
+    url: string;
+    host: string;
+    priority: number;
+    time: number;
+}
+
+export class RequestQueue {
+    /** 请求在auth.prepare之后才异步加入，get()刚返回时还是[] */
+    readonly pending: QueueEntry[];
+    readonly active: QueueEntry[];
+}
+
+export interface MockRequest {
+    method: string;
+    url: string;
+    params: {[key: string]: string};
+    query: {[key: string]: any};
+    body: any;
+    headers: any;
+    config: AxiosRequestConfig;
+}
+
+export interface MockRouteOptions {
+    delay?: number;
+    status?: number;
+    headers?: {[key: string]: string};
+    query?: object | ((query: any) => boolean);
+    body?: object | ((body: any) => boolean);
+    once?: boolean;
+    timeout?: boolean;
+    networkError?: boolean;
+}
+
+export interface MockResponse {
+    status: number;
+    data: any;
+    headers: {[key: string]: string};
+}
+
+export type MockHandler = any | ((req: MockRequest) => any);
+
+export class MockServer {
+    history: MockRequest[];
+    on(method: string, path: string | RegExp, response: MockHandler, options?: MockRouteOptions): this;
+    get(path: string | RegExp, response: MockHandler, options?: MockRouteOptions): this;
+    post(path: string | RegExp, response: MockHandler, options?: MockRouteOptions): this;
+    put(path: string | RegExp, response: MockHandler, options?: MockRouteOptions): this;
+    patch(path: string | RegExp, response: MockHandler, options?: MockRouteOptions): this;
+    del(path: string | RegExp, response: MockHandler, options?: MockRouteOptions): this;
+    any(path: string | RegExp, response: MockHandler, options?: MockRouteOptions): this;
+    response(status: number, data?: any, headers?: {[key: string]: string}): MockResponse;
+    reset(): void;
+    resetHistory(): void;
+    adapter: AxiosAdapter;
+}
+
+export class RequestMetrics {
+    recent(count?: number): MetricsRecord[];
+    summary(): {[pattern: string]: MetricsSummary};
+    flush(): void;
+    clear(): void;
+}
+
+export type OfflineEvent = 'queued' | 'replayed' | 'failed' | 'conflict' | 'change' | 'skipped';
+
+export class OfflineQueue {
+    items: OfflineItem[];
+    on(event: OfflineEvent, listener: (...args: any[]) => void): () => void;
+    off(event: OfflineEvent, listener: (...args: any[]) => void): void;
+    register(name: string, options: FetchOptions): this;
+    replay(): Promise<void>;
+    remove(id: string): Promise<any>;
+}
+
+export function createMemoryStorage(initial?: OfflineItem[]): OfflineStorage;
+export function createLocalStorage(key?: string): OfflineStorage;
+export function createIndexedDBStorage(options?: {dbName?: string; storeName?: string}): OfflineStorage;
+
+export function parseDates(paths: string[]): (data: any) => any;
+export function withDefaults(defaults: object): (data: any) => any;
+export function validateSchema(schema: JsonSchema, value: any, path?: string): SchemaError[];
+
+export interface Har {
+    log: {
+        version: string;
+        creator: {name: string; version: string};
+        entries: HarEntry[];
+    };
+}
+
+export interface HarEntry {
+    startedDateTime?: string;
+    time?: number;
+    request: {
+        method: string;
+        url: string;
+        queryString?: Array<{name: string; value: string}>;
+        headers?: Array<{name: string; value: string}>;
+        postData?: {mimeType?: string; text: string};
+    };
+    response: {
+        status: number;
+        statusText?: string;
+        headers?: Array<{name: string; value: string}>;
+        content?: {mimeType?: string; text: string};
+    };
+}
+
+export interface ReplayRequest {
+    method: string;
+    fullUrl: string;
+    url: string;
+    path: string;
+    query: any;
+    body: any;
+}
+
+export interface ReplayOptions {
+    match?: Array<'method' | 'url' | 'path' | 'query' | 'body'> | ((entry: HarEntry, request: ReplayRequest) => boolean);
+    ignoreParams?: string[];
+    fallbackAdapter?: AxiosAdapter;
+}
+
+export interface ReplayAdapter extends AxiosAdapter {
+    entries: HarEntry[];
+    history: ReplayRequest[];
+}
+
+export interface RecordOptions {
+    /** 需要隐藏值的header名，不区分大小写，默认 authorization cookie set-cookie；false不隐藏 */
+    redactHeaders?: string[] | false;
+}
+
+export class Recorder {
+    constructor(adapter: AxiosAdapter, restore?: () => void, options?: RecordOptions);
+    entries: HarEntry[];
+    adapter: AxiosAdapter;
+    toHar(): Har;
+    clear(): void;
+    stop(): void;
+}
+
+export function createReplayAdapter(har: Har | HarEntry[], options?: ReplayOptions): ReplayAdapter;
+
+// ---------------------------------------------------------------- 服务端渲染
+
+export interface ForkOptions {
+    /** 需要转发的headers，host content-length 等会被去掉 */
+    headers?: {[name: string]: string | string[] | undefined};
+    /** 需要转发的cookie，字符串或者 {name: value} */
+    cookies?: string | {[name: string]: string | undefined};
+    /** 绝对地址，相对的baseURL基于它解析 */
+    baseURL?: string;
+}
+
+export interface HydratedResponse {
+    data: any;
+    status: number;
+    statusText: string;
+    headers: {[name: string]: string};
+}
+
+export type HydrationState = {[key: string]: HydratedResponse};
+
+export class SsrCollector {
+    readonly pending: Array<{method: string; url: string}>;
+    settled(): Promise<HydrationState>;
+    getState(): HydrationState;
+    serialize(): string;
+}
+
+// ---------------------------------------------------------------- 上传、分页、轮询、批量
+
+export interface UploadProgress {
+    loaded: number;
+    total: number;
+    percent: number;
+}
+
+export interface UploadOptions extends FetchOptions {
+    onProgress?: (progress: UploadProgress) => void;
+    fileField?: string;
+    chunkSize?: number;
+    concurrency?: number;
+    chunkRetry?: number;
+    resumable?: {
+        createSession?: (file: any, fields?: object) => PromiseLike<{sessionId: any; offset?: number}> | {sessionId: any; offset?: number};
+        chunkFields?: (chunk: {file: any; sessionId: any; index: number; count: number; start: number; end: number}) => object;
+        complete?: (result: {file: any; sessionId: any; results: any[]}) => any;
+    };
+}
+
+export interface Page<TItem = any, TData = any> {
+    data: TData;
+    items: TItem[];
+    params: any;
+    pageNum: number;
+}
+
+export interface PaginateOptions<TItem = any> extends FetchOptions {
+    pageParam?: string;
+    sizeParam?: string;
+    pageSize?: number;
+    getItems?: (data: any) => TItem[];
+    getTotal?: (data: any) => number;
+    hasMore?: (data: any, items: TItem[], params: any) => boolean;
+    getNextParams?: (data: any, params: any, items: TItem[]) => any;
+}
+
+/** 直接for await遍历Paginator时与pages()相同，逐页得到Page */
+export class Paginator<TItem = any> implements AsyncIterable<Page<TItem>> {
+    pages(): AsyncIterableIterator<Page<TItem>>;
+    items(): AsyncIterableIterator<TItem>;
+    fetchAll(options?: {concurrency?: number}): DcRequest<TItem[]>;
+    /** 结束所有迭代器并打断进行中的请求 */
+    cancel(): void;
+    [Symbol.asyncIterator](): AsyncIterator<Page<TItem>>;
+}
+
+export interface PollOptions<T = any> extends FetchOptions {
+    interval?: number;
+    until?: (data: T, attempt: number) => boolean;
+    onTick?: (data: T, attempt: number) => void;
+    maxAttempts?: number;
+    backoff?: number | ((attempt: number, interval: number) => number);
+    maxInterval?: number;
+    pauseWhenHidden?: boolean;
+    method?: HttpMethod;
+}
+
+export interface BatchOptions extends FetchOptions {
+    batchUrl?: string;
+    buildBatchRequest?: (keys: string[], argsList: any[]) => {url: string; method?: string; data?: any; options?: FetchOptions};
+    splitResponse?: (data: any, keys: string[], argsList: any[]) => any[];
+    getKey?: (args: any) => string;
+    maxBatchSize?: number;
+    windowMs?: number;
+}
+
+// ---------------------------------------------------------------- 流式响应
+
+export type StreamFormat = 'sse' | 'ndjson' | 'text';
+
+export interface SseMessage<T = string> {
+    event: string;
+    data: T;
+    id: string;
+}
+
+export interface StreamOpenInfo {
+    status: number;
+    statusText: string;
+    headers: {[name: string]: string};
+}
+
+export interface StreamOptions<M> extends AxiosRequestConfig {
+    format?: StreamFormat;
+    onMessage?: (message: M) => void;
+    onOpen?: (info: StreamOpenInfo) => void;
+    /** 默认不重连；true 为 {retries: 3, delay: 1000} */
+    reconnect?: boolean | {retries?: number; delay?: number};
+    lastEventId?: string;
+    json?: boolean;
+    method?: HttpMethod;
+    errorTip?: Tip;
+    rejectOnCancel?: boolean;
+    skipAuth?: boolean;
+    skipPlugins?: boolean | string[];
+}
+
+export interface StreamResult {
+    count: number;
+    lastEventId: string;
+}
+
+// ---------------------------------------------------------------- 声明式接口
+
+export type EndpointDefinition = string | ({url: string; method?: string} & FetchOptions);
+
+export type ApiFunction<T = any> = (args?: any, options?: FetchOptions) => DcRequest<T>;
+
+export type DefinedApi<E = {[name: string]: EndpointDefinition}> = {
+    [K in keyof E]: ApiFunction;
+} & {
+    withClient(client: {fetch: DcFetch['fetch']}): DefinedApi<E>;
+};
+
+// ---------------------------------------------------------------- DcFetch
+
+export default class DcFetch {
+    constructor(options?: DcFetchOptions);
+
+    instance: AxiosInstance;
+    mockInstance: AxiosInstance;
+    /** 真实请求实例的axios默认配置 */
+    defaults: AxiosRequestConfig;
+    /** mock实例的axios默认配置 */
+    mockDefaults: AxiosRequestConfig;
+    cache: FetchCache;
+    queue: RequestQueue;
+    plugins: Plugin[];
+    mock: MockServer;
+    metrics: RequestMetrics;
+    offline: OfflineQueue | null;
+    services: {[name: string]: DcFetch};
+    serviceName: string | null;
+    singleGets: {[key: string]: any};
+    hydrated: HydrationState;
+    /** fork创建的子实例才有 */
+    ssr: SsrCollector | null;
+
+    fetch<T = any>(url: string, data?: any, method?: HttpMethod, options?: FetchOptions): DcRequest<T>;
+    get<T = any>(url: string, params?: any, options?: FetchOptions): DcRequest<T>;
+    post<T = any>(url: string, data?: any, options?: FetchOptions): DcRequest<T>;
+    put<T = any>(url: string, data?: any, options?: FetchOptions): DcRequest<T>;
+    patch<T = any>(url: string, data?: any, options?: FetchOptions): DcRequest<T>;
+    del<T = any>(url: string, data?: any, options?: FetchOptions): DcRequest<T>;
+    singleGet<T = any>(url: string, params?: any, options?: FetchOptions): DcRequest<T>;
+    upload<T = any>(url: string, files: any, fields?: object, options?: UploadOptions): DcRequest<T>;
+    paginate<TItem = any>(url: string, params?: any, options?: PaginateOptions<TItem>): Paginator<TItem>;
+    poll<T = any>(url: string, params?: any, options?: PollOptions<T>): DcRequest<T>;
+    batch<T = any>(url: string, options?: BatchOptions): (args: any) => DcRequest<T>;
+    /** format为sse时T为data的类型，json为false时是string；ndjson时为每行的数据；text时为string */
+    stream<T = string>(url: string, data?: any, options?: StreamOptions<SseMessage<T>> & {format?: 'sse'}): DcRequest<StreamResult>;
+    stream<T = any>(url: string, data: any, options: StreamOptions<T> & {format: 'ndjson'}): DcRequest<StreamResult>;
+    stream(url: string, data: any, options: StreamOptions<string> & {format: 'text'}): DcRequest<StreamResult>;
+    defineApi<E extends {[name: string]: EndpointDefinition}>(endpoints: E): DefinedApi<E>;
+
+    use(plugin: Plugin): this;
+    registerService(name: string, options?: ServiceOptions): DcFetch;
+    service(name: string): DcFetch;
+    record(options?: RecordOptions): Recorder;
+    replay(har: Har | HarEntry[], options?: ReplayOptions): ReplayAdapter;
+    fork(options?: ForkOptions): DcFetch & {ssr: SsrCollector};
+    hydrate(state: string | HydrationState): this;
+    adaptResponse(response: AxiosResponse, config?: AxiosRequestConfig, raw?: boolean): {data?: any; error?: BusinessError};
+}
+
+// ---------------------------------------------------------------- React
+
+export type TrackedMethod =
+    'fetch' | 'get' | 'post' | 'put' | 'patch' | 'del' | 'singleGet' | 'upload' | 'paginate' | 'poll' | 'stream';
+
+/** 组件卸载时统一cancel的client */
+export type TrackedClient = Pick<DcFetch, TrackedMethod>;
+
+/** createDcFetchHoc注入的props，propName默认为dcFetch */
+export type WithDcFetch<P extends string = 'dcFetch'> = {[K in P]: TrackedClient};
+
+export interface DcFetchHocOptions<P extends string, A> {
+    propName?: P;
+    apis?: A;
+    service?: string;
+}
+
+export type DcFetchHoc = <P extends string = 'dcFetch', A extends object = {}>(
+    options?: DcFetchHocOptions<P, A>,
+) => <Props>(component: ComponentType<Props>) => ComponentType<Omit<Props, P | keyof A>>;
+
+export function createDcFetchHoc(dcFetch: DcFetch): DcFetchHoc;
+
+/** 覆盖createDcFetchHoc及useDcFetch使用的dcFetch，服务端渲染时传入fork创建的子实例 */
+export const DcFetchContext: Context<DcFetch | null>;
+
+export function useDcFetch(dcFetch: DcFetch): TrackedClient;
+
+export interface UseRequestOptions<T, Args extends any[]> {
+    manual?: boolean;
+    defaultParams?: Args;
+    debounce?: number;
+    pollingInterval?: number;
+    initialData?: T;
+    onSuccess?: (data: T, args: Args) => void;
+    onError?: (error: any, args: Args) => void;
+}
+
+export interface UseRequestResult<T, Args extends any[]> {
+    data: T | undefined;
+    error: any;
+    loading: boolean;
+    run: (...args: Args) => void;
+    cancel: () => void;
+    refresh: () => void;
+}
+
+export function useRequest<T, Args extends any[] = any[]>(
+    fn: (...args: Args) => PromiseLike<T>,
+    deps?: any[],
+    options?: UseRequestOptions<T, Args>,
+): UseRequestResult<T, Args>;